@@ -1,5 +1,12 @@
-import { eventSource, event_types, saveSettingsDebounced } from '../../../../script.js';
+import { eventSource, event_types, saveSettingsDebounced, getRequestHeaders } from '../../../../script.js';
 import { extension_settings } from '../../../extensions.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandEnumValue } from '../../../slash-commands/SlashCommandEnumValue.js';
+import { backupEngine, hasFileSystem } from './server/engine.js';
+import { webCrypto } from './server/webcrypto.js';
+import { backupSchedule } from './server/schedule.js';
 
 const extensionName = 'vertin-tips';
 const extensionFolderPath = `scripts/extensions/third-party/${extensionName}`;
@@ -15,16 +22,49 @@ const defaultSettings = {
 };
 
 // 模块系统
+// 每个模块通过 manifest 声明自身信息:
+//   id            模块ID，同时是 extension_settings 中 modules 下的键
+//   version       模块版本 (x.y.z)，与设置中记录的版本不同时调用 onSettingsMigrate
+//   displayName   显示名称
+//   description   说明
+//   dependencies  依赖的模块: { 模块ID: 最低版本 }，'*' 表示任意版本。依赖的模块会先加载
+//   defaultConfig 默认配置，设置中缺少的字段使用默认值
+//   configSchema  配置字段说明: { 字段: { type, ... } }，加载时按此检查设置，不符合的字段恢复为默认值，设置界面也按此生成（见 settingsPanel）。
+//                 type 为 'string'、'text' (多行)、'path'、'time' (HH:MM)、'number' (可选 min/max)、'boolean'、
+//                 'enum' (options 为可选值) 、'list' (数组)、'group' (嵌套对象) 或 'custom' (只用于界面，不对应配置值)
+// 模块可以实现以下方法:
+//   init() / destroy()                加载和卸载时调用。加载前 moduleManager 会为模块创建 this.context（见 createContext），
+//                                     通过它创建的定时器、事件监听、DOM 元素和全局函数会在卸载或 init 失败时自动清理
+//   onSettingsMigrate(oldVersion, moduleSettings)
+//                                     加载前设置中的版本与 manifest.version 不同时调用，oldVersion 为空表示设置来自未记录版本的旧版本。
+//                                     moduleSettings 为 { enabled, version, config }，直接修改其中的 config
+//   onEnable() / onDisable()          用户在设置中启用模块（加载之后）和停用模块（卸载之前）时调用
+//   onConfigChange(path, value)       设置界面中的值改变时调用，path 为字段路径（列表项用 key 的值表示）。
+//                                     没有实现时直接写入 config 并调用 saveConfig
+//   onConfigExport(config)            导出设置或保存方案时调用，返回去掉本机运行状态（运行记录等）后的配置
+//   onConfigImport(config, currentConfig)
+//                                     导入设置或切换方案时调用（已迁移到当前版本），返回要保存的配置，可以从 currentConfig 保留本机运行状态
 const moduleManager = {
     modules: new Map(),
     loadedModules: new Set(),
     
+    // 加载失败的模块 (模块ID -> 错误信息)，显示在模块列表中
+    errors: new Map(),
+    
     /**
      * 注册模块
-     * @param {string} name 模块名称
-     * @param {object} moduleDefinition 模块定义
+     * @param {object} moduleDefinition 模块定义，必须包含 manifest
+     * @returns {boolean} manifest 无效时返回 false
      */
-    register(name, moduleDefinition) {
+    register(moduleDefinition) {
+        const manifest = moduleDefinition?.manifest;
+        const error = this.validateManifest(manifest);
+        if (error) {
+            console.error(`[${extensionName}] 模块 manifest 无效: ${error}`, moduleDefinition);
+            return false;
+        }
+
+        const name = manifest.id;
         if (this.modules.has(name)) {
             console.warn(`[${extensionName}] 模块 ${name} 已存在，将被覆盖`);
         }
@@ -32,10 +72,296 @@ const moduleManager = {
         this.modules.set(name, {
             name,
             enabled: false,
+            displayName: manifest.displayName || name,
+            description: manifest.description || '',
+            version: manifest.version,
+            config: structuredClone(manifest.defaultConfig || {}),
             ...moduleDefinition
         });
+        // 未加载的模块使用已释放的上下文，此时创建的定时器和监听器会被忽略
+        this.modules.get(name).context = this.createContext(name);
+        this.modules.get(name).context.dispose();
+        this.errors.delete(name);
+        
+        console.log(`[${extensionName}] 模块 ${name} 已注册 (v${manifest.version})`);
+        return true;
+    },
+    
+    // 检查 manifest 的格式，返回错误信息，没有问题时返回 null
+    validateManifest(manifest) {
+        if (!manifest || typeof manifest !== 'object') return '缺少 manifest';
+        if (!manifest.id || typeof manifest.id !== 'string') return '缺少模块ID';
+        if (!this.parseVersion(manifest.version)) return `版本号格式错误: ${manifest.version}`;
+        if (manifest.dependencies !== undefined && (typeof manifest.dependencies !== 'object' || Array.isArray(manifest.dependencies))) {
+            return 'dependencies 应为 { 模块ID: 最低版本 }';
+        }
+        for (const [id, version] of Object.entries(manifest.dependencies || {})) {
+            if (id === manifest.id) return '模块不能依赖自身';
+            if (version !== '*' && !this.parseVersion(version)) return `依赖 ${id} 的版本号格式错误: ${version}`;
+        }
+        return null;
+    },
+    
+    // 解析 x.y.z 版本号，格式错误时返回 null
+    parseVersion(version) {
+        const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(version || ''));
+        return match ? match.slice(1).map(Number) : null;
+    },
+    
+    // 比较两个版本号，a 较新时返回正数
+    compareVersions(a, b) {
+        const left = this.parseVersion(a);
+        const right = this.parseVersion(b);
+        for (let i = 0; i < 3; i++) {
+            if (left[i] !== right[i]) return left[i] - right[i];
+        }
+        return 0;
+    },
+    
+    // 获取模块在 extension_settings 中的设置 { enabled, version, config }，不存在时创建
+    getModuleSettings(name) {
+        const settings = extension_settings[extensionName];
+        if (!settings.modules) settings.modules = {};
+        if (!settings.modules[name]) settings.modules[name] = { enabled: false };
+        return settings.modules[name];
+    },
+    
+    /**
+     * 按 manifest 的默认配置和配置说明整理设置中的配置，返回新的配置对象
+     * @param {object} module 模块
+     * @param {object} storedConfig 设置中保存的配置
+     * @param {string[]} [problems] 传入时记录被恢复为默认值的字段
+     */
+    resolveConfig(module, storedConfig, problems = null) {
+        const { defaultConfig = {}, configSchema = {} } = module.manifest;
+        const config = { ...structuredClone(defaultConfig), ...storedConfig };
+        
+        for (const [field, schema] of Object.entries(configSchema)) {
+            if (!(field in config)) continue;
+            const error = this.checkConfigValue(schema, config[field]);
+            if (error) {
+                console.warn(`[${extensionName}] 模块 ${module.name} 的配置 ${field} 无效 (${error})，已恢复为默认值`);
+                problems?.push(`${field}: ${error}`);
+                config[field] = structuredClone(defaultConfig[field]);
+            }
+        }
+        return config;
+    },
+    
+    // 按配置说明检查单个值，返回错误信息，没有问题时返回 null
+    checkConfigValue(schema, value) {
+        switch (schema.type) {
+            case 'string':
+            case 'text':
+            case 'path':
+                return typeof value === 'string' ? null : '应为文字';
+            case 'time':
+                return value === '' || /^\d{1,2}:\d{2}$/.test(value) ? null : '应为 HH:MM 格式的时间';
+            case 'number':
+                if (typeof value !== 'number' || isNaN(value)) return '应为数字';
+                if (schema.min !== undefined && value < schema.min) return `不能小于 ${schema.min}`;
+                if (schema.max !== undefined && value > schema.max) return `不能大于 ${schema.max}`;
+                return null;
+            case 'boolean':
+                return typeof value === 'boolean' ? null : '应为开关';
+            case 'enum': {
+                const values = this.getSchemaOptions(schema).map(([option]) => option);
+                return values.includes(value) ? null : `应为 ${values.join('、')} 之一`;
+            }
+            case 'list':
+                return Array.isArray(value) ? null : '应为列表';
+            case 'group':
+                return value && typeof value === 'object' && !Array.isArray(value) ? null : '应为对象';
+            default:
+                return null;
+        }
+    },
+    
+    // 获取 enum 或多选 list 的可选值 [[值, 标签], ...]。options 可以写成 { 值: 标签 }，值不是文字时写成数组
+    getSchemaOptions(schema) {
+        if (!schema.options) return [];
+        return Array.isArray(schema.options) ? schema.options : Object.entries(schema.options);
+    },
+    
+    /**
+     * 创建模块的上下文，记录模块创建的定时器、事件监听、DOM 元素和全局函数，dispose 时全部清理。
+     * 释放后再创建的定时器和监听器会被忽略，避免卸载后仍在运行的异步操作留下新的资源
+     * @param {string} name 模块名称
+     */
+    createContext(name) {
+        const timers = new Map(); // 定时器ID -> 清除函数
+        const disposers = [];
+        let disposed = false;
+        
+        const addDisposer = (dispose) => {
+            disposers.push(dispose);
+            return () => {
+                const index = disposers.indexOf(dispose);
+                if (index === -1) return;
+                disposers.splice(index, 1);
+                dispose();
+            };
+        };
+        
+        return {
+            name,
+            
+            get disposed() {
+                return disposed;
+            },
+            
+            setTimeout(callback, delay) {
+                if (disposed) return null;
+                const id = setTimeout(() => {
+                    timers.delete(id);
+                    callback();
+                }, delay);
+                timers.set(id, clearTimeout);
+                return id;
+            },
+            
+            setInterval(callback, delay) {
+                if (disposed) return null;
+                const id = setInterval(callback, delay);
+                timers.set(id, clearInterval);
+                return id;
+            },
+            
+            // 清除 setTimeout 或 setInterval 创建的定时器
+            clearTimer(id) {
+                const clear = timers.get(id);
+                if (!clear) return;
+                clear(id);
+                timers.delete(id);
+            },
+            
+            /**
+             * 监听事件，target 可以是 DOM 对象 (addEventListener) 或 SillyTavern 的 eventSource (on/removeListener)
+             * @returns {function} 取消监听的函数
+             */
+            on(target, eventType, handler) {
+                if (disposed) return () => {};
+                if (typeof target.addEventListener === 'function') {
+                    target.addEventListener(eventType, handler);
+                    return addDisposer(() => target.removeEventListener(eventType, handler));
+                }
+                target.on(eventType, handler);
+                return addDisposer(() => target.removeListener(eventType, handler));
+            },
+            
+            // 记录模块添加到页面中的元素 (jQuery 对象或 DOM 元素)，释放时移除
+            track(element) {
+                if (!disposed) addDisposer(() => $(element).remove());
+                return element;
+            },
+            
+            // 设置全局变量（例如 onclick 中调用的函数），释放时恢复原来的值
+            setGlobal(key, value) {
+                if (disposed) return;
+                const existed = Object.prototype.hasOwnProperty.call(window, key);
+                const previous = window[key];
+                window[key] = value;
+                addDisposer(() => {
+                    if (existed) {
+                        window[key] = previous;
+                    } else {
+                        delete window[key];
+                    }
+                });
+            },
+            
+            // 释放时执行的其他清理
+            onDispose(callback) {
+                if (disposed) return () => {};
+                return addDisposer(callback);
+            },
+            
+            // 清理全部资源，单项清理出错不影响其他项
+            dispose() {
+                disposed = true;
+                for (const [id, clear] of timers) {
+                    clear(id);
+                }
+                timers.clear();
+                for (const dispose of disposers.splice(0).reverse()) {
+                    try {
+                        dispose();
+                    } catch (error) {
+                        console.warn(`[${extensionName}] 模块 ${name} 清理资源时出错:`, error);
+                    }
+                }
+            }
+        };
+    },
+    
+    /**
+     * 计算模块的加载顺序，依赖的模块排在前面
+     * @param {string[]} names 要加载的模块
+     * @returns {{ order: string[], errors: Map<string, string> }} 缺少依赖或循环依赖的模块不在 order 中
+     */
+    getLoadOrder(names) {
+        const order = [];
+        const errors = new Map();
+        const visiting = new Set();
+        const visited = new Set();
+        
+        const visit = (name, path) => {
+            if (visited.has(name)) return !errors.has(name);
+            if (visiting.has(name)) {
+                errors.set(name, `循环依赖: ${[...path, name].join(' -> ')}`);
+                return false;
+            }
+            
+            visiting.add(name);
+            let ok = true;
+            const dependencies = this.modules.get(name).manifest.dependencies || {};
+            for (const [dependency, minVersion] of Object.entries(dependencies)) {
+                const dependencyModule = this.modules.get(dependency);
+                if (!dependencyModule) {
+                    errors.set(name, `缺少依赖模块: ${dependency}`);
+                    ok = false;
+                } else if (minVersion !== '*' && this.compareVersions(dependencyModule.version, minVersion) < 0) {
+                    errors.set(name, `依赖模块 ${dependency} 版本过低: 需要 ${minVersion}，当前为 ${dependencyModule.version}`);
+                    ok = false;
+                } else if (!visit(dependency, [...path, name])) {
+                    if (!errors.has(name)) errors.set(name, `依赖模块 ${dependency} 无法加载: ${errors.get(dependency)}`);
+                    ok = false;
+                }
+            }
+            visiting.delete(name);
+            visited.add(name);
+            
+            if (ok) order.push(name);
+            return ok;
+        };
+        
+        for (const name of names) {
+            if (this.modules.has(name)) visit(name, []);
+        }
+        return { order, errors };
+    },
+    
+    /**
+     * 按依赖顺序加载设置中已启用的模块
+     */
+    async loadEnabled() {
+        if (!this.isActive()) {
+            console.log(`[${extensionName}] QOL工具包已暂停，不加载模块`);
+            return;
+        }
+        
+        const enabled = this.getModules()
+            .filter(module => this.getModuleSettings(module.name).enabled)
+            .map(module => module.name);
+        const { order, errors } = this.getLoadOrder(enabled);
         
-        console.log(`[${extensionName}] 模块 ${name} 已注册`);
+        for (const [name, error] of errors) {
+            console.error(`[${extensionName}] 模块 ${name} 无法加载: ${error}`);
+            this.errors.set(name, error);
+        }
+        for (const name of order) {
+            await this.load(name);
+        }
     },
     
     /**
@@ -54,7 +380,23 @@ const moduleManager = {
             return true;
         }
         
+        this.errors.delete(name);
+        
+        // 依赖的模块必须先加载
+        const { errors } = this.getLoadOrder([name]);
+        const missing = Object.keys(module.manifest.dependencies || {}).filter(dependency => !this.loadedModules.has(dependency));
+        const dependencyError = errors.get(name) || (missing.length > 0 ? `请先启用依赖模块: ${missing.join(', ')}` : null);
+        if (dependencyError) {
+            console.error(`[${extensionName}] 模块 ${name} 无法加载: ${dependencyError}`);
+            this.errors.set(name, dependencyError);
+            return false;
+        }
+        
+        module.context = this.createContext(name);
         try {
+            await this.migrateSettings(module);
+            module.config = this.resolveConfig(module, this.getModuleSettings(name).config);
+            
             if (module.init && typeof module.init === 'function') {
                 await module.init();
             }
@@ -64,13 +406,30 @@ const moduleManager = {
             console.log(`[${extensionName}] 模块 ${name} 加载成功`);
             return true;
         } catch (error) {
+            // 清理 init 失败前已经创建的定时器、监听器等
+            module.context.dispose();
             console.error(`[${extensionName}] 模块 ${name} 加载失败:`, error);
+            this.errors.set(name, error.message || String(error));
             return false;
         }
     },
     
+    // 设置中记录的版本与模块版本不同时调用模块的 onSettingsMigrate，完成后记录新版本。
+    // moduleSettings 默认为设置中保存的模块设置，导入时传入文件中的设置
+    async migrateSettings(module, moduleSettings = this.getModuleSettings(module.name)) {
+        const oldVersion = moduleSettings.version || null;
+        if (oldVersion === module.version) return;
+        
+        if (module.onSettingsMigrate && typeof module.onSettingsMigrate === 'function') {
+            await module.onSettingsMigrate(oldVersion, moduleSettings);
+            console.log(`[${extensionName}] 模块 ${module.name} 的设置已从 ${oldVersion || '旧版本'} 迁移到 ${module.version}`);
+        }
+        moduleSettings.version = module.version;
+        saveSettingsDebounced();
+    },
+    
     /**
-     * 卸载模块
+     * 卸载模块，依赖它的模块会先被卸载
      * @param {string} name 模块名称
      */
     async unload(name) {
@@ -82,309 +441,2643 @@ const moduleManager = {
         
         if (!this.loadedModules.has(name)) {
             console.log(`[${extensionName}] 模块 ${name} 未加载`);
+            this.errors.delete(name);
             return true;
         }
         
+        for (const dependent of this.getModules()) {
+            if (this.loadedModules.has(dependent.name) && name in (dependent.manifest.dependencies || {})) {
+                await this.unload(dependent.name);
+                this.errors.set(dependent.name, `依赖模块 ${name} 已停用`);
+            }
+        }
+        
+        // destroy 出错时模块同样视为已卸载，剩余的资源由上下文清理
+        let success = true;
         try {
             if (module.destroy && typeof module.destroy === 'function') {
                 await module.destroy();
             }
-            
+        } catch (error) {
+            console.error(`[${extensionName}] 模块 ${name} 的 destroy 出错:`, error);
+            success = false;
+        } finally {
+            module.context.dispose();
             this.loadedModules.delete(name);
             module.enabled = false;
-            console.log(`[${extensionName}] 模块 ${name} 卸载成功`);
-            return true;
-        } catch (error) {
-            console.error(`[${extensionName}] 模块 ${name} 卸载失败:`, error);
-            return false;
         }
+        
+        console.log(`[${extensionName}] 模块 ${name} 已卸载`);
+        return success;
     },
     
     /**
-     * 获取所有已注册的模块
+     * 重新加载模块：卸载后重新初始化，不需要刷新页面。依赖它的模块会一起重新加载
+     * @param {string} name 模块名称
      */
-    getModules() {
-        return Array.from(this.modules.values());
+    async reload(name) {
+        const dependents = this.getModules()
+            .filter(module => this.loadedModules.has(module.name) && name in (module.manifest.dependencies || {}))
+            .map(module => module.name);
+        
+        await this.unload(name);
+        const success = await this.load(name);
+        if (success) {
+            for (const dependent of dependents) {
+                await this.load(dependent);
+            }
+        }
+        return success;
     },
     
     /**
-     * 检查模块是否已加载
+     * 启用模块：记录到设置中，加载后调用 onEnable
      * @param {string} name 模块名称
      */
-    isLoaded(name) {
-        return this.loadedModules.has(name);
-    }
-};
-
-// 自动备份模块
-const autoBackupModule = {
-    name: 'autoBackup',
-    displayName: '文件夹备份',
-    description: '按指定时间间隔，将一个文件夹完整备份到另一个位置。',
-    version: '1.1.0',
-    
-    // 备份配置
-    config: {
-        interval: 60, // 默认60分钟
-        sourcePath: '', // 要备份的源文件夹路径
-        destinationPath: '', // 备份目标路径
-        maxBackups: 10, // 最大备份文件夹数
-        enabled: false
-    },
-    
-    // 定时器
-    backupTimer: null,
-    
-    // 模块初始化
-    async init() {
-        console.log(`[${extensionName}] 自动备份模块初始化中...`);
+    async enable(name) {
+        const module = this.modules.get(name);
+        if (!module) return false;
         
-        // 加载配置
-        this.loadConfig();
+        this.getModuleSettings(name).enabled = true;
+        saveSettingsDebounced();
         
-        // 如果启用了自动备份，启动定时器
-        if (this.config.enabled) {
-            this.startAutoBackup();
-        }
+        // 工具包暂停时只记录设置，恢复时再加载
+        if (!this.isActive()) return true;
         
-        console.log(`[${extensionName}] 自动备份模块初始化完成`);
+        if (!await this.load(name)) return false;
+        if (module.onEnable && typeof module.onEnable === 'function') {
+            try {
+                await module.onEnable();
+            } catch (error) {
+                console.error(`[${extensionName}] 模块 ${name} 的 onEnable 出错:`, error);
+            }
+        }
+        return true;
     },
     
-    // 模块销毁
-    async destroy() {
-        console.log(`[${extensionName}] 自动备份模块销毁中...`);
-        
-        // 停止定时器
-        this.stopAutoBackup();
+    /**
+     * 停用模块：卸载前调用 onDisable，并记录到设置中
+     * @param {string} name 模块名称
+     */
+    async disable(name) {
+        const module = this.modules.get(name);
+        if (!module) return false;
         
-        console.log(`[${extensionName}] 自动备份模块销毁完成`);
-    },
-    
-    // 加载配置
-    loadConfig() {
-        const settings = extension_settings[extensionName];
-        if (settings.modules?.autoBackup?.config) {
-            this.config = { ...this.config, ...settings.modules.autoBackup.config };
+        if (this.loadedModules.has(name) && module.onDisable && typeof module.onDisable === 'function') {
+            try {
+                await module.onDisable();
+            } catch (error) {
+                console.error(`[${extensionName}] 模块 ${name} 的 onDisable 出错:`, error);
+            }
         }
-    },
-    
-    // 保存配置
-    saveConfig() {
-        const settings = extension_settings[extensionName];
-        if (!settings.modules) settings.modules = {};
-        if (!settings.modules.autoBackup) settings.modules.autoBackup = { enabled: false };
-        settings.modules.autoBackup.config = this.config;
+        
+        this.getModuleSettings(name).enabled = false;
         saveSettingsDebounced();
+        return await this.unload(name);
     },
     
-    // 启动自动备份
-    startAutoBackup() {
-        this.stopAutoBackup(); // 先停止之前的定时器
+    /**
+     * 导出模块的设置 { version, enabled, config }，配置经过模块的 onConfigExport 处理
+     * @param {string} name 模块名称
+     */
+    exportSettings(name) {
+        const module = this.modules.get(name);
+        const moduleSettings = this.getModuleSettings(name);
+        // 从未加载过的模块没有保存的配置，导出默认配置
+        const stored = moduleSettings.config
+            ? { version: moduleSettings.version || null, config: structuredClone(moduleSettings.config) }
+            : { version: module.version, config: structuredClone(module.manifest.defaultConfig || {}) };
         
-        if (this.config.interval > 0) {
-            const intervalMs = this.config.interval * 60 * 1000; // 转换为毫秒
-            this.backupTimer = setInterval(() => {
-                this.createBackup({ mode: 'auto' });
-            }, intervalMs);
-            
-            console.log(`[${extensionName}] 自动备份已启动，间隔: ${this.config.interval}分钟`);
+        if (module.onConfigExport && typeof module.onConfigExport === 'function') {
+            stored.config = module.onConfigExport(stored.config);
         }
+        return { version: stored.version, enabled: !!moduleSettings.enabled, config: stored.config };
     },
     
-    // 停止自动备份
-    stopAutoBackup() {
-        if (this.backupTimer) {
-            clearInterval(this.backupTimer);
-            this.backupTimer = null;
-            console.log(`[${extensionName}] 自动备份已停止`);
+    /**
+     * 把导入的模块设置整理为当前版本可以保存的配置：按记录的版本迁移，按配置说明检查，再交给模块的 onConfigImport。
+     * 不修改当前设置，返回 { config, problems }，无法导入时返回 { error }
+     * @param {string} name 模块名称
+     * @param {object} imported 导入的设置 { version, config }
+     */
+    async prepareSettings(name, imported) {
+        const module = this.modules.get(name);
+        if (!module) return { error: '未安装该模块' };
+        
+        const { version = null, config } = imported || {};
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return { error: '缺少配置' };
         }
-    },
-    
-    async createBackup(options = {}) {
-        const { mode = 'manual' } = options; // 'manual' or 'auto'
-
+        if (version !== null && !this.parseVersion(version)) {
+            return { error: `版本号无效: ${version}` };
+        }
+        if (version !== null && this.compareVersions(version, module.version) > 0) {
+            return { error: `设置来自更新的版本 ${version}，当前安装的是 ${module.version}，请先更新扩展` };
+        }
+        
         try {
-            console.log(`[${extensionName}] 开始创建备份 (模式: ${mode})...`);
+            const moduleSettings = { enabled: false, version, config: structuredClone(config) };
+            await this.migrateSettings(module, moduleSettings);
             
-
-            const sourcePath = this.config.sourcePath;
-            const destinationPath = this.getDestinationPath();
-
-            if (!sourcePath || !destinationPath) {
-                const msg = '请先在设置中指定源文件夹和目标文件夹。';
-                console.warn(`[${extensionName}] ${msg}`);
-                this.showNotification('备份中断', msg, 'warning');
-                return { success: false, error: msg };
-            }
-
-            // 执行本地备份
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-            const backupDirName = `backup-${timestamp}`;
-            const result = await this.performLocalBackup(sourcePath, destinationPath, backupDirName);
-
-            if (result.success) {
-                console.log(`[${extensionName}] 备份成功: ${result.path}`);
-                await this.cleanupOldBackups();
-                this.showNotification('备份成功', `备份已创建于: ${result.path}`, 'success');
-                return result;
-            } else {
-                console.error(`[${extensionName}] 备份失败:`, result.error);
-                this.showNotification('备份失败', '详情请查看控制台日志', 'error');
-                return result;
+            const problems = [];
+            let resolved = this.resolveConfig(module, moduleSettings.config, problems);
+            if (module.onConfigImport && typeof module.onConfigImport === 'function') {
+                resolved = module.onConfigImport(resolved, this.getModuleSettings(name).config || null);
             }
+            return { config: resolved, problems };
         } catch (error) {
-            console.error(`[${extensionName}] 备份过程中发生严重错误:`, error);
-            const errorMessage = error.stack || (error.message || '未知错误');
-            this.showNotification('备份失败', `详情请查看控制台日志`, 'error');
-            return { success: false, error: errorMessage };
+            return { error: `迁移设置失败: ${error.message || error}` };
         }
     },
     
-    // 获取备份目标路径
-    getDestinationPath() {
-        if (this.config.destinationPath) {
-            return this.config.destinationPath;
+    /**
+     * 保存整理好的模块设置并重新加载受影响的模块
+     * @param {object} entries { 模块名称: { config, enabled } }，enabled 不是布尔值时保持模块当前的启用状态
+     */
+    async applySettings(entries) {
+        // 先卸载要修改的模块（依赖它们的模块也会被卸载），保存后按依赖顺序重新加载
+        for (const name of Array.from(this.loadedModules).reverse()) {
+            if (name in entries) await this.unload(name);
         }
         
-        if (typeof require === 'undefined') return '';
-
-        try {
-            // 对于Node.js/Electron，提供一个合理的默认值。
-            const path = require('path');
-            const os = require('os');
-            return path.join(os.homedir(), 'Desktop', 'SillyTavern-FolderBackups');
-        } catch (e) {
-            console.error(`[${extensionName}] 无法确定默认备份目标路径:`, e);
-            return './backups';
+        for (const [name, { config, enabled }] of Object.entries(entries)) {
+            const moduleSettings = this.getModuleSettings(name);
+            moduleSettings.config = config;
+            moduleSettings.version = this.modules.get(name).version;
+            if (typeof enabled === 'boolean') moduleSettings.enabled = enabled;
         }
+        saveSettingsDebounced();
+        
+        await this.loadEnabled();
     },
     
-    // 执行本地备份 (Node.js/Electron环境)
-    async performLocalBackup(sourcePath, destinationPath, backupDirName) {
-
-        try {
-            const fs = require('fs/promises');
-            const path = require('path');
-
-            const fullDestinationPath = path.join(destinationPath, backupDirName);
-
-            // 检查源路径是否存在
-            try {
-                await fs.access(sourcePath);
-            } catch (error) {
-                return { success: false, error: `源文件夹不存在或无法访问: ${sourcePath}` };
-            }
-
-            // 创建父级目标目录
-            await fs.mkdir(destinationPath, { recursive: true });
-
-            // 复制文件夹
-            await fs.cp(sourcePath, fullDestinationPath, { recursive: true });
-            
-            return { success: true, path: fullDestinationPath };
-        } catch (error) {
-            console.error(`[${extensionName}] 本地备份期间发生错误:`, error);
-            return { success: false, error: error.stack || (error.message || '未知错误') };
-        }
+    /**
+     * 工具包总开关 (settings.enabled) 是否打开
+     */
+    isActive() {
+        return extension_settings[extensionName].enabled !== false;
     },
     
-    // 清理旧备份
-    async cleanupOldBackups() {
-        try {
-            const destinationPath = this.getDestinationPath();
-            if (!destinationPath || typeof require === 'undefined') return;
-
-            const fs = require('fs/promises');
-            const path = require('path');
-            
-            const dirents = await fs.readdir(destinationPath, { withFileTypes: true });
-            const backupDirs = dirents
-                .filter(dirent => dirent.isDirectory() && dirent.name.startsWith('backup-'))
-                .map(dirent => ({
-                    name: dirent.name,
-                    path: path.join(destinationPath, dirent.name),
-                    stat: null
-                }));
-
-            // 获取文件夹统计信息 (mtime)
-            for (const dir of backupDirs) {
-                try {
-                    dir.stat = await fs.stat(dir.path);
-                } catch (err) {
-                    console.warn(`[${extensionName}] 无法获取文件夹统计信息: ${dir.name}`);
-                }
-            }
-            
-            // 按修改时间排序，新的在前
-            backupDirs.sort((a, b) => {
-                if (!a.stat || !b.stat) return 0;
-                return b.stat.mtime.getTime() - a.stat.mtime.getTime();
-            });
-            
-            // 删除超出数量限制的备份
-            if (backupDirs.length > this.config.maxBackups) {
-                const dirsToDelete = backupDirs.slice(this.config.maxBackups);
-                for (const dir of dirsToDelete) {
-                    try {
-                        await fs.rm(dir.path, { recursive: true, force: true });
-                        console.log(`[${extensionName}] 已删除旧备份文件夹: ${dir.name}`);
-                    } catch (err) {
-                        console.warn(`[${extensionName}] 删除备份文件夹失败: ${dir.name}`, err);
-                    }
-                }
-            }
-        } catch (error) {
-            // 如果目标文件夹不存在，会报错，这很正常，直接忽略
-            if (error.code !== 'ENOENT') {
-                 console.warn(`[${extensionName}] 清理旧备份失败:`, error);
+    /**
+     * 打开或关闭总开关。关闭时卸载所有已加载的模块（暂停），打开时重新加载设置中启用的模块（恢复），
+     * 各模块自己的启用状态保持不变，也不调用 onEnable / onDisable
+     * @param {boolean} active 是否打开
+     */
+    async setActive(active) {
+        const settings = extension_settings[extensionName];
+        if (this.isActive() === active) return;
+        
+        settings.enabled = active;
+        saveSettingsDebounced();
+        
+        if (active) {
+            await this.loadEnabled();
+            console.log(`[${extensionName}] QOL工具包已恢复`);
+        } else {
+            // 按加载顺序的反向卸载，依赖其他模块的模块先卸载
+            for (const name of Array.from(this.loadedModules).reverse()) {
+                await this.unload(name);
             }
+            console.log(`[${extensionName}] QOL工具包已暂停`);
         }
     },
     
-    // 获取备份列表
-    async getBackupList() {
-        try {
-            const destinationPath = this.getDestinationPath();
-            if (!destinationPath || typeof require === 'undefined') return [];
-
-            const fs = require('fs/promises');
-            const path = require('path');
-            
-            const dirents = await fs.readdir(destinationPath, { withFileTypes: true });
-            const backupDirs = [];
+    /**
+     * 获取所有已注册的模块
+     */
+    getModules() {
+        return Array.from(this.modules.values());
+    },
+    
+    /**
+     * 检查模块是否已加载
+     * @param {string} name 模块名称
+     */
+    isLoaded(name) {
+        return this.loadedModules.has(name);
+    }
+};
 
-            for (const dirent of dirents) {
-                if (dirent.isDirectory() && dirent.name.startsWith('backup-')) {
-                    try {
-                        const dirPath = path.join(destinationPath, dirent.name);
-                        const stat = await fs.stat(dirPath);
-                        // 计算文件夹大小会比较慢，暂时不实现
-                        backupDirs.push({
-                            name: dirent.name,
-                            path: dirPath,
-                            size: -1, // -1 表示是文件夹或大小未知
-                            created: stat.mtime
-                        });
-                    } catch (err) {
-                        console.warn(`[${extensionName}] 无法获取备份文件夹信息: ${dirent.name}`);
-                    }
-                }
+// 设置的导入和导出。导出的文件格式 (version 1):
+//   { format: 'vertin-tips-settings', version: 1, exportedAt, scope: 'pack' | 'module',
+//     modules: { 模块ID: { version, enabled, config } }, profiles: { 方案名称: 方案 } (只在导出全部设置时包含) }
+// 模块的 version 为设置对应的模块版本，导入时按此调用模块的 onSettingsMigrate
+const settingsTransfer = {
+    format: 'vertin-tips-settings',
+    version: 1,
     
-            }
-            
-            // 按创建时间排序，新的在前
-            backupDirs.sort((a, b) => b.created.getTime() - a.created.getTime());
-            return backupDirs;
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                console.warn(`[${extensionName}] 获取备份列表失败:`, error);
-            }
-            return [];
-        }
+    // 旧格式的迁移 (旧版本 -> 转换为下一版本的函数)
+    migrations: {
+        // 版本 0: 直接复制的 extension_settings['vertin-tips']
+        0: data => ({
+            format: settingsTransfer.format,
+            version: 1,
+            exportedAt: null,
+            scope: 'pack',
+            modules: data.modules || {},
+            profiles: data.profiles || {}
+        })
     },
     
-    // 显示通知
-    showNotification(title, message, type = 'info') {
+    /**
+     * 导出设置
+     * @param {string} [moduleName] 只导出该模块的设置，不指定时导出全部模块和方案
+     */
+    export(moduleName) {
+        const names = moduleName ? [moduleName] : moduleManager.getModules().map(module => module.name);
+        const data = {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            scope: moduleName ? 'module' : 'pack',
+            modules: Object.fromEntries(names.map(name => [name, moduleManager.exportSettings(name)]))
+        };
+        if (!moduleName) {
+            data.profiles = structuredClone(settingsProfiles.getProfiles());
+        }
+        return data;
+    },
+    
+    // 把导出的设置保存为 JSON 文件
+    download(data) {
+        const date = new Date().toISOString().slice(0, 10);
+        const target = data.scope === 'module' ? Object.keys(data.modules)[0] : 'settings';
+        const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${extensionName}-${target}-${date}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+    
+    /**
+     * 解析导入的文件内容，检查格式并迁移到当前版本
+     * @param {string} text 文件内容
+     * @returns {{ data?: object, error?: string }}
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { error: `不是有效的 JSON 文件: ${error.message}` };
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { error: '文件内容不是设置对象' };
+        }
+        
+        // 没有 format 字段但有 modules 的是直接复制的扩展设置
+        let version = data.format === this.format ? data.version : (data.format === undefined && data.modules ? 0 : null);
+        if (!Number.isInteger(version)) {
+            return { error: '不是 Vertin Tips 的设置文件' };
+        }
+        if (version > this.version) {
+            return { error: `设置文件来自更新版本的扩展 (格式版本 ${version})，请先更新扩展` };
+        }
+        while (version < this.version) {
+            data = this.migrations[version](data);
+            version = data.version;
+        }
+        
+        if (!data.modules || typeof data.modules !== 'object' || Array.isArray(data.modules)) {
+            return { error: '设置文件缺少模块设置' };
+        }
+        if (data.profiles !== undefined && (!data.profiles || typeof data.profiles !== 'object' || Array.isArray(data.profiles))) {
+            return { error: '设置文件中的方案格式无效' };
+        }
+        for (const [name, profile] of Object.entries(data.profiles || {})) {
+            if (!profile?.modules || typeof profile.modules !== 'object') {
+                return { error: `方案 ${name} 的格式无效` };
+            }
+        }
+        return { data };
+    },
+    
+    /**
+     * 导入解析后的设置。导入全部设置时同时导入各模块的启用状态和方案（同名方案会被覆盖）
+     * @param {object} data parse 返回的 data
+     * @param {string} [moduleName] 只导入该模块的设置
+     * @returns {Promise<{ success: boolean, imported: string[], skipped: string[], problems: string[], error?: string }>}
+     */
+    async import(data, moduleName) {
+        const names = moduleName ? [moduleName] : Object.keys(data.modules);
+        const entries = {};
+        const skipped = [];
+        const problems = [];
+        
+        for (const name of names) {
+            if (!(name in data.modules)) {
+                return { success: false, imported: [], skipped, problems, error: `设置文件中没有模块 ${name} 的设置` };
+            }
+            const result = await moduleManager.prepareSettings(name, data.modules[name]);
+            if (result.error) {
+                skipped.push(`${name}: ${result.error}`);
+                continue;
+            }
+            const enabled = data.scope === 'pack' && !moduleName ? data.modules[name].enabled : undefined;
+            entries[name] = { config: result.config, enabled };
+            problems.push(...result.problems.map(problem => `${name}.${problem}`));
+        }
+        
+        if (Object.keys(entries).length === 0) {
+            return { success: false, imported: [], skipped, problems, error: '没有可以导入的模块设置' };
+        }
+        
+        await moduleManager.applySettings(entries);
+        if (!moduleName && data.profiles) {
+            Object.assign(settingsProfiles.getProfiles(), structuredClone(data.profiles));
+            saveSettingsDebounced();
+        }
+        
+        console.log(`[${extensionName}] 已导入设置: ${Object.keys(entries).join(', ')}`);
+        return { success: true, imported: Object.keys(entries), skipped, problems };
+    }
+};
+
+// 设置方案：保存各模块配置的快照，一键切换（例如笔记本和连接 NAS 的台式机使用不同的备份路径）。
+// 方案保存在 settings.profiles 中: { 方案名称: { savedAt, modules: { 模块ID: { version, config } } } }，
+// 当前使用的方案名称保存在 settings.activeProfile 中。方案只包含配置，不改变模块的启用状态
+const settingsProfiles = {
+    getProfiles() {
+        const settings = extension_settings[extensionName];
+        if (!settings.profiles) settings.profiles = {};
+        return settings.profiles;
+    },
+    
+    getActive() {
+        const name = extension_settings[extensionName].activeProfile;
+        return name && name in this.getProfiles() ? name : null;
+    },
+    
+    // 把当前各模块的配置保存为方案，同名方案会被覆盖
+    save(name) {
+        const modules = {};
+        for (const module of moduleManager.getModules()) {
+            const { version, config } = moduleManager.exportSettings(module.name);
+            modules[module.name] = { version, config };
+        }
+        this.getProfiles()[name] = { savedAt: Date.now(), modules };
+        extension_settings[extensionName].activeProfile = name;
+        saveSettingsDebounced();
+        console.log(`[${extensionName}] 已保存设置方案: ${name}`);
+    },
+    
+    /**
+     * 切换到方案：用方案中的配置替换各模块的配置并重新加载。方案中没有的模块保持不变
+     * @returns {Promise<{ success: boolean, skipped: string[], problems: string[], error?: string }>}
+     */
+    async apply(name) {
+        const profile = this.getProfiles()[name];
+        if (!profile) {
+            return { success: false, skipped: [], problems: [], error: `方案不存在: ${name}` };
+        }
+        
+        const entries = {};
+        const skipped = [];
+        const problems = [];
+        for (const [moduleName, stored] of Object.entries(profile.modules || {})) {
+            const result = await moduleManager.prepareSettings(moduleName, stored);
+            if (result.error) {
+                skipped.push(`${moduleName}: ${result.error}`);
+                continue;
+            }
+            entries[moduleName] = { config: result.config };
+            problems.push(...result.problems.map(problem => `${moduleName}.${problem}`));
+        }
+        
+        await moduleManager.applySettings(entries);
+        extension_settings[extensionName].activeProfile = name;
+        saveSettingsDebounced();
+        console.log(`[${extensionName}] 已切换到设置方案: ${name}`);
+        return { success: true, skipped, problems };
+    },
+    
+    remove(name) {
+        delete this.getProfiles()[name];
+        if (extension_settings[extensionName].activeProfile === name) {
+            extension_settings[extensionName].activeProfile = null;
+        }
+        saveSettingsDebounced();
+    }
+};
+
+// 服务器插件后端：浏览器中无法访问文件系统时，通过 HTTP 调用 SillyTavern 服务器上的备份插件 (server/index.js)
+// 方法与 backupEngine 一一对应，任务配置随每个请求发送
+const serverBackend = {
+    baseUrl: `/api/plugins/${extensionName}`,
+
+    // 调用插件接口，出错时抛出包含服务器错误信息的异常
+    async request(action, body = {}) {
+        const response = await fetch(`${this.baseUrl}/${action}`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            if (response.status === 404) {
+                throw new Error('服务器未安装或未启用备份插件，请参考 README 安装 server 文件夹中的插件');
+            }
+            const data = await response.json().catch(() => null);
+            throw new Error(data?.error || `${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    },
+
+    // 检查服务器插件是否可用
+    async isAvailable() {
+        try {
+            const response = await fetch(`${this.baseUrl}/status`, { headers: getRequestHeaders() });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    // 备份期间每秒查询一次进度交给 info.onProgress，info.signal 取消时通知服务器停止备份
+    async createSnapshot(job, info) {
+        const { onProgress, signal, ...options } = info;
+        const runId = backupEngine.createStageId();
+        const poll = onProgress ? setInterval(() => {
+            this.request('progress', { runId })
+                .then(({ progress }) => progress && onProgress(progress))
+                .catch(() => {});
+        }, 1000) : null;
+        const cancel = () => this.request('cancel', { runId }).catch(() => {});
+        signal?.addEventListener('abort', cancel);
+
+        try {
+            return await this.request('create', { job, info: options, runId });
+        } catch (error) {
+            return { success: false, error: error.message };
+        } finally {
+            clearInterval(poll);
+            signal?.removeEventListener('abort', cancel);
+        }
+    },
+
+    async getBackupList(job) {
+        const backups = await this.request('list', { job });
+        return backups.map(backup => ({ ...backup, created: new Date(backup.created) }));
+    },
+
+    async deleteBackup(job, name) {
+        await this.request('delete', { job, name });
+    },
+
+    async cleanupOldBackups(job) {
+        const removed = await this.request('cleanup', { job });
+        return removed.map(backup => ({ ...backup, created: new Date(backup.created) }));
+    },
+
+    async restoreBackup(job, name, options) {
+        try {
+            return await this.request('restore', { job, name, options });
+        } catch (error) {
+            return { success: false, error: error.message, rolledBack: false, safetyPath: null };
+        }
+    },
+
+    async verifyBackup(job, name, passphrase) {
+        return await this.request('verify', { job, name, passphrase });
+    },
+
+    async compareBackups(job, leftName, rightName, passphrase) {
+        return await this.request('compare', { job, leftName, rightName, passphrase });
+    },
+
+    async createKeyCheck(passphrase) {
+        return await this.request('key-check', { passphrase });
+    },
+
+    async testPassphrase(keyCheck, passphrase) {
+        return (await this.request('test-passphrase', { keyCheck, passphrase })).valid;
+    },
+
+    async previewFilters(job, rules) {
+        return await this.request('preview', { job, rules });
+    },
+
+    // 分批上传导出的文件到服务器上的临时源文件夹，较大的文件分块追加
+    async stageFiles(files) {
+        const stageId = backupEngine.createStageId();
+        const batchSize = 8 * 1024 * 1024;
+        let batch = [];
+        let batchBytes = 0;
+        let sourcePath = null;
+
+        const flush = async () => {
+            if (batch.length === 0) return;
+            sourcePath = (await this.request('stage', { stageId, files: batch })).sourcePath;
+            batch = [];
+            batchBytes = 0;
+        };
+
+        for (const file of files) {
+            for (let offset = 0; offset === 0 || offset < file.data.size; offset += batchSize) {
+                const chunk = file.data.slice(offset, offset + batchSize);
+                if (batchBytes + chunk.size > batchSize) await flush();
+                batch.push({ path: file.path, data: await this.encodeBase64(chunk), append: offset > 0 });
+                batchBytes += chunk.size;
+            }
+        }
+        await flush();
+        return { id: stageId, source: { sourcePath } };
+    },
+
+    async removeStage(stageId) {
+        await this.request('unstage', { stageId });
+    },
+
+    // 将 Blob 编码为 base64
+    async encodeBase64(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let binary = '';
+        for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+        }
+        return btoa(binary);
+    }
+};
+
+// 浏览器中的目录句柄存储：File System Access API 的目录句柄保存在 IndexedDB 中，刷新页面后仍可使用
+const handleStore = {
+    dbName: extensionName,
+    storeName: 'directoryHandles',
+
+    // 打开数据库
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // 在对象仓库上执行一个请求
+    async run(mode, action) {
+        const db = await this.open();
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = action(db.transaction(this.storeName, mode).objectStore(this.storeName));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
+            db.close();
+        }
+    },
+
+    get(key) {
+        return this.run('readonly', store => store.get(key));
+    },
+
+    set(key, handle) {
+        return this.run('readwrite', store => store.put(handle, key));
+    },
+
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+};
+
+// 浏览器后端：没有 Node.js 也没有服务器插件时，通过 File System Access API 在用户选择的两个文件夹之间复制文件
+// 方法与 backupEngine 一一对应。只支持文件夹格式，也不支持增量备份（浏览器无法创建硬链接）
+const browserBackend = {
+    // 当前浏览器是否支持 File System Access API
+    isSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    },
+
+    // 选择文件夹并保存句柄，target 为 'sourcePath' 或 'destinationPath'
+    async pickDirectory(jobId, target) {
+        const handle = await window.showDirectoryPicker({ id: `${extensionName}-${target}`, mode: 'readwrite' });
+        await handleStore.set(`${jobId}:${target}`, handle);
+        return handle;
+    },
+
+    // 删除任务保存的目录句柄
+    async forgetJob(jobId) {
+        await handleStore.delete(`${jobId}:sourcePath`);
+        await handleStore.delete(`${jobId}:destinationPath`);
+    },
+
+    // 获取任务的目录句柄，request 为 true 时在没有权限时请求授权（必须由用户操作触发）
+    async getHandle(job, target, request = false) {
+        if (target === 'sourcePath' && job.sourceHandle) {
+            return job.sourceHandle; // SillyTavern 数据源导出的文件
+        }
+
+        const handle = await handleStore.get(`${job.id}:${target}`);
+        if (!handle) {
+            throw new Error(target === 'sourcePath' ? '请先点击“浏览”选择源文件夹' : '请先点击“浏览”选择目标文件夹');
+        }
+
+        const options = { mode: 'readwrite' };
+        let permission = await handle.queryPermission(options);
+        if (permission !== 'granted' && request) {
+            permission = await handle.requestPermission(options);
+        }
+        if (permission !== 'granted') {
+            throw new Error(`没有访问文件夹 "${handle.name}" 的权限，请在设置中重新授权`);
+        }
+        return handle;
+    },
+
+    // 检查任务文件夹的访问权限: 'granted'、'prompt'、'denied' 或 'missing'（尚未选择文件夹）
+    async getPermissionState(job) {
+        for (const target of this.getJobTargets(job)) {
+            const handle = await handleStore.get(`${job.id}:${target}`);
+            if (!handle) return 'missing';
+            const permission = await handle.queryPermission({ mode: 'readwrite' });
+            if (permission !== 'granted') return permission;
+        }
+        return 'granted';
+    },
+
+    // 请求任务两个文件夹的访问权限（必须由用户操作触发）
+    async requestPermission(job) {
+        for (const target of this.getJobTargets(job)) {
+            await this.getHandle(job, target, true);
+        }
+    },
+
+    // 任务需要访问的文件夹，SillyTavern 数据源没有源文件夹
+    getJobTargets(job) {
+        return job.sourceType === 'sillytavern' ? ['destinationPath'] : ['sourcePath', 'destinationPath'];
+    },
+
+    // 按相对路径获取子文件夹句柄
+    async getDirectory(root, relativePath, create = false) {
+        let handle = root;
+        for (const part of relativePath.split('/').filter(Boolean)) {
+            handle = await handle.getDirectoryHandle(part, { create });
+        }
+        return handle;
+    },
+
+    // 按相对路径获取文件，不存在时返回 null
+    async getFile(root, relativePath) {
+        const parts = relativePath.split('/');
+        try {
+            const directory = await this.getDirectory(root, parts.slice(0, -1).join('/'));
+            return await (await directory.getFileHandle(parts[parts.length - 1])).getFile();
+        } catch (error) {
+            if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') return null;
+            throw error;
+        }
+    },
+
+    // 写入文件，data 可以是 Blob/File 或字符串
+    async writeFile(root, relativePath, data) {
+        const parts = relativePath.split('/');
+        const directory = await this.getDirectory(root, parts.slice(0, -1).join('/'), true);
+        const fileHandle = await directory.getFileHandle(parts[parts.length - 1], { create: true });
+        const writable = await fileHandle.createWritable();
+        if (data instanceof Blob) {
+            // pipeTo 完成后会自动关闭写入流
+            await data.stream().pipeTo(writable);
+        } else {
+            await writable.write(data);
+            await writable.close();
+        }
+    },
+
+    // 读取 JSON 文件，不存在或无法解析时返回 null
+    async readJson(root, relativePath) {
+        const file = await this.getFile(root, relativePath);
+        if (!file) return null;
+        try {
+            return JSON.parse(await file.text());
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // 递归遍历目录句柄，依次返回目录和文件（相对路径使用 / 分隔）
+    async *walkEntries(directory, filter = () => true, relativeDir = '') {
+        for await (const [name, handle] of directory.entries()) {
+            const relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+            const isDirectory = handle.kind === 'directory';
+            if (!filter(relativePath, isDirectory)) continue;
+            if (isDirectory) {
+                yield { relativePath, isDirectory, handle };
+                yield* this.walkEntries(handle, filter, relativePath);
+            } else {
+                yield { relativePath, isDirectory, handle, file: await handle.getFile() };
+            }
+        }
+    },
+
+    // 列出文件夹中的所有文件，返回 相对路径 -> File 的映射（忽略快照根目录下的元数据文件）
+    async listFiles(directory) {
+        const files = new Map();
+        const filter = (relativePath) => !backupEngine.snapshotMetadataFiles.includes(relativePath);
+        for await (const entry of this.walkEntries(directory, filter)) {
+            if (!entry.isDirectory) files.set(entry.relativePath, entry.file);
+        }
+        return files;
+    },
+
+    // 计算文件的 SHA-256 哈希（大文件分块计算，见 webCrypto.hashFile）
+    async hashFile(file) {
+        return await webCrypto.hashFile(file);
+    },
+
+    // 判断两个文件内容是否相同
+    async isSameFile(left, right) {
+        if (left.size !== right.size) return false;
+        return await this.hashFile(left) === await this.hashFile(right);
+    },
+
+    // 由密码派生 AES-256 密钥，参数和文件格式与 backupEngine 相同，两边创建的加密快照可以互相解密（见 webCrypto.deriveKey）
+    async deriveKey(passphrase, params) {
+        return await webCrypto.deriveKey(passphrase, params);
+    },
+
+    // 用新的随机盐生成加密参数，返回 { params, key }
+    async createEncryption(passphrase) {
+        if (!passphrase) throw new Error('加密备份需要密码');
+        const params = { ...backupEngine.encryptionDefaults, salt: this.toBase64(crypto.getRandomValues(new Uint8Array(16))) };
+        const key = await this.deriveKey(passphrase, params);
+        const check = await this.encryptBytes(key, new TextEncoder().encode(backupEngine.encryptionCheckText));
+        params.check = this.toBase64(new Uint8Array(await check.arrayBuffer()));
+        return { params, key };
+    },
+
+    // 用密码解锁加密参数，返回密钥；没有密码或密码错误时抛出异常
+    async unlockEncryption(params, passphrase) {
+        if (!passphrase) throw new Error('快照已加密，需要输入密码');
+        const key = await this.deriveKey(passphrase, params);
+        try {
+            const check = await this.decryptBytes(key, this.fromBase64(params.check));
+            if (new TextDecoder().decode(check) === backupEngine.encryptionCheckText) return key;
+        } catch (error) {
+            // 认证失败说明密码错误
+        }
+        throw new Error('密码错误');
+    },
+
+    // 读取快照清单，快照已加密时用密码解锁，返回密钥；未加密时返回 null
+    async unlockSnapshot(snapshot, passphrase) {
+        const manifest = await this.readJson(snapshot, '.backup-manifest.json');
+        return manifest?.encryption ? await this.unlockEncryption(manifest.encryption, passphrase) : null;
+    },
+
+    async createKeyCheck(passphrase) {
+        return (await this.createEncryption(passphrase)).params;
+    },
+
+    async testPassphrase(keyCheck, passphrase) {
+        try {
+            await this.unlockEncryption(keyCheck, passphrase);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    // 加密一段数据，返回 IV + 密文 + 认证标签
+    async encryptBytes(key, data) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        return new Blob([iv, await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key.gcm, data)]);
+    },
+
+    // 解密 encryptBytes 的结果，数据被改动时抛出异常
+    async decryptBytes(key, data) {
+        return await crypto.subtle.decrypt({ name: 'AES-GCM', iv: data.subarray(0, 12) }, key.gcm, data.subarray(12));
+    },
+
+    // 分块加密文件，格式与 backupEngine.encryptFile 相同
+    async encryptBlob(key, blob) {
+        return await webCrypto.encryptBlob(key, blob);
+    },
+
+    // 解密 encryptBlob 的结果，keepOutput 为 false 时只检查能否通过认证
+    async decryptBlob(key, blob, keepOutput = true) {
+        return await webCrypto.decryptBlob(key, blob, keepOutput);
+    },
+
+    // 读取快照中的文件，key 不为空时解密（保留文件名和修改时间）
+    async readSnapshotFile(file, key) {
+        return key ? new File([await this.decryptBlob(key, file)], file.name, { lastModified: file.lastModified }) : file;
+    },
+
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    },
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    },
+
+    // 创建源文件夹的文件过滤函数
+    async createFileFilter(source, rules) {
+        const backupIgnore = await this.getFile(source, '.backupignore');
+        return backupEngine.buildFileFilter(rules, backupIgnore ? await backupIgnore.text() : '');
+    },
+
+    // 获取任务中的快照文件夹句柄
+    async getSnapshot(job, name) {
+        const destination = await this.getHandle(job, 'destinationPath');
+        return await this.getDirectory(destination, backupEngine.checkBackupName(name));
+    },
+
+    // 创建快照。浏览器支持移动文件夹时先写入临时名称，否则直接写入正式名称，清单最后写入，
+    // 没有清单的文件夹不会出现在备份列表中
+    async createSnapshot(job, info) {
+        if (job.format !== 'folder') {
+            return { success: false, error: '浏览器中只支持文件夹格式的备份' };
+        }
+
+        let parent;
+        let target = null;
+        let writeName = null;
+        try {
+            const source = await this.getHandle(job, 'sourcePath');
+            const destination = await this.getHandle(job, 'destinationPath');
+            const filter = await this.createFileFilter(source, job);
+            await this.removeStaleTempBackups(destination);
+
+            const entries = [];
+            const fingerprint = [];
+            for await (const entry of this.walkEntries(source, filter)) {
+                entries.push(entry);
+                fingerprint.push(entry.isDirectory
+                    ? `${entry.relativePath}/`
+                    : `${entry.relativePath}\0${entry.file.size}\0${entry.file.lastModified}`);
+            }
+            const sourceFingerprint = info.sourceFingerprint || await this.hashFile(new Blob([fingerprint.join('\n')]));
+            const encrypted = !!job.encryption?.enabled;
+
+            if (info.skipIfUnchanged) {
+                const latestBackup = (await this.getBackupList(job))[0];
+                if (latestBackup?.manifest?.sourceFingerprint === sourceFingerprint) {
+                    return { success: true, skipped: true, path: latestBackup.path, name: latestBackup.name };
+                }
+            }
+
+            const created = new Date(info.created);
+            const name = await backupEngine.createBackupName(job, { ...info, created }, async candidate => {
+                try {
+                    await this.getDirectory(destination, candidate);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            });
+            // 快照所在的文件夹（按日期分组时为 YYYY/MM）
+            const parts = name.split('/');
+            const leafName = parts.pop();
+            parent = await this.getDirectory(destination, parts.join('/'), true);
+
+            // 加密：每个快照使用新的盐派生密钥，逐个文件加密
+            const encryption = encrypted ? await this.createEncryption(info.passphrase) : null;
+
+            const canMove = typeof FileSystemHandle !== 'undefined' && 'move' in FileSystemHandle.prototype;
+            writeName = canMove ? `${backupEngine.tempPrefix}${leafName}` : leafName;
+            target = await parent.getDirectoryHandle(writeName, { create: true });
+            this.writingSnapshots.add(target);
+
+            const checksums = { algorithm: 'sha256', files: {} };
+            const files = entries.filter(entry => !entry.isDirectory);
+            const progress = backupEngine.createProgress({
+                files: files.length,
+                bytes: files.reduce((total, entry) => total + entry.file.size, 0)
+            }, info);
+            let totalSize = 0;
+            for (const entry of entries) {
+                if (entry.isDirectory) {
+                    await this.getDirectory(target, entry.relativePath, true);
+                    continue;
+                }
+                progress.startFile(entry.relativePath);
+                const data = encryption ? await this.encryptBlob(encryption.key, entry.file) : entry.file;
+                checksums.files[entry.relativePath] = { size: data.size, sha256: await this.hashFile(data) };
+                totalSize += data.size;
+                await this.writeFile(target, entry.relativePath, data);
+                progress.addBytes(entry.file.size);
+                progress.finishFile();
+            }
+            progress.finish();
+
+            await this.writeFile(target, '.backup-checksums.json', JSON.stringify(checksums, null, 2));
+            const manifest = backupEngine.buildManifest(job, 'folder', {
+                ...info,
+                created,
+                encryption: encryption?.params || null,
+                sourceFingerprint,
+                fileCount: Object.keys(checksums.files).length,
+                totalSize
+            });
+            await this.writeFile(target, '.backup-manifest.json', JSON.stringify(manifest, null, 2));
+
+            if (canMove) {
+                await target.move(leafName);
+            }
+            return { success: true, path: `${destination.name}/${name}`, name, fileCount: manifest.fileCount, totalSize };
+        } catch (error) {
+            if (parent && writeName) {
+                // 删除写了一半的快照
+                await parent.removeEntry(writeName, { recursive: true }).catch(() => {});
+            }
+            if (error.cancelled) {
+                console.log(`[${extensionName}] 备份已取消，已删除未完成的快照`);
+                return { success: false, cancelled: true, error: error.message };
+            }
+            console.error(`[${extensionName}] 浏览器备份期间发生错误:`, error);
+            return { success: false, error: error.message || '未知错误' };
+        } finally {
+            this.writingSnapshots.delete(target);
+        }
+    },
+
+    // 本页面正在写入的快照文件夹句柄，清理临时快照时跳过
+    writingSnapshots: new Set(),
+
+    // 删除目标文件夹中遗留的临时快照（.tmp-*，包括按日期分组的子文件夹中的）。页面在备份途中关闭时会留下这些文件夹。
+    // 与 backupEngine.removeStaleTempBackups 相同，只删除超过一天没有写入的，本页面正在写入的不会删除
+    async removeStaleTempBackups(destination) {
+        const staleBefore = Date.now() - 24 * 60 * 60 * 1000;
+        const sweep = async (directory, prefix, depth) => {
+            const stale = [];
+            for await (const [name, handle] of directory.entries()) {
+                if (handle.kind !== 'directory') continue;
+                if (name.startsWith(backupEngine.tempPrefix)) {
+                    if (!await this.isWritingSnapshot(handle) && await this.getLastModified(handle) < staleBefore) {
+                        stale.push(name);
+                    }
+                } else if (depth < backupEngine.layoutDirPatterns.length && backupEngine.layoutDirPatterns[depth].test(name)) {
+                    await sweep(handle, `${prefix}${name}/`, depth + 1);
+                }
+            }
+            for (const name of stale) {
+                await directory.removeEntry(name, { recursive: true });
+                console.log(`[${extensionName}] 已删除未完成的临时快照: ${prefix}${name}`);
+            }
+        };
+
+        try {
+            await sweep(destination, '', 0);
+        } catch (error) {
+            console.warn(`[${extensionName}] 清理临时快照失败:`, error);
+        }
+    },
+
+    // 判断文件夹是否为本页面正在写入的快照
+    async isWritingSnapshot(handle) {
+        for (const writing of this.writingSnapshots) {
+            if (await writing.isSameEntry(handle)) return true;
+        }
+        return false;
+    },
+
+    // 文件夹中最后一次写入文件的时间（毫秒），没有文件时为 0
+    async getLastModified(directory) {
+        let lastModified = 0;
+        for await (const entry of this.walkEntries(directory)) {
+            if (!entry.isDirectory) lastModified = Math.max(lastModified, entry.file.lastModified);
+        }
+        return lastModified;
+    },
+
+    // 获取任务的备份列表，按创建时间从新到旧排列
+    async getBackupList(job) {
+        const destination = await this.getHandle(job, 'destinationPath');
+        const backups = [];
+
+        for (const { name, handle } of await this.readBackupDirectory(destination)) {
+            if (handle.kind !== 'directory') continue;
+
+            const manifest = await this.readJson(handle, '.backup-manifest.json');
+            if (!manifest) continue; // 尚未写完的快照或其他文件夹
+            if (manifest.job?.id && manifest.job.id !== job.id) continue;
+
+            const manifestTime = new Date(manifest.created);
+            backups.push({
+                name,
+                path: `${destination.name}/${name}`,
+                format: 'folder',
+                size: -1,
+                created: isNaN(manifestTime.getTime()) ? (backupEngine.parseBackupTime(name) || new Date(0)) : manifestTime,
+                fileCount: manifest.fileCount ?? null,
+                totalSize: manifest.totalSize ?? null,
+                manifest
+            });
+        }
+
+        backups.sort((a, b) => b.created.getTime() - a.created.getTime() || b.name.localeCompare(a.name));
+        return backups;
+    },
+
+    // 读取目标文件夹中的条目 [{ name, handle }]，包括按日期分组的 YYYY/MM/ 子文件夹中的条目（规则同 backupEngine.readBackupDirectory）
+    async readBackupDirectory(destination) {
+        const entries = [];
+        const read = async (directory, prefix, depth) => {
+            for await (const [entryName, handle] of directory.entries()) {
+                if (entryName.startsWith('.')) continue;
+                const name = `${prefix}${entryName}`;
+                if (depth < backupEngine.layoutDirPatterns.length && handle.kind === 'directory'
+                    && backupEngine.layoutDirPatterns[depth].test(entryName) && !await this.readJson(handle, '.backup-manifest.json')) {
+                    await read(handle, `${name}/`, depth + 1);
+                    continue;
+                }
+                if (depth !== 1) entries.push({ name, handle });
+            }
+        };
+        await read(destination, '', 0);
+        return entries;
+    },
+
+    // 删除任务中的快照，只删除确实是该任务快照的文件夹（见 checkSnapshot），按日期分组的月份和年份文件夹为空时一并删除
+    async deleteBackup(job, name) {
+        await this.checkSnapshot(job, name);
+        const destination = await this.getHandle(job, 'destinationPath');
+        const parts = backupEngine.checkBackupName(name).split('/');
+        const leafName = parts.pop();
+        await (await this.getDirectory(destination, parts.join('/'))).removeEntry(leafName, { recursive: true });
+
+        for (let depth = parts.length; depth > 0; depth--) {
+            const parent = await this.getDirectory(destination, parts.slice(0, depth - 1).join('/'));
+            try {
+                await parent.removeEntry(parts[depth - 1]); // 不为空时会出错
+            } catch (error) {
+                return;
+            }
+        }
+    },
+
+    // 确认是任务的快照：有清单且属于该任务；没有清单时只接受旧版本以 backup- 开头的文件夹。
+    // 与 backupEngine.checkSnapshot 的规则相同，不是快照时抛出异常
+    async checkSnapshot(job, name) {
+        let snapshot;
+        try {
+            snapshot = await this.getSnapshot(job, name);
+        } catch (error) {
+            throw new Error(`备份不存在或无法访问: ${name}`);
+        }
+
+        const leafName = name.split('/').pop();
+        const manifest = await this.readJson(snapshot, '.backup-manifest.json');
+        if (manifest) {
+            if (manifest.job?.id && manifest.job.id !== job.id) {
+                throw new Error(`快照不属于此任务: ${leafName}`);
+            }
+            return;
+        }
+        if (!leafName.startsWith('backup-')) {
+            throw new Error(`不是备份快照: ${leafName}`);
+        }
+    },
+
+    // 按保留策略清理旧快照，返回被删除的快照
+    async cleanupOldBackups(job) {
+        const { remove } = backupEngine.planCleanup(job, await this.getBackupList(job));
+        const removed = [];
+        for (const backup of remove) {
+            try {
+                await this.deleteBackup(job, backup.name);
+                removed.push(backup);
+                console.log(`[${extensionName}] 已删除旧备份: ${backup.name}`);
+            } catch (error) {
+                console.warn(`[${extensionName}] 删除备份失败: ${backup.name}`, error);
+            }
+        }
+        return removed;
+    },
+
+    // 将快照内容复制到目标文件夹，返回被覆盖、新增和删除的文件列表。key 为加密快照的密钥，
+    // filter 为任务的文件过滤函数，镜像模式不删除被规则排除的文件
+    async applySnapshot(snapshot, target, mode, key = null, filter = () => true) {
+        const report = { overwritten: [], added: [], removed: [] };
+        const snapshotFiles = await this.listFiles(snapshot);
+        const targetFiles = await this.listFiles(target);
+
+        for (const [relativePath, snapshotFile] of snapshotFiles) {
+            const file = await this.readSnapshotFile(snapshotFile, key);
+            const targetFile = targetFiles.get(relativePath);
+            if (targetFile) {
+                if (await this.isSameFile(file, targetFile)) continue;
+                report.overwritten.push(relativePath);
+            } else {
+                report.added.push(relativePath);
+            }
+            await this.writeFile(target, relativePath, file);
+        }
+
+        if (mode === 'mirror') {
+            for (const relativePath of targetFiles.keys()) {
+                if (snapshotFiles.has(relativePath)) continue;
+                if (!backupEngine.isFileIncluded(filter, relativePath)) continue;
+                const parts = relativePath.split('/');
+                const directory = await this.getDirectory(target, parts.slice(0, -1).join('/'));
+                await directory.removeEntry(parts[parts.length - 1]);
+                report.removed.push(relativePath);
+            }
+
+            // 删除文件后变空的文件夹也删除，从最深的一层开始，仍有文件的文件夹保留
+            const directories = new Set();
+            for (const relativePath of report.removed) {
+                const parts = relativePath.split('/');
+                for (let depth = parts.length - 1; depth > 0; depth--) {
+                    directories.add(parts.slice(0, depth).join('/'));
+                }
+            }
+            for (const relativePath of [...directories].sort((a, b) => b.length - a.length)) {
+                const parts = relativePath.split('/');
+                const parent = await this.getDirectory(target, parts.slice(0, -1).join('/'));
+                const directory = await parent.getDirectoryHandle(parts[parts.length - 1]);
+                if ((await directory.entries().next()).done) {
+                    await parent.removeEntry(parts[parts.length - 1]);
+                }
+            }
+        }
+
+        return report;
+    },
+
+    // 从快照恢复源文件夹，恢复前创建安全快照，失败时回滚
+    // passphrase 为所选快照的密码，safetyPassphrase 为任务启用加密时安全快照使用的密码
+    async restoreBackup(job, name, options = {}) {
+        const { mode = 'mirror', moduleVersion, passphrase, safetyPassphrase } = options;
+
+        let source;
+        let snapshot;
+        try {
+            source = await this.getHandle(job, 'sourcePath');
+            snapshot = await this.getSnapshot(job, name);
+        } catch (error) {
+            return { success: false, error: `备份不存在或无法访问: ${name}（${error.message}）` };
+        }
+
+        // 加密的快照先确认密码，密码错误时不做任何改动
+        let key;
+        try {
+            key = await this.unlockSnapshot(snapshot, passphrase);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        const safety = await this.createSnapshot({ ...job, format: 'folder' }, { created: new Date(), mode: 'pre-restore', moduleVersion, passphrase: safetyPassphrase });
+        if (!safety.success) {
+            return { success: false, error: `无法创建安全快照，已取消恢复: ${safety.error}` };
+        }
+
+        // 被包含/排除规则排除的文件不在快照中，镜像恢复和回滚时不能删除
+        const filter = await this.createFileFilter(source, job);
+
+        try {
+            console.log(`[${extensionName}] 开始从备份恢复 (模式: ${mode}): ${name}`);
+            const report = await this.applySnapshot(snapshot, source, mode, key, filter);
+            return { success: true, mode, path: name, safetyPath: safety.path, ...report };
+        } catch (error) {
+            console.error(`[${extensionName}] 恢复过程中发生错误:`, error);
+
+            let rolledBack = false;
+            try {
+                const safetySnapshot = await this.getSnapshot(job, safety.name);
+                await this.applySnapshot(safetySnapshot, source, 'mirror', await this.unlockSnapshot(safetySnapshot, safetyPassphrase), filter);
+                rolledBack = true;
+                console.log(`[${extensionName}] 已回滚到安全快照: ${safety.path}`);
+            } catch (rollbackError) {
+                console.error(`[${extensionName}] 回滚失败:`, rollbackError);
+            }
+            return { success: false, error: error.message || '未知错误', rolledBack, safetyPath: safety.path };
+        }
+    },
+
+    // 校验快照中每个文件的大小和 SHA-256，提供密码时还会解密检查加密快照中的每个文件能否通过认证
+    async verifyBackup(job, name, passphrase = null) {
+        const result = { path: name, status: 'ok', checked: 0, missing: [], corrupted: [], error: null };
+
+        let snapshot;
+        try {
+            snapshot = await this.getSnapshot(job, name);
+        } catch (error) {
+            return { ...result, status: 'corrupt', error: '快照不存在或无法访问' };
+        }
+
+        const checksums = await this.readJson(snapshot, '.backup-checksums.json');
+        if (!checksums?.files) {
+            return { ...result, status: 'unverifiable', error: '快照没有校验信息' };
+        }
+        const key = passphrase ? await this.unlockSnapshot(snapshot, passphrase) : null;
+
+        for (const [relativePath, expected] of Object.entries(checksums.files)) {
+            const file = await this.getFile(snapshot, relativePath);
+            if (!file) {
+                result.missing.push(relativePath);
+                continue;
+            }
+            result.checked++;
+            if (file.size !== expected.size || await this.hashFile(file) !== expected.sha256) {
+                result.corrupted.push(relativePath);
+            } else if (key) {
+                try {
+                    await this.decryptBlob(key, file, false);
+                } catch (error) {
+                    result.corrupted.push(relativePath);
+                }
+            }
+        }
+
+        if (result.missing.length > 0 || result.corrupted.length > 0) {
+            result.status = 'corrupt';
+        }
+        return result;
+    },
+
+    // 对比两个快照，rightName 为空时与当前源文件夹对比，passphrase 为加密快照的密码
+    async compareBackups(job, leftName, rightName, passphrase = null) {
+        const maxTextDiffSize = 1024 * 1024; // 超过1MB的文件不生成逐行差异
+        const toInfo = file => ({ size: file.size, mtime: new Date(file.lastModified) });
+
+        const leftSnapshot = await this.getSnapshot(job, leftName);
+        const rightSnapshot = rightName ? await this.getSnapshot(job, rightName) : await this.getHandle(job, 'sourcePath');
+        const leftKey = await this.unlockSnapshot(leftSnapshot, passphrase);
+        const rightKey = rightName ? await this.unlockSnapshot(rightSnapshot, passphrase) : null;
+        const leftFiles = await this.listFiles(leftSnapshot);
+        const rightFiles = await this.listFiles(rightSnapshot);
+        if (!rightName) {
+            // 与源文件夹对比时只列出会被备份的文件，被规则排除的文件不算作新增
+            const filter = await this.createFileFilter(rightSnapshot, job);
+            for (const relativePath of rightFiles.keys()) {
+                if (!backupEngine.isFileIncluded(filter, relativePath)) rightFiles.delete(relativePath);
+            }
+        }
+        const result = { leftPath: leftName, rightPath: rightName || job.sourcePath, added: [], removed: [], modified: [] };
+
+        for (const [relativePath, leftFile] of leftFiles) {
+            if (!rightFiles.has(relativePath)) {
+                result.removed.push({ path: relativePath, left: toInfo(await this.readSnapshotFile(leftFile, leftKey)) });
+            }
+        }
+
+        for (const [relativePath, rightStoredFile] of rightFiles) {
+            const rightFile = await this.readSnapshotFile(rightStoredFile, rightKey);
+            const leftStoredFile = leftFiles.get(relativePath);
+            if (!leftStoredFile) {
+                result.added.push({ path: relativePath, right: toInfo(rightFile) });
+                continue;
+            }
+            const leftFile = await this.readSnapshotFile(leftStoredFile, leftKey);
+            if (await this.isSameFile(leftFile, rightFile)) continue;
+
+            // diff: undefined 表示非文本文件，null 表示差异过大
+            const entry = { path: relativePath, left: toInfo(leftFile), right: toInfo(rightFile) };
+            const extension = (/\.[^./]*$/.exec(relativePath)?.[0] || '').toLowerCase();
+            if (backupEngine.textFileExtensions.includes(extension)) {
+                entry.diff = leftFile.size <= maxTextDiffSize && rightFile.size <= maxTextDiffSize
+                    ? backupEngine.diffLines(await leftFile.text(), await rightFile.text())
+                    : null;
+            }
+            result.modified.push(entry);
+        }
+
+        const byPath = (a, b) => a.path.localeCompare(b.path);
+        result.added.sort(byPath);
+        result.removed.sort(byPath);
+        result.modified.sort(byPath);
+        return result;
+    },
+
+    // 导出的文件只在内存中，不需要临时文件夹：返回模拟源文件夹的只读目录句柄
+    async stageFiles(files) {
+        return { id: null, source: { sourceHandle: this.createMemoryDirectory(files) } };
+    },
+
+    async removeStage() {},
+
+    // 用内存中的文件 ([{ path, data: Blob }]) 模拟只读的目录句柄
+    createMemoryDirectory(files) {
+        const notFound = name => new DOMException(`找不到: ${name}`, 'NotFoundError');
+        const createDirectory = (name) => {
+            const children = new Map();
+            return {
+                kind: 'directory',
+                name,
+                children,
+                async *entries() {
+                    yield* children.entries();
+                },
+                async getDirectoryHandle(childName) {
+                    const child = children.get(childName);
+                    if (!child) throw notFound(childName);
+                    if (child.kind !== 'directory') throw new DOMException(`不是文件夹: ${childName}`, 'TypeMismatchError');
+                    return child;
+                },
+                async getFileHandle(childName) {
+                    const child = children.get(childName);
+                    if (!child) throw notFound(childName);
+                    if (child.kind !== 'file') throw new DOMException(`不是文件: ${childName}`, 'TypeMismatchError');
+                    return child;
+                }
+            };
+        };
+
+        const root = createDirectory('sillytavern-data');
+        for (const file of files) {
+            const parts = file.path.split('/');
+            let directory = root;
+            for (const part of parts.slice(0, -1)) {
+                if (!directory.children.has(part)) directory.children.set(part, createDirectory(part));
+                directory = directory.children.get(part);
+            }
+            const name = parts[parts.length - 1];
+            const content = new File([file.data], name, { lastModified: 0 });
+            directory.children.set(name, { kind: 'file', name, getFile: async () => content });
+        }
+        return root;
+    },
+
+    // 预览包含/排除规则的效果
+    async previewFilters(job, rules) {
+        const source = await this.getHandle(job, 'sourcePath');
+        const files = [];
+        for await (const entry of this.walkEntries(source)) {
+            if (!entry.isDirectory) files.push({ relativePath: entry.relativePath, size: entry.file.size });
+        }
+        const backupIgnore = await this.getFile(source, '.backupignore');
+        return backupEngine.summarizeFilters(files, rules, backupIgnore ? await backupIgnore.text() : '');
+    }
+};
+
+// SillyTavern 数据源：通过 SillyTavern 自己的接口导出角色、聊天、世界书、预设和设置，不需要知道 data 文件夹的路径。
+// 导出的文件带有索引 (sillytavern-data.json)，可以用 importFiles 重新导入到另一个 SillyTavern
+const stDataSource = {
+    format: 'vertin-tips-sillytavern-data',
+    formatVersion: 1,
+    indexFile: 'sillytavern-data.json',
+    settingsFile: 'settings/settings.json',
+    extensionSettingsFile: 'settings/extension_settings.json',
+
+    // 可以选择的数据类别
+    categories: {
+        characters: '角色卡',
+        chats: '角色聊天记录',
+        groups: '群组和群聊记录',
+        worlds: '世界书',
+        presets: '预设',
+        settings: '用户设置',
+        extensions: '扩展设置'
+    },
+
+    // 预设类型 (保存接口的 apiId) -> 设置接口返回的 [预设内容字段, 预设名称字段]，名称字段为空时使用预设中的 name
+    presetSources: {
+        openai: ['openai_settings', 'openai_setting_names'],
+        textgenerationwebui: ['textgenerationwebui_presets', 'textgenerationwebui_preset_names'],
+        kobold: ['koboldai_settings', 'koboldai_setting_names'],
+        novel: ['novelai_settings', 'novelai_setting_names'],
+        instruct: ['instruct', null],
+        context: ['context', null],
+        sysprompt: ['sysprompt', null],
+        reasoning: ['reasoning', null]
+    },
+
+    // 调用 SillyTavern 接口，出错时抛出异常
+    async request(url, body = {}) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`${url} 请求失败: ${response.status} ${response.statusText}`);
+        }
+        return response;
+    },
+
+    // 调用接口并解析 JSON
+    async requestJson(url, body = {}) {
+        return await (await this.request(url, body)).json();
+    },
+
+    // 转换为可以用作文件名的字符串
+    safeName(name) {
+        return String(name).replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').replace(/^\.+/, '_').trim() || '_';
+    },
+
+    // 读取 SillyTavern 的设置，settings 为解析后的 settings.json
+    async getSettings() {
+        const data = await this.requestJson('/api/settings/get');
+        return { data, settings: JSON.parse(data.settings || '{}') };
+    },
+
+    // 获取角色的聊天记录列表
+    async listCharacterChats(avatar) {
+        const data = await this.requestJson('/api/characters/chats', { avatar_url: avatar });
+        // 没有聊天记录时接口返回 { error: true }，旧版本返回以序号为键的对象
+        return (Array.isArray(data) ? data : Object.values(data || {})).filter(chat => chat?.file_name);
+    },
+
+    // 导出所选类别的数据，返回 [{ path: 相对路径, data: Blob }]
+    async collect(categories) {
+        const selected = new Set(categories);
+        const files = [];
+        const usedPaths = new Set();
+        const index = {
+            format: this.format,
+            version: this.formatVersion,
+            exportedAt: new Date().toISOString(),
+            categories: Object.keys(this.categories).filter(category => selected.has(category)),
+            characters: [],
+            groups: [],
+            worlds: [],
+            presets: []
+        };
+
+        // 不同名称转换为文件名后可能相同，重名时加上序号
+        const addFile = (path, data) => {
+            let uniquePath = path;
+            for (let counter = 1; usedPaths.has(uniquePath); counter++) {
+                uniquePath = path.replace(/(\.[^./]*)?$/, `-${counter}$1`);
+            }
+            usedPaths.add(uniquePath);
+            files.push({ path: uniquePath, data: data instanceof Blob ? data : new Blob([data]) });
+            return uniquePath;
+        };
+        const toJsonl = messages => messages.map(message => JSON.stringify(message)).join('\n');
+
+        const needsSettings = ['worlds', 'presets', 'settings', 'extensions'].some(category => selected.has(category));
+        const { data: settingsData, settings } = needsSettings ? await this.getSettings() : {};
+
+        if (selected.has('characters') || selected.has('chats')) {
+            for (const character of await this.requestJson('/api/characters/all')) {
+                const entry = { avatar: character.avatar, name: character.name, file: null, chats: [] };
+                if (selected.has('characters')) {
+                    const card = await (await this.request('/api/characters/export', { format: 'png', avatar_url: character.avatar })).blob();
+                    entry.file = addFile(`characters/${this.safeName(character.avatar)}`, card);
+                }
+                if (selected.has('chats')) {
+                    const folder = this.safeName(character.avatar.replace(/\.[^.]*$/, ''));
+                    for (const chat of await this.listCharacterChats(character.avatar)) {
+                        const chatName = chat.file_name.replace(/\.jsonl$/, '');
+                        const messages = await this.requestJson('/api/chats/get', { ch_name: character.name, file_name: chatName, avatar_url: character.avatar });
+                        entry.chats.push({ name: chatName, file: addFile(`chats/${folder}/${this.safeName(chatName)}.jsonl`, toJsonl(messages)) });
+                    }
+                }
+                index.characters.push(entry);
+            }
+        }
+
+        if (selected.has('groups')) {
+            for (const group of await this.requestJson('/api/groups/all')) {
+                const entry = { id: group.id, name: group.name, file: addFile(`groups/${this.safeName(group.id)}.json`, JSON.stringify(group, null, 2)), chats: [] };
+                for (const chatId of group.chats || []) {
+                    const messages = await this.requestJson('/api/chats/group/get', { id: chatId });
+                    entry.chats.push({ id: chatId, file: addFile(`group chats/${this.safeName(chatId)}.jsonl`, toJsonl(messages)) });
+                }
+                index.groups.push(entry);
+            }
+        }
+
+        if (selected.has('worlds')) {
+            for (const name of settingsData.world_names || []) {
+                const data = await this.requestJson('/api/worldinfo/get', { name });
+                index.worlds.push({ name, file: addFile(`worlds/${this.safeName(name)}.json`, JSON.stringify(data, null, 2)) });
+            }
+        }
+
+        if (selected.has('presets')) {
+            for (const [apiId, [contentField, namesField]] of Object.entries(this.presetSources)) {
+                const contents = settingsData[contentField];
+                if (!Array.isArray(contents)) continue; // 旧版本 SillyTavern 可能没有该类预设
+                contents.forEach((content, position) => {
+                    let preset;
+                    try {
+                        preset = typeof content === 'string' ? JSON.parse(content) : content;
+                    } catch (error) {
+                        console.warn(`[${extensionName}] 无法解析预设，已跳过: ${apiId} #${position}`, error);
+                        return;
+                    }
+                    const name = namesField ? settingsData[namesField]?.[position] : preset?.name;
+                    if (!name) return;
+                    index.presets.push({ apiId, name, file: addFile(`presets/${apiId}/${this.safeName(name)}.json`, JSON.stringify(preset, null, 2)) });
+                });
+            }
+        }
+
+        if (selected.has('settings')) {
+            const { extension_settings: _, ...userSettings } = settings;
+            addFile(this.settingsFile, JSON.stringify(userSettings, null, 2));
+        }
+
+        if (selected.has('extensions')) {
+            addFile(this.extensionSettingsFile, JSON.stringify(settings.extension_settings || {}, null, 2));
+        }
+
+        addFile(this.indexFile, JSON.stringify(index, null, 2));
+        return files;
+    },
+
+    // 按内容计算导出文件的指纹（不含每次都会变化的索引文件），用于判断数据自上次快照以来是否有变化
+    async fingerprint(files) {
+        const lines = [];
+        for (const file of [...files].sort((a, b) => a.path.localeCompare(b.path))) {
+            if (file.path === this.indexFile) continue;
+            lines.push(`${file.path}\0${await browserBackend.hashFile(file.data)}`);
+        }
+        return await browserBackend.hashFile(new Blob([lines.join('\n')]));
+    },
+
+    // 将导出的文件重新导入到当前的 SillyTavern，files 为 相对路径 -> File 的映射，只导入 categories 中的类别。
+    // 角色卡按 SillyTavern 的规则导入为新角色；同名的聊天记录、世界书和预设会被覆盖。
+    // 单个条目导入失败不会中断，错误记录在返回结果的 errors 中
+    async importFiles(files, categories) {
+        const getFile = (path) => {
+            const file = files.get(path);
+            if (!file) throw new Error(`导出文件中缺少: ${path}`);
+            return file;
+        };
+        const readJson = async path => JSON.parse(await getFile(path).text());
+        const readJsonl = async path => (await getFile(path).text()).split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+        const index = await readJson(this.indexFile);
+        if (index.format !== this.format) {
+            throw new Error('所选文件不是 SillyTavern 数据导出');
+        }
+        if (index.version > this.formatVersion) {
+            throw new Error('导出文件来自较新版本的扩展，请先更新扩展');
+        }
+
+        const selected = new Set(categories.filter(category => index.categories.includes(category)));
+        const report = { categories: Array.from(selected), characters: 0, chats: 0, groups: 0, worlds: 0, presets: 0, settings: false, extensions: false, errors: [] };
+        const attempt = async (label, action) => {
+            try {
+                await action();
+            } catch (error) {
+                console.warn(`[${extensionName}] 导入失败: ${label}`, error);
+                report.errors.push(`${label}: ${error.message}`);
+            }
+        };
+
+        // 导入的角色卡可能使用新的文件名，聊天记录和群组成员需要改用新的文件名
+        const avatars = new Map();
+        for (const character of index.characters) {
+            if (selected.has('characters') && character.file) {
+                await attempt(`角色 ${character.name}`, async () => {
+                    const form = new FormData();
+                    form.append('avatar', getFile(character.file), character.avatar);
+                    form.append('file_type', 'png');
+                    const headers = getRequestHeaders();
+                    delete headers['Content-Type']; // 由浏览器生成 multipart 边界
+                    const response = await fetch('/api/characters/import', { method: 'POST', headers, body: form });
+                    const data = response.ok ? await response.json() : null;
+                    if (!data?.file_name) throw new Error(`导入角色卡失败: ${response.status}`);
+                    avatars.set(character.avatar, `${data.file_name}.png`);
+                    report.characters++;
+                });
+            }
+
+            if (selected.has('chats')) {
+                const avatar = avatars.get(character.avatar) || character.avatar;
+                for (const chat of character.chats) {
+                    await attempt(`聊天 ${character.name}/${chat.name}`, async () => {
+                        await this.request('/api/chats/save', { ch_name: character.name, file_name: chat.name, chat: await readJsonl(chat.file), avatar_url: avatar, force: true });
+                        report.chats++;
+                    });
+                }
+            }
+        }
+
+        if (selected.has('groups')) {
+            for (const entry of index.groups) {
+                await attempt(`群组 ${entry.name}`, async () => {
+                    // 群组会得到新的编号，聊天记录沿用原来的编号
+                    const { id, ...group } = await readJson(entry.file);
+                    const mapAvatar = avatar => avatars.get(avatar) || avatar;
+                    await this.request('/api/groups/create', {
+                        ...group,
+                        members: (group.members || []).map(mapAvatar),
+                        disabled_members: (group.disabled_members || []).map(mapAvatar)
+                    });
+                    report.groups++;
+                    for (const chat of entry.chats) {
+                        await this.request('/api/chats/group/save', { id: chat.id, chat: await readJsonl(chat.file) });
+                        report.chats++;
+                    }
+                });
+            }
+        }
+
+        if (selected.has('worlds')) {
+            for (const world of index.worlds) {
+                await attempt(`世界书 ${world.name}`, async () => {
+                    await this.request('/api/worldinfo/edit', { name: world.name, data: await readJson(world.file) });
+                    report.worlds++;
+                });
+            }
+        }
+
+        if (selected.has('presets')) {
+            for (const preset of index.presets) {
+                await attempt(`预设 ${preset.name}`, async () => {
+                    await this.request('/api/presets/save', { apiId: preset.apiId, name: preset.name, preset: await readJson(preset.file) });
+                    report.presets++;
+                });
+            }
+        }
+
+        // 设置和扩展设置都保存在 settings.json 中，只替换所选的部分
+        if (selected.has('settings') || selected.has('extensions')) {
+            await attempt('设置', async () => {
+                const { settings: current } = await this.getSettings();
+                const next = selected.has('settings')
+                    ? { ...await readJson(this.settingsFile), extension_settings: current.extension_settings }
+                    : current;
+                if (selected.has('extensions')) {
+                    next.extension_settings = { ...current.extension_settings, ...await readJson(this.extensionSettingsFile) };
+                }
+                await this.request('/api/settings/save', next);
+                report.settings = selected.has('settings');
+                report.extensions = selected.has('extensions');
+            });
+        }
+
+        return report;
+    }
+};
+
+// 自动备份模块
+const autoBackupModule = {
+    manifest: {
+        id: 'autoBackup',
+        version: '1.2.0',
+        displayName: '文件夹备份',
+        description: '按指定时间间隔，将文件夹或 SillyTavern 数据完整备份到另一个位置，可以设置多个独立的备份任务。',
+        dependencies: {},
+        
+        // 备份配置
+        defaultConfig: {
+            backend: 'auto', // 执行备份的位置: 'auto'、'local' (直接访问文件系统)、'server' (服务器插件) 或 'browser' (浏览器文件夹访问)
+            jobs: [], // 备份任务列表，每个任务的字段见 jobDefaults
+            historyLimit: 100, // 最多保留的运行记录条数
+            // 运行记录，从新到旧排列: { jobId, jobName, mode, status, start, end, duration, files, bytes, path, error }
+            // status 为 'success'、'failed'、'cancelled' 或 'skipped' (源文件夹没有变化)
+            history: []
+        },
+        
+        // 设置界面按此生成，任务的配置界面见 jobs.fields；自定义部分的渲染和事件见 renderJobActions 等函数
+        configSchema: {
+            backend: {
+                type: 'enum',
+                label: '执行备份的位置',
+                options: {
+                    auto: '自动（能访问本地文件时直接备份，否则使用服务器插件）',
+                    local: '本地（Electron 等可以访问文件系统的环境）',
+                    server: 'SillyTavern 服务器插件',
+                    browser: '浏览器文件夹访问（只支持文件夹格式）'
+                },
+                validate: value => value === 'browser' && !browserBackend.isSupported() ? '当前浏览器不支持文件夹访问 (File System Access API)' : null,
+                rerender: true // 更新默认路径提示和授权按钮
+            },
+            backendStatus: { type: 'custom', render: renderBackendStatus, bind: bindBackendStatus },
+            dashboard: { type: 'custom', render: renderAutoBackupDashboard, bind: bindAutoBackupDashboard },
+            historyLimit: { type: 'number', min: 1, max: 1000, hidden: true }, // 在运行状态面板中设置
+            history: { type: 'list', hidden: true },
+            jobs: {
+                type: 'list',
+                key: 'id',
+                itemClass: 'autoBackup-job',
+                summary: renderJobSummary,
+                addLabel: '添加备份任务',
+                removeLabel: '删除任务',
+                add({ module }) {
+                    const name = prompt('请输入备份任务名称:', module.jobDefaults.name);
+                    if (name === null) return false;
+                    module.addJob(name.trim());
+                },
+                remove({ module, item: job }) {
+                    if (!confirm(`确定要删除备份任务 "${job.name}" 吗？已有的备份文件不会被删除。`)) return false;
+                    module.removeJob(job.id);
+                },
+                fields: {
+                    name: { type: 'string', label: '任务名称' },
+                    interval: {
+                        type: 'enum',
+                        label: '备份间隔',
+                        options: [
+                            [15, '15分钟'], [30, '30分钟'], [60, '1小时'], [120, '2小时'],
+                            [180, '3小时'], [360, '6小时'], [720, '12小时'], [1440, '24小时']
+                        ]
+                    },
+                    schedule: {
+                        type: 'string',
+                        label: '备份计划（可选，填写后代替备份间隔）',
+                        placeholder: '例如: daily at 03:00、weekdays every 2h、mon,thu at 12:00,20:00',
+                        help: '页面重新加载后会根据上次自动备份的时间继续计时，错过的备份会立即补上',
+                        validate(value) {
+                            try {
+                                if (value.trim()) backupSchedule.parse(value);
+                                return null;
+                            } catch (error) {
+                                return error.message;
+                            }
+                        }
+                    },
+                    quietHours: {
+                        type: 'group',
+                        label: '静默时段（此期间不自动备份）',
+                        inline: true,
+                        fields: {
+                            start: { type: 'time', label: '开始' },
+                            end: { type: 'time', label: '结束' }
+                        }
+                    },
+                    sourceType: {
+                        type: 'enum',
+                        label: '备份内容',
+                        options: { folder: '文件夹', sillytavern: 'SillyTavern 数据（通过 SillyTavern 接口导出，不需要知道数据文件夹路径）' }
+                    },
+                    sourcePath: {
+                        type: 'path',
+                        label: '要备份的源文件夹',
+                        placeholder: '选择或输入要备份的文件夹路径',
+                        visible: job => job.sourceType !== 'sillytavern',
+                        browse: browseJobFolder
+                    },
+                    dataCategories: {
+                        type: 'list',
+                        label: '要备份的数据',
+                        options: stDataSource.categories,
+                        visible: job => job.sourceType === 'sillytavern'
+                    },
+                    dataImport: {
+                        type: 'custom',
+                        visible: job => job.sourceType === 'sillytavern',
+                        render: renderDataImport,
+                        bind: bindDataImport
+                    },
+                    destinationPath: {
+                        type: 'path',
+                        label: '备份目标目录',
+                        placeholder: '留空使用默认路径（桌面）',
+                        help: ({ module, item: job }) => `默认路径: ${getDefaultDestination(module, job)}`,
+                        browse: browseJobFolder
+                    },
+                    nameTemplate: {
+                        type: 'string',
+                        label: '快照名称',
+                        placeholder: backupEngine.defaultNameTemplate,
+                        help: '可用变量: {date} 日期、{time} 时间、{job} 任务名称、{mode} 备份方式、{host} 计算机名、{label} 手动备份的备注。值为空的变量会连同前面的分隔符一起省略，同名时自动加上序号',
+                        validate: value => backupEngine.checkNameTemplate(value)
+                    },
+                    layout: {
+                        type: 'enum',
+                        label: '目录结构',
+                        options: { flat: '直接放在目标目录中', date: '按月份分组 (YYYY/MM/)' },
+                        help: '修改后已有的快照保持原位置，仍会出现在列表中并参与清理'
+                    },
+                    includePatterns: { type: 'list', label: '包含规则 (每行一个 glob)', placeholder: '留空表示备份全部文件，例如: chats/**' },
+                    excludePatterns: {
+                        type: 'list',
+                        label: '排除规则 (每行一个 glob)',
+                        placeholder: '例如: thumbnails/\nbackups/\n*.tmp',
+                        help: '语法同 .gitignore；源文件夹根目录下的 .backupignore 文件也会生效'
+                    },
+                    filterPreview: { type: 'custom', render: renderFilterPreview, bind: bindFilterPreview },
+                    retention: {
+                        type: 'group',
+                        label: '保留策略',
+                        help: '在备份列表中固定的备份不会被清理',
+                        fields: {
+                            mode: { type: 'enum', options: { count: '按数量', tiered: '分级保留' } },
+                            keepAllHours: { type: 'number', label: '保留最近多少小时内的全部备份', min: 0, visible: retention => retention.mode === 'tiered' },
+                            daily: { type: 'number', label: '之后每天保留一个，共多少天', min: 0, visible: retention => retention.mode === 'tiered' },
+                            weekly: { type: 'number', label: '每周保留一个，共多少周', min: 0, visible: retention => retention.mode === 'tiered' },
+                            monthly: { type: 'number', label: '每月保留一个，共多少个月', min: 0, visible: retention => retention.mode === 'tiered' }
+                        }
+                    },
+                    maxBackups: {
+                        type: 'number',
+                        label: '最大备份文件夹数',
+                        min: 1,
+                        max: 100,
+                        help: '超过此数量的旧备份将被自动删除',
+                        visible: job => job.retention.mode !== 'tiered'
+                    },
+                    verifyInterval: {
+                        type: 'number',
+                        label: '定期校验间隔 (小时)',
+                        min: 0,
+                        help: '按校验和检查已有快照是否损坏或缺少文件，0 表示不定期校验'
+                    },
+                    format: {
+                        type: 'enum',
+                        label: '备份格式',
+                        options: { folder: '文件夹', zip: 'zip 压缩包', 'tar.gz': 'tar.gz 压缩包', dedup: '去重存储' },
+                        help: 'zip 格式不支持接近或超过4GB的单个文件。去重存储把文件内容按哈希保存在目标文件夹的 .store 中，每个快照只是一个索引文件，相同的内容只保存一份（不支持加密）'
+                    },
+                    incremental: {
+                        type: 'boolean',
+                        label: '增量备份',
+                        help: '仅适用于文件夹格式。未变化的文件以硬链接方式复用上一个备份，每个备份仍是完整的文件夹（需要源与目标支持硬链接）'
+                    },
+                    encryption: { type: 'custom', render: renderJobEncryption, bind: bindJobEncryption },
+                    enabled: { type: 'boolean', label: '启用自动备份', help: '源文件夹自上次快照以来没有变化时会跳过自动备份' },
+                    triggers: {
+                        type: 'group',
+                        label: '事件触发',
+                        fields: {
+                            messages: { type: 'number', label: '每多少条新消息后备份 (0 为关闭)', min: 0 },
+                            chatChanged: { type: 'boolean', label: '切换聊天时' },
+                            characterChanged: { type: 'boolean', label: '编辑或删除角色后' },
+                            beforeClose: { type: 'boolean', label: '关闭页面前' }
+                        }
+                    },
+                    triggerDelay: {
+                        type: 'number',
+                        label: '事件发生后等待多少秒再备份',
+                        min: 0,
+                        help: '等待期间再次发生的事件会重新计时，源文件夹没有变化时跳过备份'
+                    },
+                    actions: { type: 'custom', render: renderJobActions, bind: bindJobActions }
+                }
+            }
+        }
+    },
+    
+    // 备份任务的默认配置
+    jobDefaults: {
+        name: '新备份任务',
+        interval: 60, // 默认60分钟
+        schedule: '', // 备份计划，例如 'daily at 03:00'（语法见 backupSchedule），为空时按 interval 间隔备份
+        quietHours: { start: '', end: '' }, // 静默时段 (HH:MM)，期间不自动备份，到期的备份推迟到静默时段结束
+        lastAutoRun: null, // 上次自动备份的时间，刷新页面后据此计算下一次备份，错过的备份会立即补上
+        sourceType: 'folder', // 源类型: 'folder' (文件夹) 或 'sillytavern' (通过 SillyTavern 接口导出的数据，见 stDataSource)
+        sourcePath: '', // 要备份的源文件夹路径
+        dataCategories: Object.keys(stDataSource.categories), // SillyTavern 数据源要导出的类别
+        destinationPath: '', // 备份目标路径
+        nameTemplate: backupEngine.defaultNameTemplate, // 快照名称模板，变量见 backupEngine.formatBackupName
+        layout: 'flat', // 目录结构: 'flat' (直接放在目标目录中) 或 'date' (按月份分组到 YYYY/MM/ 子文件夹)
+        maxBackups: 10, // 最大备份文件夹数
+        incremental: false, // 增量备份：未变化的文件以硬链接方式复用上一个快照
+        format: 'folder', // 备份格式: 'folder'、'zip'、'tar.gz' 或 'dedup' (去重存储，见 backupEngine.writeDedupSnapshot)
+        includePatterns: [], // 只备份匹配这些 glob 的文件（为空表示全部）
+        excludePatterns: [], // 不备份匹配这些 glob 的文件，语法同 .gitignore
+        enabled: false, // 是否启用自动备份
+        // 保留策略: 'count' 只保留最新的 maxBackups 个；
+        // 'tiered' 保留最近 keepAllHours 小时内的全部备份，以及最近 daily 天每天、weekly 周每周、monthly 月每月各一个
+        retention: { mode: 'count', keepAllHours: 24, daily: 14, weekly: 8, monthly: 12 },
+        pinned: [], // 固定的备份名称，不会被清理
+        verifyInterval: 0, // 定期校验快照的间隔（小时），0 表示不定期校验
+        verifyResults: {}, // 快照校验结果 (快照名称 -> { time, status, missing, corrupted, error })
+        // 事件触发: 每 messages 条新消息后（0 表示关闭）、切换聊天、编辑/删除角色、关闭页面前
+        triggers: { messages: 0, chatChanged: false, characterChanged: false, beforeClose: false },
+        triggerDelay: 30, // 事件触发后等待的秒数，期间的新事件会重新计时
+        // 加密: 用密码派生的密钥以 AES-256-GCM 加密快照（加密时不使用增量备份）。
+        // keyCheck 只保存盐和加密的校验值，用于确认输入的密码是否正确，密码本身不会保存
+        encryption: { enabled: false, keyCheck: null },
+        lastRun: null // 上次运行结果 { time, mode, success, path, error }
+    },
+    
+    // 每个任务的定时器 (任务ID -> 定时器)
+    backupTimers: new Map(),
+    
+    // 每个任务下一次自动备份的时间 (任务ID -> 时间戳)
+    nextRuns: new Map(),
+    
+    // 每个任务连续失败的自动备份次数 (任务ID -> 次数)，用于计算重试的等待时间
+    autoRetries: new Map(),
+    
+    // 自动备份失败后第一次重试的等待时间，之后每次加倍，最长 autoRetryMaxDelay（毫秒）
+    autoRetryDelay: 60 * 1000,
+    autoRetryMaxDelay: 60 * 60 * 1000,
+    
+    // 每个任务的定期校验定时器 (任务ID -> 定时器)
+    verifyTimers: new Map(),
+    
+    // 正在备份的任务ID，同一个任务同时只能进行一个备份
+    runningJobs: new Set(),
+    
+    // 正在进行的备份的进度 (任务ID -> 进度，字段见 backupEngine.createProgress)
+    progress: new Map(),
+    
+    // 用于取消正在进行的备份 (任务ID -> AbortController)
+    abortControllers: new Map(),
+    
+    // 事件触发的延迟定时器 (任务ID -> 定时器)
+    triggerTimers: new Map(),
+    
+    // 每个任务自上次触发后收到的新消息数 (任务ID -> 数量)
+    messageCounts: new Map(),
+    
+    // 取消已注册事件监听器的函数
+    eventHandlers: [],
+    
+    // 本次会话中已解锁的加密任务密码 (任务ID -> 密码)，只保存在内存中
+    passphrases: new Map(),
+    
+    // 模块初始化
+    async init() {
+        console.log(`[${extensionName}] 自动备份模块初始化中...`);
+        
+        // 加载配置
+        this.loadConfig();
+        
+        // 备份列表等对话框中 onclick 调用的函数
+        for (const action of backupDialogActions) {
+            this.context.setGlobal(action.name, action);
+        }
+        
+        // 上下文释放时定时器已被清除，同时清空记录，避免重新加载后引用失效的定时器
+        this.context.onDispose(() => {
+            this.backupTimers.clear();
+            this.nextRuns.clear();
+            this.autoRetries.clear();
+            this.triggerTimers.clear();
+            this.verifyTimers.clear();
+            this.messageCounts.clear();
+            this.eventHandlers = [];
+        });
+        
+        // 为启用了自动备份的任务启动定时器
+        for (const job of this.config.jobs) {
+            if (job.enabled) {
+                this.startAutoBackup(job);
+            }
+            this.startVerifySchedule(job);
+        }
+        
+        // 监听 SillyTavern 事件
+        this.registerEventTriggers();
+        
+        // 浏览器后端需要重新获得文件夹权限
+        this.checkBrowserPermissions();
+        
+        // 加密任务的密码不会保存，刷新页面后需要重新输入才能自动备份
+        const locked = this.config.jobs.filter(job => this.isLocked(job) && (job.enabled || Object.values(job.triggers).some(Boolean)));
+        if (locked.length > 0) {
+            this.showNotification('加密备份需要输入密码', `请在设置中为以下任务点击“输入密码”: ${locked.map(job => job.name).join(', ')}`, 'warning');
+        }
+        
+        console.log(`[${extensionName}] 自动备份模块初始化完成`);
+    },
+    
+    // 模块销毁
+    async destroy() {
+        console.log(`[${extensionName}] 自动备份模块销毁中...`);
+        
+        // 停止定时器，取消正在进行的备份
+        this.stopAutoBackup();
+        this.stopVerifySchedule();
+        this.unregisterEventTriggers();
+        for (const controller of this.abortControllers.values()) {
+            controller.abort();
+        }
+        
+        console.log(`[${extensionName}] 自动备份模块销毁完成`);
+    },
+    
+    // 迁移旧版本的设置
+    onSettingsMigrate(oldVersion, moduleSettings) {
+        const storedConfig = moduleSettings.config;
+        if (storedConfig && !Array.isArray(storedConfig.jobs)) {
+            // 旧版本只有一组源/目标配置，迁移为一个默认任务
+            moduleSettings.config = { jobs: [this.createJob({ ...storedConfig, id: 'default', name: '默认任务' })] };
+            console.log(`[${extensionName}] 已将旧的备份配置迁移为默认任务`);
+        }
+    },
+    
+    // 任务中只属于本机的运行状态，导出设置和保存方案时去掉，导入时保留本机的值
+    localJobFields: ['lastAutoRun', 'lastRun', 'pinned', 'verifyResults'],
+    
+    // 导出时去掉运行记录和任务的运行状态
+    onConfigExport(config) {
+        if (!Array.isArray(config.jobs)) return config; // 尚未迁移的旧版本设置，导入时再迁移
+        const { history, ...exported } = config;
+        exported.jobs = (config.jobs || []).map(job => {
+            const copy = { ...job };
+            for (const field of this.localJobFields) delete copy[field];
+            return copy;
+        });
+        return exported;
+    },
+    
+    // 导入时保留本机的运行记录，同一ID的任务保留上次运行时间、固定的快照和校验结果
+    onConfigImport(config, currentConfig) {
+        const currentJobs = new Map((currentConfig?.jobs || []).map(job => [job.id, job]));
+        return {
+            ...config,
+            history: currentConfig?.history || [],
+            jobs: config.jobs.map(job => {
+                const current = currentJobs.get(job.id);
+                if (!current) return job;
+                const local = Object.fromEntries(this.localJobFields.filter(field => field in current).map(field => [field, current[field]]));
+                return { ...job, ...local };
+            })
+        };
+    },
+    
+    // 设置界面中的值改变，按字段交给对应的方法处理
+    onConfigChange(path, value) {
+        const [field, jobId, jobField, subField] = path;
+        if (field === 'backend') {
+            this.setBackend(value);
+        } else if (field === 'historyLimit') {
+            this.setHistoryLimit(value);
+        } else if (field === 'jobs') {
+            const job = this.updateJob(jobId, { [jobField]: subField ? { [subField]: value } : value });
+            if (job) updateJobStatusDisplay(job);
+        } else {
+            this.config[field] = value;
+            this.saveConfig();
+        }
+    },
+    
+    // 加载配置。默认值和字段类型已由 moduleManager 按 manifest 处理，这里补全每个任务的字段
+    loadConfig() {
+        this.config.jobs = this.config.jobs.map(job => this.createJob(job));
+
+        if (this.config.jobs.length === 0) {
+            this.config.jobs.push(this.createJob({ id: 'default', name: '默认任务' }));
+        }
+    },
+    
+    // 保存配置
+    saveConfig() {
+        moduleManager.getModuleSettings(this.name).config = this.config;
+        saveSettingsDebounced();
+    },
+    
+    // 根据默认配置创建任务对象
+    createJob(overrides = {}) {
+        return {
+            ...this.jobDefaults,
+            includePatterns: [],
+            excludePatterns: [],
+            pinned: [],
+            verifyResults: {},
+            dataCategories: [...this.jobDefaults.dataCategories],
+            id: `job-${backupEngine.createStageId()}`, // 带随机后缀，同一毫秒内创建的任务也不会重复
+            ...overrides,
+            retention: { ...this.jobDefaults.retention, ...overrides.retention },
+            triggers: { ...this.jobDefaults.triggers, ...overrides.triggers },
+            quietHours: { ...this.jobDefaults.quietHours, ...overrides.quietHours },
+            encryption: { ...this.jobDefaults.encryption, ...overrides.encryption }
+        };
+    },
+    
+    // 获取任务
+    getJob(jobId) {
+        return this.config.jobs.find(job => job.id === jobId) || null;
+    },
+    
+    // 添加任务
+    addJob(name) {
+        const job = this.createJob({ name: name || this.jobDefaults.name });
+        this.config.jobs.push(job);
+        this.saveConfig();
+        return job;
+    },
+    
+    // 删除任务（不会删除已有的备份）
+    removeJob(jobId) {
+        if (this.getBackend() === browserBackend) {
+            browserBackend.forgetJob(jobId).catch(error => console.warn(`[${extensionName}] 无法删除保存的文件夹句柄:`, error));
+        }
+        this.stopAutoBackup(jobId);
+        this.stopVerifySchedule(jobId);
+        this.cancelTriggeredBackup(jobId);
+        this.passphrases.delete(jobId);
+        this.config.jobs = this.config.jobs.filter(job => job.id !== jobId);
+        this.saveConfig();
+    },
+    
+    // 更新任务配置，并在需要时重启该任务的定时器
+    updateJob(jobId, changes) {
+        const job = this.getJob(jobId);
+        if (!job) return null;
+
+        const normalized = { ...changes };
+        if ('name' in changes) normalized.name = String(changes.name || '').trim() || job.name;
+        if ('interval' in changes) normalized.interval = Math.max(1, parseInt(changes.interval) || 60);
+        if ('schedule' in changes) normalized.schedule = String(changes.schedule || '').trim();
+        if ('quietHours' in changes) {
+            const quietHours = { ...job.quietHours, ...changes.quietHours };
+            normalized.quietHours = {
+                start: backupSchedule.parseTime(quietHours.start) === null ? '' : quietHours.start,
+                end: backupSchedule.parseTime(quietHours.end) === null ? '' : quietHours.end
+            };
+        }
+        if ('maxBackups' in changes) normalized.maxBackups = Math.max(1, parseInt(changes.maxBackups) || 10);
+        if ('sourceType' in changes) normalized.sourceType = changes.sourceType === 'sillytavern' ? 'sillytavern' : 'folder';
+        if ('sourcePath' in changes) normalized.sourcePath = (changes.sourcePath || '').trim();
+        if ('dataCategories' in changes) {
+            normalized.dataCategories = Object.keys(stDataSource.categories).filter(category => changes.dataCategories.includes(category));
+        }
+        if ('destinationPath' in changes) normalized.destinationPath = (changes.destinationPath || '').trim();
+        if ('format' in changes) normalized.format = changes.format in backupEngine.archiveExtensions ? changes.format : 'folder';
+        if ('incremental' in changes) normalized.incremental = !!changes.incremental;
+        if ('enabled' in changes) normalized.enabled = !!changes.enabled;
+        if ('verifyInterval' in changes) normalized.verifyInterval = Math.max(0, parseInt(changes.verifyInterval) || 0);
+        if ('triggerDelay' in changes) normalized.triggerDelay = Math.max(0, parseInt(changes.triggerDelay) || 0);
+        if ('triggers' in changes) {
+            const triggers = { ...job.triggers, ...changes.triggers };
+            normalized.triggers = {
+                messages: Math.max(0, parseInt(triggers.messages) || 0),
+                chatChanged: !!triggers.chatChanged,
+                characterChanged: !!triggers.characterChanged,
+                beforeClose: !!triggers.beforeClose
+            };
+        }
+        if ('encryption' in changes) {
+            const encryption = { ...job.encryption, ...changes.encryption };
+            normalized.encryption = { enabled: !!encryption.enabled, keyCheck: encryption.keyCheck || null };
+        }
+        if ('retention' in changes) {
+            const retention = { ...job.retention, ...changes.retention };
+            normalized.retention = {
+                mode: retention.mode === 'tiered' ? 'tiered' : 'count',
+                keepAllHours: Math.max(0, parseInt(retention.keepAllHours) || 0),
+                daily: Math.max(0, parseInt(retention.daily) || 0),
+                weekly: Math.max(0, parseInt(retention.weekly) || 0),
+                monthly: Math.max(0, parseInt(retention.monthly) || 0)
+            };
+        }
+        if ('includePatterns' in changes) {
+            normalized.includePatterns = backupEngine.compilePatterns(changes.includePatterns).map(rule => rule.pattern);
+        }
+        if ('excludePatterns' in changes) {
+            normalized.excludePatterns = backupEngine.compilePatterns(changes.excludePatterns).map(rule => rule.pattern);
+        }
+
+        Object.assign(job, normalized);
+        this.saveConfig();
+
+        if (['interval', 'schedule', 'quietHours', 'enabled'].some(field => field in changes)) {
+            if (job.enabled) {
+                this.startAutoBackup(job);
+            } else {
+                this.stopAutoBackup(job.id);
+            }
+        }
+        if ('verifyInterval' in changes) {
+            this.startVerifySchedule(job);
+        }
+        return job;
+    },
+    
+    // 设置加密任务的密码：只保存由密码生成的校验值，密码本身在本次会话中保留在内存里
+    async setPassphrase(job, passphrase) {
+        const keyCheck = await this.getBackend().createKeyCheck(passphrase);
+        this.passphrases.set(job.id, passphrase);
+        this.updateJob(job.id, { encryption: { keyCheck } });
+    },
+    
+    // 用密码解锁加密任务，返回密码是否正确
+    async unlockJob(job, passphrase) {
+        if (!job.encryption.keyCheck || !await this.getBackend().testPassphrase(job.encryption.keyCheck, passphrase)) {
+            return false;
+        }
+        this.passphrases.set(job.id, passphrase);
+        return true;
+    },
+    
+    // 任务启用了加密但本次会话还没有输入密码
+    isLocked(job) {
+        return !!job.encryption?.enabled && !this.passphrases.has(job.id);
+    },
+    
+    // 计算任务在 after 之后的下一次自动备份时间，已考虑静默时段；计划无效时返回 null
+    getScheduledTime(job, after) {
+        let schedule;
+        try {
+            schedule = job.schedule ? backupSchedule.parse(job.schedule) : { days: null, times: null, every: job.interval };
+        } catch (error) {
+            console.warn(`[${extensionName}] 备份计划无效 [${job.name}]: ${job.schedule}`, error.message);
+            return null;
+        }
+        const time = backupSchedule.nextRun(schedule, after);
+        return time === null ? null : backupSchedule.applyQuietHours(time, job.quietHours);
+    },
+    
+    // 启动任务的自动备份。从上次自动备份的时间计算下一次备份，已经错过时立即补做（静默时段内推迟到结束后）
+    startAutoBackup(job) {
+        this.stopAutoBackup(job.id); // 先停止之前的定时器
+        
+        // 旧版本没有记录 lastAutoRun，使用上次自动备份的运行结果
+        const lastAutoRun = job.lastAutoRun ?? (job.lastRun?.mode === 'auto' ? job.lastRun.time : null);
+        let due = this.getScheduledTime(job, lastAutoRun ?? Date.now());
+        if (due === null) return;
+
+        if (due <= Date.now()) {
+            due = backupSchedule.applyQuietHours(Date.now(), job.quietHours);
+            console.log(`[${extensionName}] 发现错过的自动备份 [${job.name}]，将在 ${new Date(due).toLocaleString()} 补做`);
+        }
+        this.scheduleAutoBackup(job, due);
+        
+        console.log(`[${extensionName}] 自动备份已启动 [${job.name}]，计划: ${job.schedule || `每${job.interval}分钟`}`);
+    },
+    
+    // 设置任务下一次自动备份的定时器。定时器最长等待1小时后重新检查，避免电脑休眠或调整时钟后错过时间。
+    // 备份成功（或没有变化而跳过）后才记录 lastAutoRun；失败或取消时不算完成，等待 autoRetryDelay 后重试，
+    // 连续失败时等待时间逐次加倍
+    scheduleAutoBackup(job, due) {
+        const maxDelay = 60 * 60 * 1000;
+        this.nextRuns.set(job.id, due);
+        const timer = this.context.setTimeout(async () => {
+            if (Date.now() < due) {
+                this.scheduleAutoBackup(job, due);
+                return;
+            }
+
+            const startTime = Date.now();
+            const result = await this.createBackup({ mode: 'auto', jobId: job.id, skipIfUnchanged: true });
+            // 备份期间任务被停止或重新启动时，已经没有或有了新的定时器
+            if (this.backupTimers.get(job.id) !== timer) return;
+
+            let next;
+            if (result.success) {
+                this.autoRetries.delete(job.id);
+                job.lastAutoRun = startTime;
+                this.saveConfig();
+                next = this.getScheduledTime(job, startTime);
+            } else {
+                const failures = (this.autoRetries.get(job.id) || 0) + 1;
+                this.autoRetries.set(job.id, failures);
+                const delay = Math.min(this.autoRetryDelay * 2 ** (failures - 1), this.autoRetryMaxDelay);
+                next = backupSchedule.applyQuietHours(Date.now() + delay, job.quietHours);
+                console.log(`[${extensionName}] 自动备份未完成 [${job.name}]，将在 ${new Date(next).toLocaleString()} 重试`);
+            }
+
+            if (next === null) {
+                this.backupTimers.delete(job.id);
+                this.nextRuns.delete(job.id);
+            } else {
+                this.scheduleAutoBackup(job, next);
+            }
+        }, Math.min(Math.max(0, due - Date.now()), maxDelay));
+        this.backupTimers.set(job.id, timer);
+    },
+    
+    // 停止自动备份，不指定任务时停止全部任务
+    stopAutoBackup(jobId) {
+        const jobIds = jobId ? [jobId] : Array.from(this.backupTimers.keys());
+        for (const id of jobIds) {
+            if (this.backupTimers.has(id)) {
+                this.context.clearTimer(this.backupTimers.get(id));
+                this.backupTimers.delete(id);
+                this.nextRuns.delete(id);
+                console.log(`[${extensionName}] 自动备份已停止 [${this.getJob(id)?.name || id}]`);
+            }
+        }
+    },
+    
+    // 注册事件触发器
+    registerEventTriggers() {
+        this.unregisterEventTriggers();
+
+        const listen = (eventType, trigger) => {
+            if (!eventType) return; // 旧版本 SillyTavern 可能没有该事件
+            this.eventHandlers.push(this.context.on(eventSource, eventType, () => this.handleTrigger(trigger)));
+        };
+
+        listen(event_types.MESSAGE_RECEIVED, 'messages');
+        listen(event_types.MESSAGE_SENT, 'messages');
+        listen(event_types.CHAT_CHANGED, 'chatChanged');
+        listen(event_types.CHARACTER_EDITED, 'characterChanged');
+        listen(event_types.CHARACTER_DELETED, 'characterChanged');
+
+        // 关闭页面前无法等待延迟，直接开始备份
+        const beforeUnload = () => {
+            for (const job of this.config.jobs) {
+                if (job.triggers.beforeClose) {
+                    this.cancelTriggeredBackup(job.id);
+                    this.createBackup({ mode: 'event', jobId: job.id, skipIfUnchanged: true });
+                }
+            }
+        };
+        this.eventHandlers.push(this.context.on(window, 'beforeunload', beforeUnload));
+    },
+
+    // 移除事件触发器和尚未执行的延迟备份
+    unregisterEventTriggers() {
+        for (const unsubscribe of this.eventHandlers) {
+            unsubscribe();
+        }
+        this.eventHandlers = [];
+        this.messageCounts.clear();
+        this.cancelTriggeredBackup();
+    },
+
+    // 处理事件，对启用了该触发方式的任务安排备份
+    handleTrigger(trigger) {
+        for (const job of this.config.jobs) {
+            if (trigger === 'messages') {
+                if (!job.triggers.messages) continue;
+                const count = (this.messageCounts.get(job.id) || 0) + 1;
+                if (count < job.triggers.messages) {
+                    this.messageCounts.set(job.id, count);
+                    continue;
+                }
+                this.messageCounts.delete(job.id);
+            } else if (!job.triggers[trigger]) {
+                continue;
+            }
+            this.scheduleTriggeredBackup(job);
+        }
+    },
+
+    // 延迟执行事件触发的备份，延迟期间的新事件会重新计时
+    scheduleTriggeredBackup(job) {
+        this.cancelTriggeredBackup(job.id);
+        this.triggerTimers.set(job.id, this.context.setTimeout(() => {
+            this.triggerTimers.delete(job.id);
+            if (this.runningJobs.has(job.id)) {
+                // 正在备份时稍后再试
+                this.scheduleTriggeredBackup(job);
+                return;
+            }
+            this.createBackup({ mode: 'event', jobId: job.id, skipIfUnchanged: true });
+        }, job.triggerDelay * 1000));
+    },
+
+    // 取消尚未执行的事件触发备份，不指定任务时取消全部
+    cancelTriggeredBackup(jobId) {
+        const jobIds = jobId ? [jobId] : Array.from(this.triggerTimers.keys());
+        for (const id of jobIds) {
+            if (this.triggerTimers.has(id)) {
+                this.context.clearTimer(this.triggerTimers.get(id));
+                this.triggerTimers.delete(id);
+            }
+        }
+    },
+    
+    // 创建备份，未指定任务时使用第一个任务
+    // skipIfUnchanged: 源文件夹自上次快照以来没有变化时跳过本次备份（自动和事件触发的备份使用）
+    async createBackup(options = {}) {
+        const { mode = 'manual', skipCleanup = false, skipIfUnchanged = false } = options; // mode: 'manual', 'auto', 'event' or 'pre-restore'
+        const label = String(options.label || '').trim(); // 备注，用于快照名称中的 {label}，并记录在清单中
+        const job = options.jobId ? this.getJob(options.jobId) : this.config.jobs[0];
+
+        if (!job) {
+            const msg = `备份任务不存在: ${options.jobId}`;
+            console.warn(`[${extensionName}] ${msg}`);
+            return { success: false, error: msg };
+        }
+
+        // 上一次备份还没有结束时不再开始新的备份（例如定时器在大文件夹备份期间再次触发）
+        if (this.runningJobs.has(job.id)) {
+            const msg = '该任务正在备份中，请等待完成或取消后再试';
+            console.warn(`[${extensionName}] ${msg} [${job.name}]`);
+            if (mode === 'manual') {
+                this.showNotification(`备份未开始 [${job.name}]`, msg, 'warning');
+            }
+            return { success: false, busy: true, error: msg };
+        }
+
+        const startTime = Date.now();
+        const controller = new AbortController();
+        this.runningJobs.add(job.id);
+        this.abortControllers.set(job.id, controller);
+        updateJobStatusDisplay(job);
+
+        const backend = this.getBackend();
+        let stage = null;
+        let result;
+        try {
+            console.log(`[${extensionName}] 开始创建备份 [${job.name}] (模式: ${mode})...`);
+            
+            const isDataSource = job.sourceType === 'sillytavern';
+            if (isDataSource ? job.dataCategories.length === 0 : !job.sourcePath) {
+                const msg = isDataSource ? '请先在设置中选择要备份的 SillyTavern 数据。' : '请先在设置中指定源文件夹。';
+                console.warn(`[${extensionName}] ${msg}`);
+                this.showNotification(`备份中断 [${job.name}]`, msg, 'warning');
+                result = { success: false, error: msg };
+                return result;
+            }
+
+            if (this.isLocked(job)) {
+                const msg = '任务已启用加密，请先在设置中输入密码。';
+                console.warn(`[${extensionName}] ${msg}`);
+                this.showNotification(`备份中断 [${job.name}]`, msg, 'warning');
+                result = { success: false, error: msg };
+                return result;
+            }
+
+            // SillyTavern 数据源：通过接口导出数据，放到临时源文件夹中，之后按普通文件夹备份
+            let snapshotJob = job;
+            let sourceFingerprint;
+            if (isDataSource) {
+                const files = await stDataSource.collect(job.dataCategories);
+                sourceFingerprint = await stDataSource.fingerprint(files);
+                stage = await backend.stageFiles(files);
+                snapshotJob = { ...job, ...stage.source };
+                if (controller.signal.aborted) throw backupEngine.createCancelError();
+            }
+
+            // 执行本地备份
+            result = await backend.createSnapshot(snapshotJob, {
+                created: new Date(),
+                mode,
+                label,
+                skipIfUnchanged,
+                sourceFingerprint,
+                moduleVersion: this.version,
+                passphrase: this.passphrases.get(job.id),
+                onProgress: progress => this.updateProgress(job, progress),
+                signal: controller.signal
+            });
+
+            if (result.cancelled) {
+                this.showNotification(`备份已取消 [${job.name}]`, '未完成的快照已删除', 'info');
+                return result;
+            }
+
+            if (result.skipped) {
+                console.log(`[${extensionName}] 源文件夹自上次快照以来没有变化，跳过备份 [${job.name}]`);
+                return result;
+            }
+
+            if (result.success) {
+                console.log(`[${extensionName}] 备份成功 [${job.name}]: ${result.path}`);
+                if (!skipCleanup) {
+                    await this.cleanupOldBackups(job);
+                }
+                const detail = result.incremental
+                    ? `（复制 ${result.copied} 个文件，链接 ${result.linked} 个未变化文件）`
+                    : result.format === 'dedup'
+                        ? `（新存储 ${result.stored} 个文件，${result.deduplicated} 个文件复用已有内容）`
+                        : '';
+                this.showNotification(`备份成功 [${job.name}]`, `备份已创建于: ${result.path}${detail}`, 'success');
+                return result;
+            } else {
+                console.error(`[${extensionName}] 备份失败 [${job.name}]:`, result.error);
+                this.showNotification(`备份失败 [${job.name}]`, '详情请查看控制台日志', 'error');
+                return result;
+            }
+        } catch (error) {
+            if (error.cancelled) {
+                this.showNotification(`备份已取消 [${job.name}]`, '未完成的快照已删除', 'info');
+                result = { success: false, cancelled: true, error: error.message };
+                return result;
+            }
+            console.error(`[${extensionName}] 备份过程中发生严重错误:`, error);
+            const errorMessage = error.stack || (error.message || '未知错误');
+            this.showNotification(`备份失败 [${job.name}]`, `详情请查看控制台日志`, 'error');
+            result = { success: false, error: errorMessage };
+            return result;
+        } finally {
+            if (stage) {
+                backend.removeStage(stage.id).catch(error => console.warn(`[${extensionName}] 无法删除临时源文件夹:`, error));
+            }
+            this.runningJobs.delete(job.id);
+            this.abortControllers.delete(job.id);
+            this.progress.delete(job.id);
+            job.lastRun = {
+                time: Date.now(),
+                mode,
+                success: !!result?.success,
+                path: result?.path || null,
+                error: result?.success ? null : (result?.error || '未知错误')
+            };
+            this.recordRun(job, mode, startTime, result);
+            this.saveConfig();
+            updateJobStatusDisplay(job);
+        }
+    },
+    
+    // 记录正在进行的备份的进度并刷新显示
+    updateProgress(job, progress) {
+        if (!this.runningJobs.has(job.id)) return;
+        this.progress.set(job.id, progress);
+        updateJobProgressDisplay(job);
+    },
+    
+    // 取消正在进行的备份，未完成的快照会被删除
+    cancelBackup(jobId) {
+        const controller = this.abortControllers.get(jobId);
+        if (!controller) return false;
+        controller.abort();
+        return true;
+    },
+    
+    // 在运行记录中添加一条，超过 historyLimit 的旧记录会被丢弃
+    recordRun(job, mode, startTime, result) {
+        const endTime = Date.now();
+        const status = result?.skipped ? 'skipped' : (result?.cancelled ? 'cancelled' : (result?.success ? 'success' : 'failed'));
+        const entry = {
+            jobId: job.id,
+            jobName: job.name,
+            mode,
+            status,
+            start: startTime,
+            end: endTime,
+            duration: endTime - startTime,
+            files: status === 'success' ? (result.fileCount ?? null) : null,
+            bytes: status === 'success' ? (result.totalSize ?? null) : null,
+            path: result?.path || null,
+            // 错误可能带有调用栈，记录中只保留第一行
+            error: status === 'failed' ? String(result?.error || '未知错误').split('\n')[0] : null
+        };
+        this.config.history = [entry, ...(this.config.history || [])].slice(0, this.config.historyLimit);
+    },
+    
+    // 设置最多保留的运行记录条数
+    setHistoryLimit(limit) {
+        this.config.historyLimit = Math.max(1, parseInt(limit) || this.config.historyLimit);
+        this.config.history = (this.config.history || []).slice(0, this.config.historyLimit);
+        this.saveConfig();
+    },
+    
+    // 清空运行记录
+    clearHistory() {
+        this.config.history = [];
+        this.saveConfig();
+    },
+    
+    // 任务的运行统计: 上次成功的记录、下一次自动备份的时间、连续失败次数（跳过和取消的运行不计入）
+    getJobStats(job) {
+        const runs = (this.config.history || []).filter(entry => entry.jobId === job.id && ['success', 'failed'].includes(entry.status));
+        const failureStreak = runs.findIndex(entry => entry.status === 'success');
+        return {
+            lastSuccess: runs.find(entry => entry.status === 'success') || null,
+            nextRun: this.nextRuns.get(job.id) || null,
+            failureStreak: failureStreak === -1 ? runs.length : failureStreak
+        };
+    },
+    
+    // 固定/取消固定备份，固定的备份不会被自动清理
+    togglePin(job, name) {
+        const pinned = new Set(job.pinned || []);
+        if (pinned.has(name)) {
+            pinned.delete(name);
+        } else {
+            pinned.add(name);
+        }
+        job.pinned = Array.from(pinned);
+        this.saveConfig();
+        return pinned.has(name);
+    },
+    
+    // 记录快照的校验结果，显示在备份列表中
+    recordVerifyResult(job, name, result) {
+        job.verifyResults = {
+            ...job.verifyResults,
+            [name]: {
+                time: Date.now(),
+                status: result.status,
+                missing: result.missing.length,
+                corrupted: result.corrupted.length,
+                error: result.error
+            }
+        };
+        this.saveConfig();
+    },
+
+    // 校验任务的全部快照，发现损坏时发出通知
+    async verifyJobBackups(job) {
+        const backups = await this.getBackupList(job);
+        const corrupt = [];
+
+        for (const backup of backups) {
+            try {
+                const result = await this.verifyBackup(job, backup.name, this.passphrases.get(job.id));
+                if (result.status === 'corrupt') corrupt.push(backup.name);
+            } catch (error) {
+                console.warn(`[${extensionName}] 校验快照失败: ${backup.name}`, error);
+            }
+        }
+
+        // 去掉已不存在的快照的校验记录
+        const names = new Set(backups.map(backup => backup.name));
+        job.verifyResults = Object.fromEntries(Object.entries(job.verifyResults || {}).filter(([name]) => names.has(name)));
+        this.saveConfig();
+
+        if (corrupt.length > 0) {
+            console.warn(`[${extensionName}] 发现损坏的快照 [${job.name}]:`, corrupt);
+            this.showNotification(`快照校验 [${job.name}]`, `发现 ${corrupt.length} 个损坏或缺少文件的快照: ${corrupt.join(', ')}`, 'warning');
+        } else {
+            console.log(`[${extensionName}] 快照校验完成 [${job.name}]，共 ${backups.length} 个`);
+        }
+        return { total: backups.length, corrupt };
+    },
+
+    // 启动任务的定期校验
+    startVerifySchedule(job) {
+        this.stopVerifySchedule(job.id);
+
+        if (job.verifyInterval > 0) {
+            this.verifyTimers.set(job.id, this.context.setInterval(() => {
+                this.verifyJobBackups(job);
+            }, job.verifyInterval * 60 * 60 * 1000));
+        }
+    },
+
+    // 停止定期校验，不指定任务时停止全部任务
+    stopVerifySchedule(jobId) {
+        const jobIds = jobId ? [jobId] : Array.from(this.verifyTimers.keys());
+        for (const id of jobIds) {
+            if (this.verifyTimers.has(id)) {
+                this.context.clearTimer(this.verifyTimers.get(id));
+                this.verifyTimers.delete(id);
+            }
+        }
+    },
+    
+    // 显示通知
+    showNotification(title, message, type = 'info') {
         // 尝试使用SillyTavern的通知系统
         if (typeof toastr !== 'undefined') {
             switch (type) {
@@ -406,49 +3099,138 @@ const autoBackupModule = {
         }
     },
     
-    // 手动备份
-    async manualBackup() {
-        return await this.createBackup({ mode: 'manual' });
+    // 获取当前使用的备份后端：能访问文件系统时直接使用备份引擎，否则使用服务器插件，
+    // 也可以手动选择浏览器后端
+    getBackend() {
+        const backend = this.config.backend === 'auto'
+            ? (hasFileSystem() ? 'local' : 'server')
+            : this.config.backend;
+        if (backend === 'server') return serverBackend;
+        if (backend === 'browser') return browserBackend;
+        return backupEngine;
     },
     
-    // 设置备份间隔
-    setInterval(minutes) {
-        this.config.interval = Math.max(1, parseInt(minutes) || 60);
+    // 设置执行备份的位置
+    setBackend(backend) {
+        this.config.backend = ['local', 'server', 'browser'].includes(backend) ? backend : 'auto';
         this.saveConfig();
-        
-        if (this.config.enabled) {
-            this.startAutoBackup();
+        this.checkBrowserPermissions();
+    },
+    
+    // 使用浏览器后端时检查文件夹权限，刷新页面后浏览器通常需要重新授权
+    async checkBrowserPermissions() {
+        if (this.getBackend() !== browserBackend) return;
+
+        const pending = [];
+        for (const job of this.config.jobs) {
+            try {
+                if (await browserBackend.getPermissionState(job) === 'prompt') {
+                    pending.push(job.name);
+                }
+            } catch (error) {
+                console.warn(`[${extensionName}] 无法检查文件夹权限 [${job.name}]:`, error);
+            }
+        }
+
+        if (pending.length > 0) {
+            this.showNotification('需要重新授权文件夹访问', `请在设置中为以下任务点击“授权访问文件夹”: ${pending.join(', ')}`, 'warning');
         }
     },
     
-    // 设置源路径
-    setSourcePath(path) {
-        this.config.sourcePath = path || '';
-        this.saveConfig();
+    // 获取任务的备份列表
+    getBackupList(job) {
+        return this.getBackend().getBackupList(job);
     },
-
-    // 设置备份目标路径
-    setDestinationPath(path) {
-        this.config.destinationPath = path || '';
-        this.saveConfig();
+    
+    // 删除任务中的备份
+    async deleteBackup(job, name) {
+        await this.getBackend().deleteBackup(job, name);
+        this.forgetVerifyResults(job, [name]);
     },
     
-    // 设置最大备份数
-    setMaxBackups(count) {
-        this.config.maxBackups = Math.max(1, parseInt(count) || 10);
-        this.saveConfig();
+    // 按保留策略清理任务的旧备份，返回被删除的备份
+    async cleanupOldBackups(job) {
+        const removed = await this.getBackend().cleanupOldBackups(job);
+        this.forgetVerifyResults(job, removed.map(backup => backup.name));
+        return removed;
     },
     
-    // 启用/禁用自动备份
-    setEnabled(enabled) {
-        this.config.enabled = !!enabled;
+    // 删除已不存在的快照的校验记录
+    forgetVerifyResults(job, names) {
+        if (!job.verifyResults || !names.some(name => name in job.verifyResults)) return;
+        for (const name of names) {
+            delete job.verifyResults[name];
+        }
         this.saveConfig();
-        
-        if (enabled) {
-            this.startAutoBackup();
+    },
+    
+    // 从备份恢复源文件夹，mode 为 'mirror' 或 'merge'，passphrase 为加密快照的密码
+    async restoreBackup(job, name, options = {}) {
+        if (job.sourceType === 'sillytavern') {
+            return { success: false, error: 'SillyTavern 数据快照没有源文件夹，请使用“导入 SillyTavern 数据”恢复', rolledBack: false, safetyPath: null };
+        }
+
+        // 任务启用了加密时安全快照同样加密；本次会话还没有解锁时尝试用输入的密码解锁
+        if (this.isLocked(job) && options.passphrase) {
+            await this.unlockJob(job, options.passphrase);
+        }
+        if (this.isLocked(job)) {
+            return { success: false, error: '任务已启用加密，请先在设置中输入密码，恢复前的安全快照也需要加密', rolledBack: false, safetyPath: null };
+        }
+
+        const result = await this.getBackend().restoreBackup(job, name, {
+            ...options,
+            safetyPassphrase: this.passphrases.get(job.id),
+            moduleVersion: this.version
+        });
+        if (result.success) {
+            this.showNotification('恢复成功', `已从备份恢复: ${name}`, 'success');
         } else {
-            this.stopAutoBackup();
+            const msg = result.rolledBack
+                ? '已回滚到恢复前的安全快照，详情请查看控制台日志'
+                : `回滚失败，请手动从安全快照恢复: ${result.safetyPath || '无'}`;
+            this.showNotification('恢复失败', msg, 'error');
+        }
+        return result;
+    },
+    
+    // 校验任务中的快照并记录结果，提供密码时还会检查加密快照能否解密
+    async verifyBackup(job, name, passphrase = null) {
+        const result = await this.getBackend().verifyBackup(job, name, passphrase);
+        this.recordVerifyResult(job, name, result);
+        return result;
+    },
+    
+    // 对比任务中的两个快照，rightName 为空时与当前源文件夹对比
+    compareBackups(job, leftName, rightName, passphrase = null) {
+        return this.getBackend().compareBackups(job, leftName, rightName, passphrase);
+    },
+    
+    // 预览包含/排除规则的效果
+    previewFilters(job, rules) {
+        return this.getBackend().previewFilters(job, rules);
+    },
+    
+    // 将 SillyTavern 数据快照重新导入到当前的 SillyTavern，files 为 相对路径 -> File 的映射
+    async importSillyTavernData(files, categories) {
+        try {
+            const report = await stDataSource.importFiles(files, categories);
+            if (report.errors.length > 0) {
+                this.showNotification('导入完成，部分内容失败', `${report.errors.length} 项导入失败，详情请查看控制台日志`, 'warning');
+            } else {
+                this.showNotification('导入成功', 'SillyTavern 数据已导入', 'success');
+            }
+            return { success: true, ...report };
+        } catch (error) {
+            console.error(`[${extensionName}] 导入 SillyTavern 数据失败:`, error);
+            this.showNotification('导入失败', error.message, 'error');
+            return { success: false, error: error.message };
         }
+    },
+    
+    // 手动备份
+    async manualBackup(jobId, label = '') {
+        return await this.createBackup({ mode: 'manual', jobId, label });
     }
 };
 
@@ -460,21 +3242,246 @@ jQuery(async () => {
     }
     
     // 注册模块
-    moduleManager.register('autoBackup', autoBackupModule);
+    moduleManager.register(autoBackupModule);
     
-    // 根据设置加载模块
-    const settings = extension_settings[extensionName];
-    if (settings.modules?.autoBackup?.enabled) {
-        await moduleManager.load('autoBackup');
-    }
+    // 按依赖顺序加载设置中启用的模块
+    await moduleManager.loadEnabled();
     
     // 添加设置界面
     addSettingsUI();
+
+    // 注册斜杠命令
+    registerPackCommands();
+    registerBackupCommands();
+
+    // 总开关的快捷键
+    registerToggleShortcut();
     
     console.log(`[${extensionName}] 模块化QOL插件已加载`);
     console.log(`[${extensionName}] 已注册模块:`, moduleManager.getModules().map(m => m.name).join(', '));
 });
 
+// 注册工具包总开关的斜杠命令: /qol [on|off|toggle|status]，返回切换后的状态 (on 或 off)
+function registerPackCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'qol',
+        callback: async (args, value) => {
+            const action = String(value || 'toggle').trim().toLowerCase();
+            if (!['on', 'off', 'toggle', 'status'].includes(action)) {
+                autoBackupModule.showNotification('QOL工具包', `未知的操作: ${action}`, 'warning');
+                return '';
+            }
+            if (action !== 'status') {
+                await setPackActive(action === 'toggle' ? !moduleManager.isActive() : action === 'on');
+            }
+            return moduleManager.isActive() ? 'on' : 'off';
+        },
+        returns: '总开关的状态: on 或 off',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'on 恢复所有模块，off 暂停所有模块，toggle 切换，status 只返回当前状态',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'toggle',
+                enumList: ['on', 'off', 'toggle', 'status']
+            })
+        ],
+        helpString: `暂停或恢复 QOL 工具包的所有模块，各模块自己的启用设置保持不变。也可以使用快捷键 ${toggleShortcut.label}。`
+    }));
+}
+
+// 注册备份相关的斜杠命令，可以在 STscript 和快速回复中使用。
+// 命令的返回值可以通过管道传给下一个命令：路径、数量或 JSON；失败时显示通知并返回空字符串
+function registerBackupCommands() {
+    // 按 ID 或名称查找任务，未指定时使用第一个任务。模块未启用或任务不存在时返回 null
+    const resolveJob = (jobRef) => {
+        const module = moduleManager.modules.get('autoBackup');
+        if (!moduleManager.isActive()) {
+            autoBackupModule.showNotification('备份命令', 'QOL工具包已暂停，请先用 /qol on 恢复', 'warning');
+            return null;
+        }
+        if (!moduleManager.loadedModules.has('autoBackup')) {
+            autoBackupModule.showNotification('备份命令', '请先在 Vertin Tips 设置中启用文件夹备份模块', 'warning');
+            return null;
+        }
+        const ref = String(jobRef || '').trim();
+        const job = ref
+            ? module.getJob(ref) || module.config.jobs.find(item => item.name === ref)
+            : module.config.jobs[0];
+        if (!job) {
+            autoBackupModule.showNotification('备份命令', `备份任务不存在: ${ref}`, 'warning');
+            return null;
+        }
+        return { module, job };
+    };
+
+    const jobEnumProvider = () => (moduleManager.modules.get('autoBackup')?.config.jobs || [])
+        .map(job => new SlashCommandEnumValue(job.name, job.id));
+    const jobArgument = (description) => SlashCommandNamedArgument.fromProps({
+        name: 'job',
+        description,
+        typeList: [ARGUMENT_TYPE.STRING],
+        enumProvider: jobEnumProvider
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup',
+        callback: async (args, value) => {
+            const target = resolveJob(value);
+            if (!target) return '';
+            const result = await target.module.createBackup({ mode: 'manual', jobId: target.job.id, label: args.label });
+            return result.success ? result.path : '';
+        },
+        returns: '新快照的路径，失败时为空',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'label',
+                description: '备注，用于快照名称中的 {label} 并显示在备份列表中',
+                typeList: [ARGUMENT_TYPE.STRING]
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '任务名称或 ID，默认为第一个任务',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: jobEnumProvider
+            })
+        ],
+        helpString: '立即运行备份任务，例如 <code>/backup label="修改角色卡之前" 聊天记录</code>。返回新快照的路径。'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-list',
+        callback: async (args, value) => {
+            const target = resolveJob(value);
+            if (!target) return '';
+            const backups = await target.module.getBackupList(target.job);
+            const pinned = new Set(target.job.pinned || []);
+            return JSON.stringify(backups.map(backup => ({
+                name: backup.name,
+                path: backup.path,
+                format: backup.format,
+                created: backup.created.toISOString(),
+                label: backup.manifest?.label || null,
+                fileCount: backup.fileCount,
+                totalSize: backup.totalSize,
+                encrypted: !!backup.manifest?.encryption,
+                pinned: pinned.has(backup.name)
+            })));
+        },
+        returns: '快照列表 (JSON 数组)，从新到旧排列',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '任务名称或 ID，默认为第一个任务',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: jobEnumProvider
+            })
+        ],
+        helpString: '列出任务的所有快照，返回 JSON 数组，每项包含 name、path、format、created、fileCount、totalSize、encrypted 和 pinned。'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-restore',
+        callback: async (args, value) => {
+            const target = resolveJob(args.job);
+            if (!target) return '';
+            const name = String(value || '').trim();
+            if (!name) {
+                autoBackupModule.showNotification('备份命令', '请指定要恢复的快照名称', 'warning');
+                return '';
+            }
+            // 默认只合并；镜像恢复会删除源文件夹中的文件，必须明确写出 mode=mirror
+            const mode = String(args.mode || 'merge').trim().toLowerCase();
+            if (!['mirror', 'merge'].includes(mode)) {
+                autoBackupModule.showNotification('备份命令', `未知的恢复方式: ${mode}`, 'warning');
+                return '';
+            }
+            // 加密快照使用本次会话中已输入的任务密码
+            const result = await target.module.restoreBackup(target.job, name, { mode, passphrase: target.module.passphrases.get(target.job.id) || null });
+            if (!result.success) return '';
+            return JSON.stringify({
+                mode: result.mode,
+                safetyPath: result.safetyPath,
+                overwritten: result.overwritten,
+                added: result.added,
+                removed: result.removed
+            });
+        },
+        returns: '恢复报告 (JSON)，包含安全快照路径以及覆盖、新增和删除的文件；失败时为空',
+        namedArgumentList: [
+            jobArgument('任务名称或 ID，默认为第一个任务'),
+            SlashCommandNamedArgument.fromProps({
+                name: 'mode',
+                description: 'merge 只覆盖和新增文件（默认），mirror 还会删除源文件夹中快照里不存在的文件',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'merge',
+                enumList: ['mirror', 'merge']
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '快照名称，可从 /backup-list 获取',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true
+            })
+        ],
+        helpString: '用快照恢复任务的源文件夹，恢复前会先创建安全快照。默认为 merge，只覆盖和新增文件；<b>mode=mirror 会删除源文件夹中快照里没有的文件</b>，执行前不会再确认。例如 <code>/backup-restore job=角色卡 backup-2024-01-01T03-00-00</code>。'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-prune',
+        callback: async (args, value) => {
+            const target = resolveJob(value);
+            if (!target) return '';
+            const removed = await target.module.cleanupOldBackups(target.job);
+            return String(removed.length);
+        },
+        returns: '删除的快照数量',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '任务名称或 ID，默认为第一个任务',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: jobEnumProvider
+            })
+        ],
+        helpString: '立即按保留策略清理任务的旧快照，返回删除的数量。'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-status',
+        callback: async (args, value) => {
+            const target = resolveJob(value);
+            if (!target) return '';
+            const { module } = target;
+            const status = (value ? [target.job] : module.config.jobs).map(job => {
+                const stats = module.getJobStats(job);
+                return {
+                    id: job.id,
+                    name: job.name,
+                    enabled: job.enabled,
+                    schedule: job.schedule || `every ${job.interval}m`,
+                    running: module.runningJobs.has(job.id),
+                    progress: module.progress.get(job.id) || null,
+                    locked: module.isLocked(job),
+                    lastRun: job.lastRun,
+                    lastSuccess: stats.lastSuccess,
+                    nextRun: stats.nextRun,
+                    failureStreak: stats.failureStreak
+                };
+            });
+            return JSON.stringify(value ? status[0] : status);
+        },
+        returns: '任务状态 (JSON)，未指定任务时为所有任务的数组',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '任务名称或 ID，不指定时返回所有任务',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: jobEnumProvider
+            })
+        ],
+        helpString: '返回备份任务的状态 (JSON)：是否正在备份及进度、上次运行、上次成功、下次自动备份时间和连续失败次数。'
+    }));
+}
+
 // 添加设置界面
 function addSettingsUI() {
     const settingsHtml = `
@@ -490,6 +3497,7 @@ function addSettingsUI() {
                         <label class="checkbox_label">
                             <input id="vertin-tips-enabled" type="checkbox" />
                             <span>启用QOL工具包</span>
+                            <span style="margin-left: 10px; font-size: 12px; color: #999;">关闭后暂停所有模块 (快捷键 ${toggleShortcut.label}，命令 /qol)</span>
                         </label>
                     </div>
                     
@@ -499,6 +3507,27 @@ function addSettingsUI() {
                             <!-- 模块列表将在这里动态生成 -->
                         </div>
                     </div>
+                    
+                    <div style="margin-bottom: 15px; padding: 10px; background: #3a3a3a; border-radius: 5px;">
+                        <h4 style="margin: 0 0 10px 0; color: #fff;">设置方案</h4>
+                        <div id="vertin-tips-profiles-list">
+                            <!-- 方案列表将在这里动态生成 -->
+                        </div>
+                        <button type="button" id="vertin-tips-saveProfile" style="${settingsPanel.buttonStyle}">保存当前设置为方案</button>
+                        <div><small style="color: #ccc;">方案保存各模块的配置（例如备份路径），点击“切换”即可换用另一套配置，模块的启用状态不变</small></div>
+                        
+                        <h4 style="margin: 15px 0 10px 0; color: #fff;">导入/导出设置</h4>
+                        <div style="display: flex; gap: 5px; align-items: center;">
+                            <select id="vertin-tips-transferModule" style="flex: 1; padding: 4px; background-color: #2c2c2c; color: #fff; border-color: #666;">
+                                <option value="">全部设置（包括方案）</option>
+                                ${moduleManager.getModules().map(module => `<option value="${module.name}">${escapeHtml(module.displayName || module.name)}</option>`).join('')}
+                            </select>
+                            <button type="button" id="vertin-tips-export" style="${settingsPanel.buttonStyle}">导出</button>
+                            <button type="button" id="vertin-tips-import" style="${settingsPanel.buttonStyle}">导入</button>
+                            <input type="file" id="vertin-tips-importInput" accept=".json,application/json" style="display: none;" />
+                        </div>
+                        <div><small style="color: #ccc;">导出为 JSON 文件，可以在另一个 SillyTavern 中导入。运行记录等本机状态不会导出，加密任务的密码也不会导出</small></div>
+                    </div>
                 </div>
             </div>
         </div>
@@ -512,20 +3541,93 @@ function addSettingsUI() {
     
     // 更新模块列表
     updateModulesList();
+    updateProfilesList();
+}
+
+// 总开关的快捷键
+const toggleShortcut = { code: 'KeyQ', altKey: true, shiftKey: true, label: 'Alt+Shift+Q' };
+
+// 总开关的切换队列，快捷键、命令和开关的切换依次执行，避免模块加载和卸载交错
+let packActiveQueue = Promise.resolve();
+// 快捷键触发的切换是否还在进行中
+let packTogglePending = false;
+
+// 打开或关闭工具包总开关，同步设置界面并显示通知
+function setPackActive(active) {
+    const run = packActiveQueue.then(async () => {
+        await moduleManager.setActive(active);
+        $('#vertin-tips-enabled').prop('checked', active);
+        updateModulesList();
+        autoBackupModule.showNotification('QOL工具包', active ? '已恢复，启用的模块重新加载' : '已暂停，所有模块停止运行', 'info');
+    });
+    packActiveQueue = run.catch(() => {});
+    return run;
+}
+
+// 注册切换总开关的快捷键
+function registerToggleShortcut() {
+    $(document).on('keydown', event => {
+        const e = event.originalEvent || event;
+        if (e.code !== toggleShortcut.code || e.altKey !== toggleShortcut.altKey || e.shiftKey !== toggleShortcut.shiftKey || e.ctrlKey || e.metaKey) {
+            return;
+        }
+        event.preventDefault();
+        // 按住不放的重复按键和上一次切换完成前的按键都忽略
+        if (e.repeat || packTogglePending) return;
+        
+        packTogglePending = true;
+        setPackActive(!moduleManager.isActive())
+            .catch(error => console.error(`[${extensionName}] 切换总开关失败:`, error))
+            .finally(() => { packTogglePending = false; });
+    });
 }
 
 // 绑定设置控件
 function bindSettingsControls() {
-    const settings = extension_settings[extensionName];
-    
-    // 启用/禁用开关
+    // 启用/禁用开关，关闭时暂停所有模块
     $('#vertin-tips-enabled')
-        .prop('checked', settings.enabled)
+        .prop('checked', moduleManager.isActive())
         .on('change', function() {
-            settings.enabled = $(this).prop('checked');
-            saveSettingsDebounced();
+            setPackActive($(this).prop('checked'));
         });
     
+    // 设置方案
+    $('#vertin-tips-saveProfile').on('click', function() {
+        const name = prompt('方案名称（同名方案会被覆盖）:', settingsProfiles.getActive() || '');
+        if (!name?.trim()) return;
+        settingsProfiles.save(name.trim());
+        updateProfilesList();
+    });
+    
+    // 导入/导出设置
+    $('#vertin-tips-export').on('click', function() {
+        settingsTransfer.download(settingsTransfer.export($('#vertin-tips-transferModule').val() || undefined));
+    });
+    
+    $('#vertin-tips-import').on('click', function() {
+        $('#vertin-tips-importInput').val('').trigger('click');
+    });
+    
+    $('#vertin-tips-importInput').on('change', async function() {
+        const file = this.files[0];
+        if (!file) return;
+        
+        const { data, error } = settingsTransfer.parse(await file.text());
+        if (error) {
+            alert('导入失败: ' + error);
+            return;
+        }
+        
+        const moduleName = $('#vertin-tips-transferModule').val() || undefined;
+        const target = moduleName ? `模块“${moduleManager.modules.get(moduleName).displayName}”的设置` : '全部设置';
+        if (!confirm(`确定要导入${target}吗？当前的配置会被覆盖。`)) return;
+        
+        const result = await settingsTransfer.import(data, moduleName);
+        updateModulesList();
+        updateProfilesList();
+        alert(formatSettingsResult(result.success ? `已导入: ${result.imported.join(', ')}` : '导入失败: ' + result.error, result));
+    });
+    
     // 折叠面板功能
     $('#vertin-tips-header').off('click').on('click', function(e) {
         e.preventDefault();
@@ -552,92 +3654,51 @@ function updateModulesList() {
     const modules = moduleManager.getModules();
     const settings = extension_settings[extensionName];
     
+    const isActive = moduleManager.isActive();
+    if (!isActive) {
+        modulesList.append(`
+            <div style="margin-bottom: 10px; padding: 8px; border-radius: 3px; background-color: #5a4a1a; color: #ffc107; font-size: 12px;">
+                QOL工具包已暂停，所有模块停止运行。重新打开“启用QOL工具包”后，下面启用的模块会恢复。
+            </div>
+        `);
+    }
+    
     modules.forEach(module => {
         const isEnabled = settings.modules?.[module.name]?.enabled || false;
         const isLoaded = moduleManager.isLoaded(module.name);
+        const error = moduleManager.errors.get(module.name);
+        let status = isLoaded
+            ? { text: '已加载', color: '#28a745' }
+            : (error ? { text: '加载失败', color: '#dc3545' } : { text: '未加载', color: '#6c757d' });
+        if (!isActive && isEnabled) {
+            status = { text: '已暂停', color: '#ffc107' };
+        }
         
         let moduleHtml = `
-            <div style="margin-bottom: 10px; padding: 8px; border: 1px solid #555; border-radius: 3px; background-color: #444; color: #fff;">
+            <div style="margin-bottom: 10px; padding: 8px; border: 1px solid ${error ? '#dc3545' : '#555'}; border-radius: 3px; background-color: #444; color: #fff;">
                 <div style="display: flex; justify-content: space-between; align-items: center;">
                     <div>
                         <strong>${module.displayName || module.name}</strong>
-                        <span style="margin-left: 10px; font-size: 12px; color: ${isLoaded ? '#28a745' : '#6c757d'};">
-                            ${isLoaded ? '已加载' : '未加载'}
+                        <span style="margin-left: 10px; font-size: 12px; color: #999;">v${module.version}</span>
+                        <span style="margin-left: 10px; font-size: 12px; color: ${status.color};">
+                            ${status.text}
                         </span>
                     </div>
-                    <label class="checkbox_label">
-                        <input type="checkbox" data-module="${module.name}" ${isEnabled ? 'checked' : ''} />
-                        <span>启用</span>
-                    </label>
-                </div>
-                ${module.description ? `<div style="font-size: 12px; color: #ccc; margin-top: 5px;">${module.description}</div>` : ''}
-        `;
-        
-        // 为自动备份模块添加特殊配置界面
-        if (module.name === 'autoBackup') {
-            const config = module.config || {};
-            moduleHtml += `
-                <div id="autoBackup-config" style="margin-top: 10px; padding: 10px; background: #555; border-radius: 3px; color: #fff; ${isEnabled ? '' : 'display: none;'}">
-                    <div style="margin-bottom: 10px;">
-                        <label style="display: block; margin-bottom: 5px; font-weight: bold;">备份间隔:</label>
-                        <select id="autoBackup-interval" style="width: 100%; padding: 4px; background-color: #2c2c2c; color: #fff; border-color: #666;">
-                            <option value="15" ${config.interval === 15 ? 'selected' : ''}>15分钟</option>
-                            <option value="30" ${config.interval === 30 ? 'selected' : ''}>30分钟</option>
-                            <option value="60" ${config.interval === 60 ? 'selected' : ''}>1小时</option>
-                            <option value="120" ${config.interval === 120 ? 'selected' : ''}>2小时</option>
-                            <option value="180" ${config.interval === 180 ? 'selected' : ''}>3小时</option>
-                            <option value="360" ${config.interval === 360 ? 'selected' : ''}>6小时</option>
-                            <option value="720" ${config.interval === 720 ? 'selected' : ''}>12小时</option>
-                            <option value="1440" ${config.interval === 1440 ? 'selected' : ''}>24小时</option>
-                        </select>
-                    </div>
-
-                    <div style="margin-bottom: 10px;">
-                        <label style="display: block; margin-bottom: 5px; font-weight: bold;">要备份的源文件夹:</label>
-                        <div style="display: flex; gap: 5px;">
-                            <input type="text" id="autoBackup-sourcePath" placeholder="选择或输入要备份的文件夹路径"
-                                   value="${config.sourcePath || ''}" style="flex: 1; padding: 4px; background-color: #2c2c2c; color: #fff; border-color: #666;" />
-                            <button type="button" id="autoBackup-browseSource" class="autoBackup-browse" style="padding: 4px 8px; background-color: #444; color: #fff; border: 1px solid #666;">浏览</button>
-                        </div>
-                    </div>
-                    
-                    <div style="margin-bottom: 10px;">
-                        <label style="display: block; margin-bottom: 5px; font-weight: bold;">备份目标目录:</label>
-                        <div style="display: flex; gap: 5px;">
-                            <input type="text" id="autoBackup-destinationPath" placeholder="留空使用默认路径（桌面）"
-                                   value="${config.destinationPath || ''}" style="flex: 1; padding: 4px; background-color: #2c2c2c; color: #fff; border-color: #666;" />
-                            <button type="button" id="autoBackup-browseDestination" class="autoBackup-browse" style="padding: 4px 8px; background-color: #444; color: #fff; border: 1px solid #666;">浏览</button>
-                        </div>
-                        <small style="color: #ccc;">默认路径: ~/Desktop/SillyTavern-FolderBackups</small>
-                    </div>
-                    
-                    <div style="margin-bottom: 10px;">
-                        <label style="display: block; margin-bottom: 5px; font-weight: bold;">最大备份文件夹数:</label>
-                        <input type="number" id="autoBackup-maxBackups" min="1" max="100"
-                                 value="${config.maxBackups || 10}" style="width: 100%; padding: 4px; background-color: #2c2c2c; color: #fff; border-color: #666;" />
-                        <small style="color: #ccc;">超过此数量的旧备份将被自动删除</small>
-                    </div>
-                    
-                    <div style="margin-bottom: 10px;">
+                    <div style="display: flex; align-items: center;">
+                        ${isEnabled && isActive ? `<button class="vertin-tips-reload" data-module="${module.name}" title="重新初始化模块，不需要刷新页面" style="margin-right: 10px; padding: 2px 8px; font-size: 12px; background-color: #2c2c2c; color: #fff; border: 1px solid #666;">重新加载</button>` : ''}
                         <label class="checkbox_label">
-                            <input type="checkbox" id="autoBackup-autoStart" ${config.enabled ? 'checked' : ''} />
-                            <span>启用自动备份</span>
+                            <input type="checkbox" data-module="${module.name}" ${isEnabled ? 'checked' : ''} />
+                            <span>启用</span>
                         </label>
                     </div>
-                    
-                    <div style="margin-top: 15px; display: flex; gap: 10px; flex-wrap: wrap;">
-                        <button type="button" id="autoBackup-manual" style="padding: 6px 12px; background: #007bff; color: white; border: none; border-radius: 3px;">
-                            立即备份
-                        </button>
-                        <button type="button" id="autoBackup-list" style="padding: 6px 12px; background: #28a745; color: white; border: none; border-radius: 3px;">
-                            查看备份
-                        </button>
-                        <button type="button" id="autoBackup-openFolder" style="padding: 6px 12px; background: #6c757d; color: white; border: none; border-radius: 3px;">
-                            打开备份文件夹
-                        </button>
-                    </div>
                 </div>
-            `;
+                ${module.description ? `<div style="font-size: 12px; color: #ccc; margin-top: 5px;">${module.description}</div>` : ''}
+                ${error ? `<div style="font-size: 12px; color: #dc3545; margin-top: 5px;">错误: ${escapeHtml(error)}</div>` : ''}
+        `;
+        
+        // 按模块声明的配置说明生成配置界面
+        if (module.manifest.configSchema) {
+            moduleHtml += settingsPanel.render(module, isEnabled);
         }
         
         moduleHtml += '</div>';
@@ -649,151 +3710,779 @@ function updateModulesList() {
         const moduleName = $(this).data('module');
         const isEnabled = $(this).prop('checked');
         
-        // 更新设置
-        if (!settings.modules) settings.modules = {};
-        if (!settings.modules[moduleName]) settings.modules[moduleName] = {};
-        settings.modules[moduleName].enabled = isEnabled;
+        // 更新设置并加载/卸载模块
+        if (isEnabled) {
+            await moduleManager.enable(moduleName);
+        } else {
+            await moduleManager.disable(moduleName);
+        }
         
-        // 加载/卸载模块
+        // 显示/隐藏配置界面
+        const configDiv = $(`#${moduleName}-config`);
         if (isEnabled) {
-            await moduleManager.load(moduleName);
+            configDiv.slideDown(200);
+        } else {
+            configDiv.slideUp(200);
+        }
+        
+        // 更新状态显示
+        setTimeout(() => {
+            updateModulesList();
+        }, 100);
+    });
+    
+    // 重新加载模块
+    modulesList.find('.vertin-tips-reload').on('click', async function() {
+        const moduleName = $(this).data('module');
+        $(this).prop('disabled', true).text('加载中...');
+        await moduleManager.reload(moduleName);
+        updateModulesList();
+    });
+    
+    // 绑定各模块配置界面的事件
+    modules.forEach(module => {
+        if (module.manifest.configSchema) {
+            settingsPanel.bind(module, $(`#${module.name}-config`));
+        }
+    });
+}
+
+// 更新设置方案列表
+function updateProfilesList() {
+    const list = $('#vertin-tips-profiles-list');
+    const profiles = settingsProfiles.getProfiles();
+    const active = settingsProfiles.getActive();
+    const names = Object.keys(profiles);
+    
+    list.html(names.length === 0
+        ? '<div style="color: #999; font-size: 12px; margin-bottom: 10px;">还没有保存的方案</div>'
+        : names.map(name => `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 5px; padding: 5px 8px; border: 1px solid ${name === active ? '#28a745' : '#555'}; border-radius: 3px; background-color: #444;">
+                <div>
+                    <strong>${escapeHtml(name)}</strong>
+                    ${name === active ? '<span style="margin-left: 10px; font-size: 12px; color: #28a745;">当前</span>' : ''}
+                    <span style="margin-left: 10px; font-size: 12px; color: #999;">保存于 ${new Date(profiles[name].savedAt).toLocaleString()}</span>
+                </div>
+                <div data-profile="${escapeHtml(name)}">
+                    <button type="button" class="vertin-tips-applyProfile" style="${settingsPanel.buttonStyle}">切换</button>
+                    <button type="button" class="vertin-tips-updateProfile" title="用当前设置覆盖该方案" style="${settingsPanel.buttonStyle}">更新</button>
+                    <button type="button" class="vertin-tips-removeProfile" style="${settingsPanel.buttonStyle}">删除</button>
+                </div>
+            </div>
+        `).join(''));
+    
+    list.find('.vertin-tips-applyProfile').on('click', async function() {
+        const name = $(this).parent().attr('data-profile');
+        $(this).prop('disabled', true).text('切换中...');
+        const result = await settingsProfiles.apply(name);
+        updateModulesList();
+        updateProfilesList();
+        if (!result.success || result.skipped.length > 0 || result.problems.length > 0) {
+            alert(formatSettingsResult(result.success ? `已切换到方案: ${name}` : '切换失败: ' + result.error, result));
+        }
+    });
+    
+    list.find('.vertin-tips-updateProfile').on('click', function() {
+        const name = $(this).parent().attr('data-profile');
+        if (!confirm(`确定要用当前设置覆盖方案“${name}”吗？`)) return;
+        settingsProfiles.save(name);
+        updateProfilesList();
+    });
+    
+    list.find('.vertin-tips-removeProfile').on('click', function() {
+        const name = $(this).parent().attr('data-profile');
+        if (!confirm(`确定要删除方案“${name}”吗？`)) return;
+        settingsProfiles.remove(name);
+        updateProfilesList();
+    });
+}
+
+// 生成导入设置或切换方案的结果说明，包括跳过的模块和恢复为默认值的字段
+function formatSettingsResult(summary, { skipped = [], problems = [] }) {
+    return summary
+        + (skipped.length > 0 ? `\n\n以下模块未导入:\n${skipped.join('\n')}` : '')
+        + (problems.length > 0 ? `\n\n以下配置无效，已恢复为默认值:\n${problems.join('\n')}` : '');
+}
+
+// 按模块 manifest 中的 configSchema 生成设置界面，并把修改通过模块的 onConfigChange 或 saveConfig 保存。
+// 字段说明中用于界面的属性（文字类的属性也可以是函数，参数为 context）:
+//   label / help / placeholder  标签、说明文字和输入框提示
+//   options      enum 的可选值；list 有 options 时显示为多选框，否则显示为每行一项的文本框
+//   min / max    number 的范围
+//   validate(value, context)    返回错误信息，没有问题时返回 null，有错误时不保存
+//   visible(values)             是否显示，values 为字段所在的对象（顶层配置、列表项或 group），值改变后重新判断
+//   hidden       不在界面中显示
+//   rerender     修改后重新渲染整个模块列表
+//   browse(context)             path 的“浏览”按钮，返回选择的路径，取消时返回 null；没有提供时使用 browseFolder
+//   group:  fields 为子字段，inline 为 true 时子字段排成一行
+//   list + fields: 对象列表，每项显示为可折叠的面板。key 为每项唯一的字段，summary(context) 返回标题 HTML，
+//                  add(context) / remove(context) 添加和删除项目（返回 false 表示取消），addLabel / removeLabel 为按钮文字，itemClass 为每项附加的 class
+//   custom: render(context) 返回 HTML，bind(element, context) 绑定事件，element 为字段的容器
+// context 为 { module, item, path }，item 为字段所在的列表项（不在列表中时为 null），path 为字段路径
+const settingsPanel = {
+    inputStyle: 'width: 100%; padding: 4px; background-color: #2c2c2c; color: #fff; border-color: #666;',
+    buttonStyle: 'padding: 4px 8px; background-color: #444; color: #fff; border: 1px solid #666;',
+    
+    // 渲染模块的配置面板
+    render(module, visible) {
+        return `
+            <div id="${module.name}-config" class="vertin-tips-config" style="margin-top: 10px; padding: 10px; background: #555; border-radius: 3px; color: #fff; ${visible ? '' : 'display: none;'}">
+                ${this.renderFields(module, module.manifest.configSchema, module.config, [], null)}
+            </div>
+        `;
+    },
+    
+    renderFields(module, fields, values, path, item) {
+        return Object.entries(fields)
+            .map(([name, schema]) => this.renderField(module, schema, values, [...path, name], item))
+            .join('');
+    },
+    
+    // 渲染单个字段，外层容器的 data-path 记录字段路径
+    renderField(module, schema, values, path, item) {
+        if (schema.hidden) return '';
+        
+        const context = { module, item, path };
+        const name = path[path.length - 1];
+        const value = values?.[name];
+        const label = this.resolve(schema.label, context);
+        const help = this.resolve(schema.help, context);
+        const placeholder = escapeHtml(this.resolve(schema.placeholder, context) || '');
+        const visible = !schema.visible || schema.visible(values);
+        
+        let control;
+        switch (schema.type) {
+            case 'custom':
+                control = schema.render(context);
+                break;
+            case 'boolean':
+                control = `
+                    <label class="checkbox_label">
+                        <input type="checkbox" class="vertin-tips-input" ${value ? 'checked' : ''} />
+                        <span>${escapeHtml(label || name)}</span>
+                    </label>`;
+                break;
+            case 'number':
+                control = `<input type="number" class="vertin-tips-input" value="${escapeHtml(value ?? '')}" placeholder="${placeholder}"
+                                  ${schema.min !== undefined ? `min="${schema.min}"` : ''} ${schema.max !== undefined ? `max="${schema.max}"` : ''} style="${this.inputStyle}" />`;
+                break;
+            case 'enum':
+                control = `
+                    <select class="vertin-tips-input" style="${this.inputStyle}">
+                        ${moduleManager.getSchemaOptions(schema).map(([option, optionLabel]) =>
+                            `<option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(optionLabel)}</option>`).join('')}
+                    </select>`;
+                break;
+            case 'list':
+                if (schema.fields) {
+                    control = this.renderList(module, schema, value || [], path);
+                } else if (schema.options) {
+                    control = moduleManager.getSchemaOptions(schema).map(([option, optionLabel]) => `
+                        <label class="checkbox_label">
+                            <input type="checkbox" class="vertin-tips-input" value="${escapeHtml(option)}" ${(value || []).includes(option) ? 'checked' : ''} />
+                            <span>${escapeHtml(optionLabel)}</span>
+                        </label>`).join('');
+                } else {
+                    control = `<textarea class="vertin-tips-input" rows="3" placeholder="${placeholder}" style="${this.inputStyle}">${escapeHtml((value || []).join('\n'))}</textarea>`;
+                }
+                break;
+            case 'group':
+                control = `
+                    <div style="${schema.inline ? 'display: flex; gap: 10px;' : 'padding-left: 10px;'}">
+                        ${Object.entries(schema.fields).map(([field, fieldSchema]) => `
+                            <div style="${schema.inline ? 'flex: 1;' : ''}">
+                                ${this.renderField(module, fieldSchema, value || {}, [...path, field], item)}
+                            </div>`).join('')}
+                    </div>`;
+                break;
+            case 'text':
+                control = `<textarea class="vertin-tips-input" rows="3" placeholder="${placeholder}" style="${this.inputStyle}">${escapeHtml(value ?? '')}</textarea>`;
+                break;
+            case 'path':
+                control = `
+                    <div style="display: flex; gap: 5px;">
+                        <input type="text" class="vertin-tips-input" value="${escapeHtml(value ?? '')}" placeholder="${placeholder}" style="${this.inputStyle} flex: 1;" />
+                        <button type="button" class="vertin-tips-browse" style="${this.buttonStyle}">浏览</button>
+                    </div>`;
+                break;
+            default:
+                control = `<input type="${schema.type === 'time' ? 'time' : 'text'}" class="vertin-tips-input" value="${escapeHtml(value ?? '')}" placeholder="${placeholder}" style="${this.inputStyle}" />`;
+        }
+        
+        const showLabel = label && schema.type !== 'boolean';
+        return `
+            <div class="vertin-tips-field" data-path="${escapeHtml(JSON.stringify(path))}" style="margin-bottom: 10px; ${visible ? '' : 'display: none;'}">
+                ${showLabel ? `<label style="display: block; margin-bottom: 5px; font-weight: bold;">${escapeHtml(label)}:</label>` : ''}
+                ${control}
+                <div class="vertin-tips-fieldError" style="font-size: 12px; color: #dc3545;"></div>
+                ${help ? `<small style="color: #ccc;">${escapeHtml(help)}</small>` : ''}
+            </div>
+        `;
+    },
+    
+    // 渲染对象列表，只有一项时默认展开
+    renderList(module, schema, items, path) {
+        const itemsHtml = items.map(item => {
+            const key = String(item[schema.key]);
+            const context = { module, item, path: [...path, key] };
+            return `
+                <details class="vertin-tips-item ${schema.itemClass || ''}" data-item="${escapeHtml(key)}" ${items.length === 1 ? 'open' : ''}
+                         style="margin-bottom: 10px; padding: 8px; border: 1px solid #666; border-radius: 3px; background: #4a4a4a;">
+                    <summary class="vertin-tips-itemSummary" style="cursor: pointer;">${schema.summary ? schema.summary(context) : escapeHtml(key)}</summary>
+                    <div style="margin-top: 10px;">
+                        ${this.renderFields(module, schema.fields, item, [...path, key], item)}
+                        <button type="button" class="vertin-tips-removeItem" style="padding: 6px 12px; background: #dc3545; color: white; border: none; border-radius: 3px;">
+                            ${escapeHtml(schema.removeLabel || '删除')}
+                        </button>
+                    </div>
+                </details>
+            `;
+        }).join('');
+        
+        return `
+            ${itemsHtml}
+            <button type="button" class="vertin-tips-addItem" style="padding: 6px 12px; background-color: #444; color: #fff; border: 1px solid #666; border-radius: 3px;">
+                ${escapeHtml(schema.addLabel || '添加')}
+            </button>
+        `;
+    },
+    
+    // 绑定配置面板的事件
+    bind(module, container) {
+        const panel = this;
+        const getPath = field => JSON.parse($(field).attr('data-path'));
+        
+        container.find('.vertin-tips-input').on('change', function() {
+            panel.commit(module, container, $(this).closest('.vertin-tips-field'));
+        });
+        
+        container.find('.vertin-tips-browse').on('click', async function() {
+            const field = $(this).closest('.vertin-tips-field');
+            const located = panel.locate(module, getPath(field));
+            try {
+                const selected = located.schema.browse ? await located.schema.browse(located.context) : await browseFolder();
+                if (selected) {
+                    panel.getInputs(field).val(selected).trigger('change');
+                }
+            } catch (error) {
+                // EBUSY错误通常是对话框已打开，可以忽略
+                if (error.code !== 'EBUSY') {
+                    console.warn('文件夹选择操作被取消或失败:', error);
+                }
+            }
+        });
+        
+        container.find('.vertin-tips-addItem').on('click', async function() {
+            const field = $(this).closest('.vertin-tips-field');
+            const path = getPath(field);
+            const { schema, values } = panel.locate(module, path);
+            if (schema.add) {
+                if (await schema.add({ module, item: null, path }) === false) return;
+            } else {
+                values[path[path.length - 1]].push({ [schema.key]: backupEngine.createStageId() });
+                module.saveConfig();
+            }
+            updateModulesList();
+        });
+        
+        container.find('.vertin-tips-removeItem').on('click', async function() {
+            const field = $(this).closest('.vertin-tips-item').closest('.vertin-tips-field');
+            const path = getPath(field);
+            const key = String($(this).closest('.vertin-tips-item').data('item'));
+            const { schema, values } = panel.locate(module, path);
+            const name = path[path.length - 1];
+            const item = values[name].find(entry => String(entry[schema.key]) === key);
+            if (schema.remove) {
+                if (await schema.remove({ module, item, path: [...path, key] }) === false) return;
+            } else {
+                values[name] = values[name].filter(entry => entry !== item);
+                module.saveConfig();
+            }
+            updateModulesList();
+        });
+        
+        container.find('.vertin-tips-field').each(function() {
+            const located = panel.locate(module, getPath(this));
+            if (located?.schema.type === 'custom' && located.schema.bind) {
+                located.schema.bind($(this), located.context);
+            }
+        });
+    },
+    
+    // 读取、检查并保存字段的值
+    async commit(module, container, field) {
+        const path = JSON.parse(field.attr('data-path'));
+        const located = this.locate(module, path);
+        if (!located) return;
+        
+        const { schema, context } = located;
+        const value = this.readValue(field, schema);
+        const error = (schema.type === 'number' && isNaN(value) ? '请输入数字' : null)
+            || moduleManager.checkConfigValue(schema, value)
+            || (schema.validate ? schema.validate(value, context) : null);
+        field.find('.vertin-tips-fieldError').first().text(error || '');
+        if (error) return;
+        
+        if (module.onConfigChange) {
+            await module.onConfigChange(path, value);
+        } else {
+            located.values[path[path.length - 1]] = value;
+            module.saveConfig();
+        }
+        
+        if (schema.rerender) {
+            updateModulesList();
+            return;
+        }
+        
+        // 显示模块整理后的值，并更新依赖这个值的显示状态和列表项标题
+        const saved = this.locate(module, path);
+        if (saved && !['boolean', 'custom'].includes(schema.type) && !(schema.type === 'list' && schema.options)) {
+            this.writeValue(field, schema, saved.values?.[path[path.length - 1]]);
+        }
+        this.updateVisibility(module, container);
+        if (context.item) {
+            const itemElement = field.closest('.vertin-tips-item');
+            const listPath = JSON.parse(itemElement.closest('.vertin-tips-field').attr('data-path'));
+            const list = this.locate(module, listPath);
+            if (list?.schema.summary) {
+                const itemPath = [...listPath, String(context.item[list.schema.key])];
+                itemElement.children('.vertin-tips-itemSummary').html(list.schema.summary({ module, item: context.item, path: itemPath }));
+            }
+        }
+    },
+    
+    // 重新判断带有 visible 的字段是否显示
+    updateVisibility(module, container) {
+        const panel = this;
+        container.find('.vertin-tips-field').each(function() {
+            const located = panel.locate(module, JSON.parse($(this).attr('data-path')));
+            if (located?.schema.visible) {
+                $(this).toggle(!!located.schema.visible(located.values || {}));
+            }
+        });
+    },
+    
+    // 按路径找到字段的说明和所在的对象，返回 { schema, values, context }，找不到时返回 null
+    locate(module, path) {
+        let fields = module.manifest.configSchema;
+        let values = module.config;
+        let item = null;
+        let schema = null;
+        
+        for (let index = 0; index < path.length; index++) {
+            schema = fields?.[path[index]];
+            if (!schema) return null;
+            if (index === path.length - 1) break;
+            
+            if (schema.type === 'group') {
+                values = values?.[path[index]] || {};
+                fields = schema.fields;
+            } else if (schema.type === 'list' && schema.fields) {
+                const list = values?.[path[index]] || [];
+                index++;
+                item = list.find(entry => String(entry[schema.key]) === path[index]) || null;
+                if (!item) return null;
+                if (index === path.length - 1) return { schema, values: list, context: { module, item, path } };
+                values = item;
+                fields = schema.fields;
+            } else {
+                return null;
+            }
+        }
+        return { schema, values, context: { module, item, path } };
+    },
+    
+    // 字段自身的输入控件（不含嵌套字段中的控件）
+    getInputs(field) {
+        return field.find('.vertin-tips-input').filter((index, input) => $(input).closest('.vertin-tips-field')[0] === field[0]);
+    },
+    
+    readValue(field, schema) {
+        const inputs = this.getInputs(field);
+        switch (schema.type) {
+            case 'boolean':
+                return inputs.prop('checked');
+            case 'number':
+                return parseFloat(inputs.val());
+            case 'enum': {
+                const option = moduleManager.getSchemaOptions(schema).find(([value]) => String(value) === inputs.val());
+                return option ? option[0] : inputs.val();
+            }
+            case 'list':
+                if (schema.options) {
+                    const checked = inputs.filter(':checked').map((index, input) => input.value).get();
+                    return moduleManager.getSchemaOptions(schema).map(([value]) => value).filter(value => checked.includes(String(value)));
+                }
+                return inputs.val().split('\n').map(line => line.trim()).filter(Boolean);
+            default:
+                return inputs.val();
+        }
+    },
+    
+    writeValue(field, schema, value) {
+        const inputs = this.getInputs(field);
+        if (schema.type === 'list') {
+            inputs.val((value || []).join('\n'));
         } else {
-            await moduleManager.unload(moduleName);
+            inputs.val(value ?? '');
+        }
+    },
+    
+    resolve(value, context) {
+        return typeof value === 'function' ? value(context) : value;
+    }
+};
+
+// 选择文件夹，返回完整路径，取消或当前环境不支持时返回 null
+async function browseFolder() {
+    // Electron/Node.js 环境
+    if (typeof require !== 'undefined') {
+        const { ipcRenderer } = require('electron');
+        const result = await ipcRenderer.invoke('show-open-dialog', {
+            properties: ['openDirectory']
+        });
+        return !result.canceled && result.filePaths.length > 0 ? result.filePaths[0] : null;
+    }
+    
+    alert('您的浏览器或当前环境不支持文件夹选择功能，请手动输入路径。');
+    return null;
+}
+
+// 文件夹备份模块设置界面中的自定义部分，在 autoBackupModule.manifest.configSchema 中引用
+
+// 任务的默认目标路径说明
+function getDefaultDestination(module, job) {
+    const backend = module.getBackend();
+    if (backend === browserBackend) return '请点击“浏览”选择文件夹';
+    return backend === backupEngine && hasFileSystem()
+        ? backupEngine.getDestinationPath({ ...job, destinationPath: '' })
+        : '服务器上的 ~/Desktop/SillyTavern-FolderBackups';
+}
+
+// 任务面板的标题：名称和状态
+function renderJobSummary({ module, item: job }) {
+    return `
+        <strong class="autoBackup-jobName">${escapeHtml(job.name)}</strong>
+        <span class="autoBackup-jobStatus" style="margin-left: 10px; font-size: 12px;">${formatJobStatus(module, job)}</span>
+    `;
+}
+
+// 选择任务的源文件夹或目标文件夹。浏览器后端保存目录句柄，输入框只显示文件夹名称
+async function browseJobFolder({ module, item: job, path }) {
+    if (module.getBackend() === browserBackend) {
+        const handle = await browserBackend.pickDirectory(job.id, path[path.length - 1]);
+        $(`.autoBackup-job[data-item="${job.id}"] .autoBackup-permission`).hide();
+        return handle.name;
+    }
+    // 浏览器环境无法获取完整路径
+    if (typeof require === 'undefined' && browserBackend.isSupported()) {
+        alert('浏览器中无法获取文件夹的完整路径。请手动输入服务器上的路径，或将“执行备份的位置”改为“浏览器文件夹访问”。');
+        return null;
+    }
+    return await browseFolder();
+}
+
+// 执行备份的位置的连接状态
+function renderBackendStatus() {
+    return '<small id="autoBackup-backendStatus" style="color: #ccc;"></small>';
+}
+
+async function bindBackendStatus(element, { module }) {
+    const status = element.find('#autoBackup-backendStatus');
+    if (module.getBackend() === browserBackend) {
+        status.text('通过浏览器访问文件夹，请用“浏览”按钮选择源文件夹和目标文件夹').css('color', '#ccc');
+        return;
+    }
+    if (module.getBackend() !== serverBackend) {
+        status.text('直接访问本地文件系统，路径为本机路径').css('color', '#ccc');
+        return;
+    }
+    status.text('正在检查服务器插件...').css('color', '#ccc');
+    const available = await serverBackend.isAvailable();
+    status.text(available
+        ? '已连接服务器插件，路径为服务器上的路径'
+        : '未检测到服务器插件，请将 server 文件夹安装到 SillyTavern 的 plugins 目录并启用服务器插件')
+        .css('color', available ? '#28a745' : '#dc3545');
+}
+
+// 运行记录筛选、保留条数和清空
+function bindAutoBackupDashboard(element, { module }) {
+    element.find('.autoBackup-historyFilter').on('change', updateBackupDashboard);
+    
+    element.find('#autoBackup-historyLimit').on('change', function() {
+        module.setHistoryLimit($(this).val());
+        $(this).val(module.config.historyLimit);
+        updateBackupDashboard();
+    });
+    
+    element.find('#autoBackup-clearHistory').on('click', function() {
+        if (!confirm('确定要清空全部运行记录吗？')) return;
+        module.clearHistory();
+        updateBackupDashboard();
+    });
+}
+
+// 导入 SillyTavern 数据快照
+function renderDataImport() {
+    return `
+        <button type="button" class="autoBackup-importData" style="${settingsPanel.buttonStyle}">导入 SillyTavern 数据</button>
+        <input type="file" class="autoBackup-importInput" webkitdirectory multiple style="display: none;" />
+        <div><small style="color: #ccc;">快照可以在另一个 SillyTavern 中导入：选择快照文件夹（压缩包请先解压），按上面勾选的类别导入。角色卡会导入为新角色，同名的聊天记录、世界书和预设会被覆盖</small></div>
+    `;
+}
+
+function bindDataImport(element, { module, item: job }) {
+    element.find('.autoBackup-importData').on('click', function() {
+        element.find('.autoBackup-importInput').val('').trigger('click');
+    });
+    
+    element.find('.autoBackup-importInput').on('change', async function() {
+        if (this.files.length === 0) return;
+
+        // webkitRelativePath 以所选文件夹的名称开头
+        const files = new Map();
+        for (const file of this.files) {
+            files.set(file.webkitRelativePath.split('/').slice(1).join('/'), file);
+        }
+        if (!files.has(stDataSource.indexFile)) {
+            alert(`所选文件夹不是 SillyTavern 数据快照（缺少 ${stDataSource.indexFile}）。`);
+            return;
+        }
+
+        const labels = job.dataCategories.map(category => stDataSource.categories[category]);
+        if (labels.length === 0) {
+            alert('请先勾选要导入的数据类别。');
+            return;
+        }
+        if (!confirm(`确定要将快照中的以下数据导入到当前的 SillyTavern 吗？\n${labels.join('、')}\n同名的聊天记录、世界书和预设会被覆盖。`)) {
+            return;
+        }
+
+        const button = element.find('.autoBackup-importData');
+        button.prop('disabled', true).text('导入中...');
+        const result = await module.importSillyTavernData(files, job.dataCategories);
+        button.prop('disabled', false).text('导入 SillyTavern 数据');
+
+        if (!result.success) {
+            alert('导入失败: ' + result.error);
+            return;
         }
-        
-        saveSettingsDebounced();
-        
-        // 显示/隐藏配置界面
-        if (moduleName === 'autoBackup') {
-            const configDiv = $('#autoBackup-config');
-            if (isEnabled) {
-                configDiv.slideDown(200);
-            } else {
-                configDiv.slideUp(200);
+
+        const summary = `已导入 ${result.characters} 个角色卡、${result.chats} 个聊天记录、${result.groups} 个群组、${result.worlds} 个世界书、${result.presets} 个预设`
+            + (result.settings ? '，以及用户设置' : '')
+            + (result.extensions ? '，以及扩展设置' : '');
+        const errors = result.errors.length > 0
+            ? `\n\n${result.errors.length} 项导入失败:\n${result.errors.slice(0, 20).join('\n')}`
+            : '';
+        // 页面中的设置会在下次保存时覆盖导入的设置，需要立即刷新页面
+        if (result.settings || result.extensions) {
+            if (confirm(`${summary}${errors}\n\n导入的设置需要刷新页面后才能生效，是否立即刷新？`)) {
+                location.reload();
             }
+        } else {
+            alert(`${summary}${errors}\n\n刷新页面后可以看到导入的内容。`);
         }
-        
-        // 更新状态显示
-        setTimeout(() => {
-            updateModulesList();
-        }, 100);
     });
-    
-    // 绑定自动备份配置事件
-    bindAutoBackupEvents();
 }
 
-// 绑定自动备份配置事件
-function bindAutoBackupEvents() {
-    const autoBackupModule = moduleManager.modules.get('autoBackup');
-    if (!autoBackupModule) return;
-    
-    // 备份间隔改变
-    $('#autoBackup-interval').off('change').on('change', function() {
-        const interval = parseInt($(this).val());
-        autoBackupModule.setInterval(interval);
-    });
-    
-    // 源路径改变
-    $('#autoBackup-sourcePath').off('change').on('change', function() {
-        const path = $(this).val().trim();
-        autoBackupModule.setSourcePath(path);
+// 预览包含/排除规则匹配的文件
+function renderFilterPreview() {
+    return `
+        <button type="button" class="autoBackup-previewFilters" style="${settingsPanel.buttonStyle}">预览规则</button>
+        <div class="autoBackup-filterPreview" style="margin-top: 5px; font-size: 12px; color: #ccc;"></div>
+    `;
+}
+
+function bindFilterPreview(element, { module, item: job }) {
+    element.find('.autoBackup-previewFilters').on('click', async function() {
+        const preview = element.find('.autoBackup-filterPreview');
+
+        if (job.sourceType === 'sillytavern') {
+            preview.text('SillyTavern 数据源不支持预览，规则按导出文件的相对路径匹配，例如: chats/**');
+            return;
+        }
+        if (!job.sourcePath) {
+            preview.text('需要先设置源文件夹才能预览。');
+            return;
+        }
+
+        preview.text('统计中...');
+        try {
+            const result = await module.previewFilters(job, {
+                includePatterns: job.includePatterns,
+                excludePatterns: job.excludePatterns
+            });
+            const setNames = { include: '包含', exclude: '排除', backupignore: '.backupignore' };
+            const rows = result.rules.map(rule => `
+                <tr>
+                    <td>${setNames[rule.set]}</td>
+                    <td style="font-family: monospace;">${escapeHtml(rule.pattern)}</td>
+                    <td>${rule.files} 个文件</td>
+                    <td>${formatFileSize(rule.bytes)}</td>
+                </tr>`).join('');
+            preview.html(`
+                <div>源文件夹共 ${result.total.files} 个文件，${formatFileSize(result.total.bytes)}</div>
+                <div style="color: #28a745;">按当前规则将备份 ${result.included.files} 个文件，${formatFileSize(result.included.bytes)}</div>
+                ${rows ? `<table style="width: 100%; margin-top: 5px;">${rows}</table>` : ''}
+            `);
+        } catch (error) {
+            preview.text('预览失败: ' + error.message);
+        }
     });
+}
+
+// 加密开关和密码
+function renderJobEncryption({ module, item: job }) {
+    return `
+        <label class="checkbox_label">
+            <input type="checkbox" class="autoBackup-encryption" ${job.encryption.enabled ? 'checked' : ''} />
+            <span>加密备份</span>
+        </label>
+        <div style="margin-top: 5px; display: flex; gap: 10px; align-items: center;">
+            <button type="button" class="autoBackup-setPassphrase" style="${settingsPanel.buttonStyle}">${job.encryption.keyCheck ? '修改密码' : '设置密码'}</button>
+            <button type="button" class="autoBackup-unlock" style="${settingsPanel.buttonStyle} ${job.encryption.keyCheck && module.isLocked(job) ? '' : 'display: none;'}">输入密码</button>
+        </div>
+        <small style="color: #ccc;">使用 AES-256-GCM 加密，密钥由密码通过 PBKDF2 派生。密码不会保存，刷新页面后需要重新输入才能自动备份；忘记密码将无法恢复备份。加密时不使用增量备份</small>
+    `;
+}
 
-    // 目标路径改变
-    $('#autoBackup-destinationPath').off('change').on('change', function() {
-        const path = $(this).val().trim();
-        autoBackupModule.setDestinationPath(path);
+function bindJobEncryption(element, { module, item: job }) {
+    // 第一次启用时要求设置密码
+    element.find('.autoBackup-encryption').on('change', async function() {
+        const enabled = $(this).prop('checked');
+        if (enabled && !job.encryption.keyCheck) {
+            const passphrase = await promptPassphrase(`设置加密密码 - ${job.name}`, { confirm: true });
+            if (!passphrase) {
+                $(this).prop('checked', false);
+                return;
+            }
+            await module.setPassphrase(job, passphrase);
+        }
+        module.updateJob(job.id, { encryption: { enabled } });
+        updateModulesList();
     });
     
-    // 浏览文件夹 (通用)
-    $('.autoBackup-browse').off('click').on('click', async function() {
-        const targetInputId = $(this).attr('id') === 'autoBackup-browseSource'
-            ? 'autoBackup-sourcePath'
-            : 'autoBackup-destinationPath';
-        
+    // 设置或修改密码，之后创建的快照使用新密码，已有的快照仍需使用原来的密码
+    element.find('.autoBackup-setPassphrase').on('click', async function() {
+        const passphrase = await promptPassphrase(`${job.encryption.keyCheck ? '修改' : '设置'}加密密码 - ${job.name}`, {
+            confirm: true,
+            message: job.encryption.keyCheck ? '已有的快照仍需使用原来的密码恢复。' : ''
+        });
+        if (!passphrase) return;
         try {
-            // Electron/Node.js 环境
-            if (typeof require !== 'undefined') {
-                 const { ipcRenderer } = require('electron');
-                 const result = await ipcRenderer.invoke('show-open-dialog', {
-                     properties: ['openDirectory']
-                 });
-
-                 if (!result.canceled && result.filePaths.length > 0) {
-                     const selectedPath = result.filePaths[0];
-                     $(`#${targetInputId}`).val(selectedPath).trigger('change');
-                 }
-            }
-            // 浏览器环境
-            else if ('showDirectoryPicker' in window) {
-                const dirHandle = await window.showDirectoryPicker();
-                // 浏览器中无法直接获取完整路径，只能用name，这在本地环境中意义不大
-                // 但为了UI一致性，我们还是更新它
-                $(`#${targetInputId}`).val(dirHandle.name).trigger('change');
-            }
-            else {
-                alert('您的浏览器或当前环境不支持文件夹选择功能，请手动输入路径。');
-            }
+            await module.setPassphrase(job, passphrase);
+            updateModulesList();
         } catch (error) {
-            // EBUSY错误通常是对话框已打开，可以忽略
-            if (error.code !== 'EBUSY') {
-                 console.warn('文件夹选择操作被取消或失败:', error);
-            }
+            alert('设置密码失败: ' + error.message);
         }
     });
     
-    // 最大备份数改变
-    $('#autoBackup-maxBackups').off('change').on('change', function() {
-        const count = parseInt($(this).val());
-        autoBackupModule.setMaxBackups(count);
+    // 输入密码解锁加密任务
+    element.find('.autoBackup-unlock').on('click', async function() {
+        const passphrase = await promptPassphrase(`输入加密密码 - ${job.name}`);
+        if (!passphrase) return;
+        try {
+            if (await module.unlockJob(job, passphrase)) {
+                updateModulesList();
+            } else {
+                alert('密码错误');
+            }
+        } catch (error) {
+            alert('解锁失败: ' + error.message);
+        }
+    });
+}
+
+// 授权提示、备份进度和任务操作按钮
+function renderJobActions() {
+    return `
+        <div class="autoBackup-permission" style="display: none; margin-bottom: 10px; padding: 8px; background: #5a4a2a; border-radius: 3px;">
+            <span>浏览器需要重新授权才能访问所选的文件夹。</span>
+            <button type="button" class="autoBackup-grantPermission" style="padding: 4px 8px; margin-left: 5px; background: #fd7e14; color: white; border: none; border-radius: 3px;">授权访问文件夹</button>
+        </div>
+        
+        <div class="autoBackup-progress" style="display: none; margin-top: 10px; padding: 8px; background: #2c2c2c; border-radius: 3px;">
+            <div style="height: 8px; background: #555; border-radius: 4px; overflow: hidden;">
+                <div class="autoBackup-progressBar" style="height: 100%; width: 0; background: #17a2b8;"></div>
+            </div>
+            <div style="margin-top: 5px; display: flex; justify-content: space-between; align-items: center; gap: 10px;">
+                <small class="autoBackup-progressText" style="color: #ccc; word-break: break-all; white-space: pre-line;">准备中...</small>
+                <button type="button" class="autoBackup-cancel" style="padding: 4px 8px; background: #dc3545; color: white; border: none; border-radius: 3px; white-space: nowrap;">取消</button>
+            </div>
+        </div>
+        
+        <div style="margin-top: 15px;">
+            <input type="text" class="autoBackup-label" maxlength="100" placeholder="手动备份的备注（可选），例如: 修改角色卡之前" style="width: 100%; padding: 4px; background-color: #2c2c2c; color: #fff; border-color: #666;" />
+        </div>
+        
+        <div style="margin-top: 10px; display: flex; gap: 10px; flex-wrap: wrap;">
+            <button type="button" class="autoBackup-manual" style="padding: 6px 12px; background: #007bff; color: white; border: none; border-radius: 3px;">
+                立即备份
+            </button>
+            <button type="button" class="autoBackup-list" style="padding: 6px 12px; background: #28a745; color: white; border: none; border-radius: 3px;">
+                查看备份
+            </button>
+            <button type="button" class="autoBackup-openFolder" style="padding: 6px 12px; background: #6c757d; color: white; border: none; border-radius: 3px;">
+                打开备份文件夹
+            </button>
+        </div>
+    `;
+}
+
+async function bindJobActions(element, { module, item: job }) {
+    element.find('.autoBackup-grantPermission').on('click', async function() {
+        try {
+            await browserBackend.requestPermission(job);
+            element.find('.autoBackup-permission').hide();
+        } catch (error) {
+            alert('授权失败: ' + error.message);
+        }
     });
     
-    // 自动备份开关
-    $('#autoBackup-autoStart').off('change').on('change', function() {
-        const enabled = $(this).prop('checked');
-        autoBackupModule.setEnabled(enabled);
+    // 取消正在进行的备份
+    element.find('.autoBackup-cancel').on('click', function() {
+        if (module.cancelBackup(job.id)) {
+            $(this).prop('disabled', true).text('正在取消...');
+        }
     });
     
     // 立即备份
-    $('#autoBackup-manual').off('click').on('click', async function() {
+    element.find('.autoBackup-manual').on('click', async function() {
         const button = $(this);
         button.prop('disabled', true).text('备份中...');
         
         try {
-            const result = await autoBackupModule.manualBackup();
-            if (result.success) {
-                button.text('备份成功！');
-                setTimeout(() => {
-                    button.prop('disabled', false).text('立即备份');
-                }, 2000);
-            } else {
-                button.text('备份失败');
-                setTimeout(() => {
-                    button.prop('disabled', false).text('立即备份');
-                }, 2000);
+            // 浏览器后端在用户点击时顺便请求文件夹权限
+            if (module.getBackend() === browserBackend) {
+                await browserBackend.requestPermission(job).catch(() => {});
+                element.find('.autoBackup-permission').hide();
             }
+
+            const result = await module.manualBackup(job.id, element.find('.autoBackup-label').val());
+            button.text(result.success ? '备份成功！' : '备份失败');
+            if (result.success) element.find('.autoBackup-label').val('');
         } catch (error) {
             button.text('备份失败');
-            setTimeout(() => {
-                button.prop('disabled', false).text('立即备份');
-            }, 2000);
         }
+        setTimeout(() => {
+            button.prop('disabled', false).text('立即备份');
+        }, 2000);
     });
     
     // 查看备份列表
-    $('#autoBackup-list').off('click').on('click', async function() {
+    element.find('.autoBackup-list').on('click', async function() {
         try {
-            const backups = await autoBackupModule.getBackupList();
-            showBackupListDialog(backups);
+            const backups = await module.getBackupList(job);
+            showBackupListDialog(backups, job);
         } catch (error) {
             alert('获取备份列表失败: ' + error.message);
         }
     });
     
     // 打开备份文件夹
-    $('#autoBackup-openFolder').off('click').on('click', function() {
-        const destinationPath = autoBackupModule.getDestinationPath();
+    element.find('.autoBackup-openFolder').on('click', function() {
+        const destinationPath = hasFileSystem() ? backupEngine.getDestinationPath(job) : job.destinationPath;
         
         if (!destinationPath) {
             alert("备份目标文件夹未设置。");
@@ -819,39 +4508,349 @@ function bindAutoBackupEvents() {
             }
         }
     });
+    
+    // 浏览器后端：显示需要重新授权的提示
+    if (module.getBackend() === browserBackend && await browserBackend.getPermissionState(job).catch(() => 'missing') === 'prompt') {
+        element.find('.autoBackup-permission').show();
+    }
+    
+    // 重新渲染后恢复正在进行的备份的进度
+    updateJobProgressDisplay(job);
+}
+
+// 任务状态文字
+function formatJobStatus(module, job) {
+    const parts = [];
+
+    if (module.isLocked(job)) {
+        parts.push('<span style="color: #ffc107;">已加密，需要输入密码</span>');
+    }
+
+    if (module.runningJobs.has(job.id)) {
+        parts.push('<span style="color: #17a2b8;">备份中...</span>');
+    } else if (job.lastRun) {
+        const color = job.lastRun.success ? '#28a745' : '#dc3545';
+        const result = job.lastRun.success ? '成功' : '失败';
+        parts.push(`<span style="color: ${color};">上次备份: ${formatDate(job.lastRun.time)} ${result}</span>`);
+    } else {
+        parts.push('<span style="color: #6c757d;">尚未备份</span>');
+    }
+
+    parts.push(job.enabled
+        ? `<span style="color: #ccc;">自动: ${escapeHtml(job.schedule || `每${job.interval}分钟`)}</span>`
+        : '<span style="color: #6c757d;">自动备份未启用</span>');
+
+    const triggerNames = [
+        job.triggers.messages ? `每${job.triggers.messages}条消息` : null,
+        job.triggers.chatChanged ? '切换聊天' : null,
+        job.triggers.characterChanged ? '角色变更' : null,
+        job.triggers.beforeClose ? '关闭前' : null
+    ].filter(Boolean);
+    if (triggerNames.length > 0) {
+        parts.push(`<span style="color: #ccc;">事件: ${triggerNames.join('、')}</span>`);
+    }
+
+    return parts.join(' | ');
+}
+
+// 刷新任务状态显示
+function updateJobStatusDisplay(job) {
+    const module = moduleManager.modules.get('autoBackup');
+    if (!module) return;
+    $(`.autoBackup-job[data-item="${job.id}"] .autoBackup-jobStatus`).html(formatJobStatus(module, job));
+    updateJobProgressDisplay(job);
+    updateBackupDashboard();
+}
+
+// 刷新任务的备份进度：已处理的文件数和大小、当前文件和预计剩余时间，没有在备份时隐藏
+function updateJobProgressDisplay(job) {
+    const module = moduleManager.modules.get('autoBackup');
+    const element = $(`.autoBackup-job[data-item="${job.id}"] .autoBackup-progress`);
+    if (!module || element.length === 0) return;
+
+    if (!module.runningJobs.has(job.id)) {
+        element.hide();
+        element.find('.autoBackup-cancel').prop('disabled', false).text('取消');
+        return;
+    }
+
+    const progress = module.progress.get(job.id);
+    let text = '准备中...';
+    let percent = 0;
+    if (progress) {
+        percent = progress.totalBytes > 0 ? Math.min(100, progress.bytes / progress.totalBytes * 100) : 0;
+        const phase = progress.phase === 'checksum' ? '计算校验和' : '复制';
+        text = `${phase}: ${progress.files}/${progress.totalFiles} 个文件，${formatFileSize(progress.bytes)} / ${formatFileSize(progress.totalBytes)}`
+            + (progress.eta !== null ? `，预计剩余 ${formatDuration(progress.eta * 1000)}` : '')
+            + (progress.currentFile ? `\n${progress.currentFile}` : '');
+    }
+    element.find('.autoBackup-progressBar').css('width', `${percent}%`);
+    element.find('.autoBackup-progressText').text(text);
+    element.show();
+}
+
+// 运行记录中备份方式的显示名称
+const backupRunModes = { manual: '手动', auto: '定时', event: '事件触发' };
+
+// 运行记录中结果的显示名称和颜色
+const backupRunStatuses = {
+    success: { label: '成功', color: '#28a745' },
+    failed: { label: '失败', color: '#dc3545' },
+    cancelled: { label: '已取消', color: '#ffc107' },
+    skipped: { label: '无变化跳过', color: '#6c757d' }
+};
+
+// 渲染运行状态面板：每个任务的概况和可筛选的运行记录
+function renderAutoBackupDashboard({ module }) {
+    const jobs = module.config?.jobs || [];
+    const modes = Object.entries(backupRunModes);
+    const selectStyle = 'padding: 4px; background-color: #2c2c2c; color: #fff; border-color: #666;';
+
+    return `
+        <div id="autoBackup-dashboard" style="margin-bottom: 10px; padding: 8px; border: 1px solid #666; border-radius: 3px; background: #4a4a4a;">
+            <label style="display: block; margin-bottom: 5px; font-weight: bold;">运行状态:</label>
+            <div class="autoBackup-dashboardSummary">${renderDashboardSummary(module)}</div>
+            <details style="margin-top: 10px;">
+                <summary style="cursor: pointer;">运行记录 (<span class="autoBackup-historyCount">${(module.config?.history || []).length}</span>)</summary>
+                <div style="margin-top: 5px; display: flex; gap: 5px; flex-wrap: wrap; align-items: center;">
+                    <select class="autoBackup-historyFilter" data-field="jobId" style="${selectStyle}">
+                        <option value="">全部任务</option>
+                        ${jobs.map(job => `<option value="${job.id}">${escapeHtml(job.name)}</option>`).join('')}
+                    </select>
+                    <select class="autoBackup-historyFilter" data-field="status" style="${selectStyle}">
+                        <option value="">全部结果</option>
+                        ${Object.entries(backupRunStatuses).map(([status, { label }]) => `<option value="${status}">${label}</option>`).join('')}
+                    </select>
+                    <select class="autoBackup-historyFilter" data-field="mode" style="${selectStyle}">
+                        <option value="">全部方式</option>
+                        ${modes.map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('')}
+                    </select>
+                    <span style="margin-left: auto;">最多保留</span>
+                    <input type="number" id="autoBackup-historyLimit" min="1" value="${module.config?.historyLimit || 100}" style="width: 70px; ${selectStyle}" />
+                    <span>条</span>
+                    <button type="button" id="autoBackup-clearHistory" style="padding: 4px 8px; background-color: #444; color: #fff; border: 1px solid #666;">清空</button>
+                </div>
+                <div class="autoBackup-history" style="margin-top: 5px; max-height: 300px; overflow-y: auto;">${renderHistoryTable(module, {})}</div>
+            </details>
+        </div>
+    `;
+}
+
+// 每个任务的上次成功时间、下一次自动备份时间和连续失败次数
+function renderDashboardSummary(module) {
+    const rows = (module.config?.jobs || []).map(job => {
+        const stats = module.getJobStats(job);
+        const streakColor = stats.failureStreak > 0 ? '#dc3545' : '#28a745';
+        return `
+            <tr>
+                <td>${escapeHtml(job.name)}</td>
+                <td>${stats.lastSuccess ? formatDate(stats.lastSuccess.end) : '<span style="color: #6c757d;">无</span>'}</td>
+                <td>${stats.nextRun ? formatDate(stats.nextRun) : '<span style="color: #6c757d;">未启用</span>'}</td>
+                <td style="color: ${streakColor};">${stats.failureStreak}</td>
+            </tr>`;
+    }).join('');
+
+    return `
+        <table style="width: 100%; font-size: 12px; text-align: left;">
+            <tr style="color: #ccc;"><th>任务</th><th>上次成功</th><th>下次自动备份</th><th>连续失败</th></tr>
+            ${rows}
+        </table>
+    `;
+}
+
+// 按筛选条件渲染运行记录表格，filters 可包含 jobId、status 和 mode
+function renderHistoryTable(module, filters) {
+    const entries = (module.config?.history || []).filter(entry =>
+        (!filters.jobId || entry.jobId === filters.jobId)
+        && (!filters.status || entry.status === filters.status)
+        && (!filters.mode || entry.mode === filters.mode));
+
+    if (entries.length === 0) {
+        return '<div style="font-size: 12px; color: #ccc;">没有符合条件的运行记录</div>';
+    }
+
+    const rows = entries.map(entry => {
+        const status = backupRunStatuses[entry.status] || backupRunStatuses.failed;
+        const detail = entry.error
+            ? `<span style="color: #dc3545;">${escapeHtml(entry.error)}</span>`
+            : escapeHtml(entry.path || '');
+        return `
+            <tr>
+                <td>${formatDate(entry.start)}</td>
+                <td>${escapeHtml(module.getJob(entry.jobId)?.name || entry.jobName)}</td>
+                <td>${backupRunModes[entry.mode] || escapeHtml(entry.mode)}</td>
+                <td style="color: ${status.color};">${status.label}</td>
+                <td>${entry.files ?? ''}</td>
+                <td>${entry.bytes !== null && entry.bytes !== undefined ? formatFileSize(entry.bytes) : ''}</td>
+                <td>${formatDuration(entry.duration)}</td>
+                <td style="word-break: break-all;">${detail}</td>
+            </tr>`;
+    }).join('');
+
+    return `
+        <table style="width: 100%; font-size: 12px; text-align: left;">
+            <tr style="color: #ccc;"><th>开始时间</th><th>任务</th><th>方式</th><th>结果</th><th>文件数</th><th>大小</th><th>耗时</th><th>路径/错误</th></tr>
+            ${rows}
+        </table>
+    `;
+}
+
+// 刷新运行状态面板，保留当前的筛选条件
+function updateBackupDashboard() {
+    const module = moduleManager.modules.get('autoBackup');
+    const dashboard = $('#autoBackup-dashboard');
+    if (!module || dashboard.length === 0) return;
+
+    const filters = {};
+    dashboard.find('.autoBackup-historyFilter').each(function() {
+        filters[$(this).data('field')] = $(this).val();
+    });
+    dashboard.find('.autoBackup-dashboardSummary').html(renderDashboardSummary(module));
+    dashboard.find('.autoBackup-history').html(renderHistoryTable(module, filters));
+    dashboard.find('.autoBackup-historyCount').text((module.config.history || []).length);
+}
+
+// 格式化文件大小
+function formatFileSize(bytes) {
+    if (bytes < 0) return '文件夹'; // 表示是文件夹
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    if (bytes === 0) return '0 Bytes';
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+    return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// 格式化日期
+function formatDate(date) {
+    return new Date(date).toLocaleString('zh-CN');
+}
+
+// 格式化耗时（毫秒）
+function formatDuration(ms) {
+    if (ms < 1000) return `${ms} 毫秒`;
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds} 秒`;
+    return `${Math.floor(seconds / 60)} 分 ${seconds % 60} 秒`;
+}
+
+// 转义HTML，文件内容和文件名可能包含任意字符
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 把值转换为 onclick 属性中的字符串参数，快照名称和路径可能包含引号、反斜杠等字符
+function scriptArg(value) {
+    return escapeHtml(JSON.stringify(String(value)));
+}
+
+// 显示输入密码的对话框，返回输入的密码，取消时返回 null
+// options.confirm: 需要再输入一次确认（设置新密码时使用）；options.allowEmpty: 允许留空
+function promptPassphrase(title, options = {}) {
+    const { confirm: needConfirm = false, allowEmpty = false, message = '' } = options;
+    const inputStyle = 'width: 100%; padding: 4px; margin-bottom: 10px; background-color: #2c2c2c; color: #fff; border-color: #666;';
+
+    return new Promise(resolve => {
+        const dialog = $(`
+            <div id="backup-passphrase-dialog" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10002; display: flex; justify-content: center; align-items: center;">
+                <form style="background: #3a3a3a; color: #fff; padding: 20px; border-radius: 8px; max-width: 400px; width: 90%;">
+                    <h3>${escapeHtml(title)}</h3>
+                    ${message ? `<p style="color: #ccc; font-size: 12px;">${escapeHtml(message)}</p>` : ''}
+                    <input type="password" class="backup-passphrase" autocomplete="new-password" placeholder="密码" style="${inputStyle}" />
+                    ${needConfirm ? `<input type="password" class="backup-passphrase-confirm" autocomplete="new-password" placeholder="再次输入密码" style="${inputStyle}" />` : ''}
+                    <div class="backup-passphrase-error" style="color: #dc3545; font-size: 12px; margin-bottom: 10px;"></div>
+                    <div style="text-align: right;">
+                        <button type="submit" style="padding: 8px 16px; margin-right: 5px; background: #007bff; color: white; border: none;">确定</button>
+                        <button type="button" class="backup-passphrase-cancel" style="padding: 8px 16px; background-color: #444; color: #fff; border: 1px solid #666;">取消</button>
+                    </div>
+                </form>
+            </div>
+        `);
+
+        const close = value => {
+            dialog.remove();
+            resolve(value);
+        };
+
+        dialog.find('form').on('submit', event => {
+            event.preventDefault();
+            const passphrase = dialog.find('.backup-passphrase').val();
+            if (!passphrase && !allowEmpty) {
+                dialog.find('.backup-passphrase-error').text('请输入密码');
+                return;
+            }
+            if (needConfirm && passphrase !== dialog.find('.backup-passphrase-confirm').val()) {
+                dialog.find('.backup-passphrase-error').text('两次输入的密码不一致');
+                return;
+            }
+            close(passphrase);
+        });
+        dialog.find('.backup-passphrase-cancel').on('click', () => close(null));
+
+        // 模块卸载时关闭对话框
+        moduleManager.modules.get('autoBackup').context.track(dialog.appendTo('body'));
+        dialog.find('.backup-passphrase').trigger('focus');
+    });
+}
+
+// 所选快照已加密时请求输入密码。返回 { passphrase }，快照未加密时 passphrase 为 null，取消时返回 null
+async function askSnapshotPassphrase(job, names, options = {}) {
+    const module = moduleManager.modules.get('autoBackup');
+    const backups = await module.getBackupList(job);
+    const encrypted = backups.filter(backup => names.includes(backup.name) && backup.manifest?.encryption);
+    if (encrypted.length === 0) return { passphrase: null };
+
+    const passphrase = await promptPassphrase(`输入快照密码 - ${encrypted.map(backup => backup.name).join(', ')}`, options);
+    return passphrase === null ? null : { passphrase };
 }
 
 // 显示备份列表对话框
-function showBackupListDialog(backups) {
-    const formatFileSize = (bytes) => {
-        if (bytes < 0) return '文件夹'; // 表示是文件夹
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        if (bytes === 0) return '0 Bytes';
-        const i = Math.floor(Math.log(bytes) / Math.log(1024));
-        return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + ' ' + sizes[i];
-    };
-    
-    const formatDate = (date) => {
-        return new Date(date).toLocaleString('zh-CN');
-    };
-    
-    let listHtml = '<h3>备份文件列表</h3>';
+function showBackupListDialog(backups, job) {
+    const module = moduleManager.modules.get('autoBackup');
+    const { remove } = backupEngine.planCleanup(job, backups);
+    const toRemove = new Set(remove.map(backup => backup.name));
+    const pinned = new Set(job.pinned || []);
+
+    let listHtml = `<h3>备份文件列表 - ${escapeHtml(job.name)}</h3>`;
     if (backups.length === 0) {
         listHtml += '<p style="color: #ccc;">暂无备份文件</p>';
     } else {
+        listHtml += toRemove.size > 0
+            ? `<p style="color: #ffc107; font-size: 12px;">按当前保留策略，下次清理将删除 ${toRemove.size} 个标记的备份</p>`
+            : '<p style="color: #ccc; font-size: 12px;">按当前保留策略，下次清理不会删除任何备份</p>';
         listHtml += '<div style="max-height: 300px; overflow-y: auto;">';
         backups.forEach((backup, index) => {
+            const verifyResult = job.verifyResults?.[backup.name];
+            const verifyTags = {
+                ok: ' <span style="color: #28a745;">[校验通过]</span>',
+                corrupt: ' <span style="color: #dc3545;">[已损坏]</span>',
+                unverifiable: ' <span style="color: #999;">[无校验信息]</span>'
+            };
+            const tags = (backup.manifest?.encryption ? ' <span style="color: #ffc107;">[已加密]</span>' : '')
+                + (pinned.has(backup.name) ? ' <span style="color: #17a2b8;">[已固定]</span>' : '')
+                + (toRemove.has(backup.name) ? ' <span style="color: #ffc107;">[将被清理]</span>' : '')
+                + (verifyResult ? verifyTags[verifyResult.status] || '' : '');
             listHtml += `
                 <div style="padding: 8px; border-bottom: 1px solid #555; display: flex; justify-content: space-between; align-items: center;">
-                    <div>
-                        <div style="font-weight: bold; color: #fff;">${backup.name}</div>
-                        <div style="font-size: 12px; color: #ccc;">
-                            创建时间: ${formatDate(backup.created)} | 大小: ${formatFileSize(backup.size)}
+                    <label style="display: flex; align-items: center; gap: 8px;">
+                        <input type="checkbox" class="backup-compare-check" data-name="${escapeHtml(backup.name)}" />
+                        <div>
+                            <div style="font-weight: bold; color: #fff;">${escapeHtml(backup.name)}${tags}</div>
+                            ${backup.manifest?.label ? `<div style="font-size: 12px; color: #17a2b8;">备注: ${escapeHtml(backup.manifest.label)}</div>` : ''}
+                            <div style="font-size: 12px; color: #ccc;">
+                                创建时间: ${formatDate(backup.created)} | 大小: ${formatFileSize(['folder', 'dedup'].includes(backup.format) && backup.totalSize !== null ? backup.totalSize : backup.size)}${backup.fileCount !== null ? ` | ${backup.fileCount} 个文件` : ''}
+                            </div>
                         </div>
-                    </div>
+                    </label>
                     <div>
-                        <button onclick="copyBackupPath('${backup.path}')" style="padding: 2px 8px; margin-right: 5px; background-color: #444; color: #fff; border: 1px solid #666;">复制路径</button>
-                        <button onclick="deleteBackup('${backup.path}', '${backup.name}')" style="padding: 2px 8px; background: #dc3545; color: white; border: none;">删除</button>
+                        <button onclick="toggleBackupPin(${scriptArg(job.id)}, ${scriptArg(backup.name)})" style="padding: 2px 8px; margin-right: 5px; background-color: #444; color: #fff; border: 1px solid #666;">${pinned.has(backup.name) ? '取消固定' : '固定'}</button>
+                        <button onclick="copyBackupPath(${scriptArg(backup.path)})" style="padding: 2px 8px; margin-right: 5px; background-color: #444; color: #fff; border: 1px solid #666;">复制路径</button>
+                        <button onclick="verifyBackup(${scriptArg(job.id)}, ${scriptArg(backup.name)})" style="padding: 2px 8px; margin-right: 5px; background: #28a745; color: white; border: none;">校验</button>
+                        <button onclick="restoreBackup(${scriptArg(job.id)}, ${scriptArg(backup.name)})" style="padding: 2px 8px; margin-right: 5px; background: #fd7e14; color: white; border: none;">恢复</button>
+                        <button onclick="deleteBackup(${scriptArg(job.id)}, ${scriptArg(backup.name)})" style="padding: 2px 8px; background: #dc3545; color: white; border: none;">删除</button>
                     </div>
                 </div>
             `;
@@ -864,6 +4863,17 @@ function showBackupListDialog(backups) {
         <div id="backup-list-dialog" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10000; display: flex; justify-content: center; align-items: center;">
             <div style="background: #3a3a3a; color: #fff; padding: 20px; border-radius: 8px; max-width: 600px; width: 90%; max-height: 80%; overflow-y: auto;">
                 ${listHtml}
+                <div style="margin-top: 15px; display: flex; justify-content: space-between; align-items: center;">
+                    <small style="color: #ccc;">勾选两个备份进行对比，或只勾选一个与当前源文件夹对比</small>
+                    <button onclick="compareSelectedBackups(${scriptArg(job.id)})" style="padding: 8px 16px; background: #17a2b8; color: white; border: none;">对比所选</button>
+                </div>
+                <div style="margin-top: 15px; display: flex; justify-content: space-between; align-items: center;">
+                    <small style="color: #ccc;">立即按保留策略删除标记为“将被清理”的备份</small>
+                    <div>
+                        <button onclick="verifyAllBackups(${scriptArg(job.id)})" style="padding: 8px 16px; margin-right: 5px; background: #28a745; color: white; border: none;" ${backups.length === 0 ? 'disabled' : ''}>全部校验</button>
+                        <button onclick="pruneBackups(${scriptArg(job.id)})" style="padding: 8px 16px; background: #dc3545; color: white; border: none;" ${toRemove.size === 0 ? 'disabled' : ''}>立即清理</button>
+                    </div>
+                </div>
                 <div style="margin-top: 15px; text-align: right;">
                     <button onclick="closeBackupListDialog()" style="padding: 8px 16px; background-color: #444; color: #fff; border: 1px solid #666;">关闭</button>
                 </div>
@@ -871,16 +4881,16 @@ function showBackupListDialog(backups) {
         </div>
     `;
     
-    $('body').append(dialogHtml);
+    moduleManager.modules.get('autoBackup').context.track($(dialogHtml).appendTo('body'));
 }
 
 // 全局函数：关闭备份列表对话框
-window.closeBackupListDialog = function() {
+function closeBackupListDialog() {
     $('#backup-list-dialog').remove();
-};
+}
 
 // 全局函数：复制备份路径
-window.copyBackupPath = function(path) {
+function copyBackupPath(path) {
     if (navigator.clipboard) {
         navigator.clipboard.writeText(path).then(() => {
             alert('路径已复制到剪贴板');
@@ -888,28 +4898,320 @@ window.copyBackupPath = function(path) {
     } else {
         alert(`备份路径: ${path}`);
     }
-};
+}
 
 // 全局函数：删除备份
-window.deleteBackup = function(path, name) {
-    if (confirm(`确定要删除备份文件夹 "${name}" 吗？此操作不可撤销。`)) {
-        if (typeof require !== 'undefined') {
-            const fs = require('fs/promises');
-             fs.rm(path, { recursive: true, force: true })
-                .then(() => {
-                    alert('备份文件夹已删除');
-                    closeBackupListDialog();
-                    // 重新显示列表
-                    const autoBackupModule = moduleManager.modules.get('autoBackup');
-                    if (autoBackupModule) {
-                        autoBackupModule.getBackupList().then(showBackupListDialog);
-                    }
-                })
-                .catch(error => {
-                     alert('删除失败: ' + error.message);
-                });
+function deleteBackup(jobId, name) {
+    if (confirm(`确定要删除备份 "${name}" 吗？此操作不可撤销。`)) {
+        const module = moduleManager.modules.get('autoBackup');
+        const job = module?.getJob(jobId);
+        if (!job) return;
+
+        module.deleteBackup(job, name)
+            .then(() => {
+                alert('备份已删除');
+                // 重新显示列表
+                return refreshBackupListDialog(job);
+            })
+            .catch(error => {
+                 alert('删除失败: ' + error.message);
+            });
+    }
+}
+
+// 显示恢复结果对话框
+function showRestoreReportDialog(result) {
+    const maxItems = 200;
+    const renderGroup = (title, files, color) => {
+        if (files.length === 0) return '';
+        const items = files.slice(0, maxItems)
+            .map(file => `<div style="font-family: monospace; font-size: 12px; color: ${color};">${escapeHtml(file)}</div>`)
+            .join('');
+        const more = files.length > maxItems
+            ? `<div style="font-size: 12px; color: #ccc;">……另有 ${files.length - maxItems} 个文件</div>`
+            : '';
+        return `<h4 style="margin: 10px 0 5px 0;">${title} (${files.length})</h4>${items}${more}`;
+    };
+
+    let bodyHtml = `
+        <p style="color: #ccc;">恢复方式: ${result.mode === 'mirror' ? '镜像' : '合并'}</p>
+        ${result.safetyPath ? `<p style="color: #ccc;">恢复前的安全快照: ${escapeHtml(result.safetyPath)}</p>` : ''}
+    `;
+    const groups = renderGroup('覆盖的文件', result.overwritten, '#ffc107')
+        + renderGroup('新增的文件', result.added, '#28a745')
+        + renderGroup('删除的文件', result.removed, '#dc3545');
+    bodyHtml += groups || '<p style="color: #ccc;">源文件夹已与备份一致，没有文件需要改动。</p>';
+
+    const dialogHtml = `
+        <div id="backup-restore-dialog" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10001; display: flex; justify-content: center; align-items: center;">
+            <div style="background: #3a3a3a; color: #fff; padding: 20px; border-radius: 8px; max-width: 600px; width: 90%; max-height: 80%; overflow-y: auto;">
+                <h3>恢复完成</h3>
+                ${bodyHtml}
+                <div style="margin-top: 15px; text-align: right;">
+                    <button onclick="$('#backup-restore-dialog').remove()" style="padding: 8px 16px; background-color: #444; color: #fff; border: 1px solid #666;">关闭</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    moduleManager.modules.get('autoBackup').context.track($(dialogHtml).appendTo('body'));
+}
+
+// 全局函数：从备份恢复
+async function restoreBackup(jobId, name) {
+    const module = moduleManager.modules.get('autoBackup');
+    const job = module?.getJob(jobId);
+    if (!job) return;
+
+    if (job.sourceType === 'sillytavern') {
+        alert('SillyTavern 数据快照不能直接恢复。请在任务设置中点击“导入 SillyTavern 数据”，选择快照文件夹（压缩包请先解压）。');
+        return;
+    }
+
+    const sourcePath = job.sourcePath;
+    if (!confirm(`确定要用备份 "${name}" 恢复源文件夹 "${sourcePath}" 吗？\n恢复前会先为当前源文件夹创建一个安全快照。`)) {
+        return;
+    }
+
+    const mirror = confirm('选择恢复方式：\n确定 = 镜像（删除源文件夹中备份里不存在的文件）\n取消 = 合并（只覆盖和新增文件）');
+
+    const unlock = await askSnapshotPassphrase(job, [name]);
+    if (!unlock) return;
+
+    const result = await module.restoreBackup(job, name, { mode: mirror ? 'mirror' : 'merge', passphrase: unlock.passphrase });
+
+    if (result.success) {
+        closeBackupListDialog();
+        showRestoreReportDialog(result);
+    } else {
+        alert('恢复失败: ' + (result.rolledBack ? '已回滚到恢复前的状态。' : '') + result.error);
+    }
+}
+
+// 渲染逐行差异，未变化的连续行折叠为上下文
+function renderLineDiff(diff) {
+    if (!diff) {
+        return '<div style="font-size: 12px; color: #ccc;">差异过大，无法显示逐行对比</div>';
+    }
+
+    const context = 3;
+    const maxLines = 500;
+    const changed = diff.map(entry => entry.type !== ' ');
+    const visible = diff.map((entry, index) => {
+        for (let k = Math.max(0, index - context); k <= Math.min(diff.length - 1, index + context); k++) {
+            if (changed[k]) return true;
+        }
+        return false;
+    });
+
+    const colors = { '+': '#28a745', '-': '#dc3545', ' ': '#ccc' };
+    let html = '';
+    let shown = 0;
+    let skipped = false;
+    for (let index = 0; index < diff.length; index++) {
+        if (!visible[index]) {
+            skipped = true;
+            continue;
+        }
+        if (shown >= maxLines) {
+            html += '<div style="color: #ccc;">……差异过长，其余部分已省略</div>';
+            break;
+        }
+        if (skipped) {
+            html += '<div style="color: #6c757d;">⋯</div>';
+            skipped = false;
+        }
+        const { type, line } = diff[index];
+        html += `<div style="color: ${colors[type]}; white-space: pre-wrap; word-break: break-all;">${type} ${escapeHtml(line)}</div>`;
+        shown++;
+    }
+
+    return `<div style="font-family: monospace; font-size: 12px; background: #2c2c2c; padding: 5px; margin-top: 5px;">${html}</div>`;
+}
+
+// 显示对比结果对话框
+function showCompareDialog(result, leftLabel, rightLabel) {
+    const fileInfo = info => info ? `${formatFileSize(info.size)}, ${formatDate(info.mtime)}` : '';
+
+    const renderGroup = (title, entries, color, renderEntry) => {
+        if (entries.length === 0) return '';
+        return `<h4 style="margin: 10px 0 5px 0; color: ${color};">${title} (${entries.length})</h4>`
+            + entries.map(renderEntry).join('');
+    };
+
+    const renderSimple = side => entry => `
+        <div style="font-size: 12px; padding: 2px 0;">
+            <span style="font-family: monospace;">${escapeHtml(entry.path)}</span>
+            <span style="color: #ccc;"> — ${fileInfo(entry[side])}</span>
+        </div>`;
+
+    const renderModified = entry => `
+        <details style="font-size: 12px; padding: 2px 0;">
+            <summary>
+                <span style="font-family: monospace;">${escapeHtml(entry.path)}</span>
+                <span style="color: #ccc;"> — ${fileInfo(entry.left)} → ${fileInfo(entry.right)}</span>
+            </summary>
+            ${entry.diff === undefined
+                ? '<div style="font-size: 12px; color: #ccc;">二进制或不支持逐行对比的文件</div>'
+                : renderLineDiff(entry.diff)}
+        </details>`;
+
+    let bodyHtml = renderGroup('新增的文件', result.added, '#28a745', renderSimple('right'))
+        + renderGroup('删除的文件', result.removed, '#dc3545', renderSimple('left'))
+        + renderGroup('修改的文件', result.modified, '#ffc107', renderModified);
+    if (!bodyHtml) {
+        bodyHtml = '<p style="color: #ccc;">两边内容完全一致。</p>';
+    }
+
+    const dialogHtml = `
+        <div id="backup-compare-dialog" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10001; display: flex; justify-content: center; align-items: center;">
+            <div style="background: #3a3a3a; color: #fff; padding: 20px; border-radius: 8px; max-width: 800px; width: 90%; max-height: 80%; overflow-y: auto;">
+                <h3>备份对比</h3>
+                <p style="color: #ccc; font-size: 12px;">旧: ${escapeHtml(leftLabel)}<br>新: ${escapeHtml(rightLabel)}</p>
+                ${bodyHtml}
+                <div style="margin-top: 15px; text-align: right;">
+                    <button onclick="$('#backup-compare-dialog').remove()" style="padding: 8px 16px; background-color: #444; color: #fff; border: 1px solid #666;">关闭</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    moduleManager.modules.get('autoBackup').context.track($(dialogHtml).appendTo('body'));
+}
+
+// 全局函数：对比所选备份
+async function compareSelectedBackups(jobId) {
+    const module = moduleManager.modules.get('autoBackup');
+    const job = module?.getJob(jobId);
+    if (!job) return;
+
+    const names = $('#backup-list-dialog .backup-compare-check:checked')
+        .map(function() { return $(this).attr('data-name'); })
+        .get();
+
+    if (names.length < 1 || names.length > 2) {
+        alert('请勾选一个或两个备份。');
+        return;
+    }
+
+    const backups = await module.getBackupList(job);
+    // 列表按时间从新到旧排列，较旧的放在左侧
+    const selected = backups.filter(backup => names.includes(backup.name)).reverse();
+
+    let left;
+    let right;
+    if (selected.length === 2) {
+        left = { label: selected[0].name, name: selected[0].name };
+        right = { label: selected[1].name, name: selected[1].name };
+    } else {
+        const sourcePath = job.sourcePath;
+        if (job.sourceType === 'sillytavern') {
+            alert('SillyTavern 数据源没有源文件夹，请勾选两个备份进行对比。');
+            return;
+        }
+        if (!sourcePath) {
+            alert('请先在设置中指定源文件夹。');
+            return;
+        }
+        left = { label: names[0], name: names[0] };
+        right = { label: `当前源文件夹 (${sourcePath})`, name: null };
+    }
+
+    // 两个快照都加密时需要使用相同的密码
+    const unlock = await askSnapshotPassphrase(job, names);
+    if (!unlock) return;
+
+    try {
+        const result = await module.compareBackups(job, left.name, right.name, unlock.passphrase);
+        showCompareDialog(result, left.label, right.label);
+    } catch (error) {
+        alert('对比失败: ' + error.message);
+    }
+}
+
+// 重新显示任务的备份列表
+async function refreshBackupListDialog(job) {
+    const module = moduleManager.modules.get('autoBackup');
+    closeBackupListDialog();
+    showBackupListDialog(await module.getBackupList(job), job);
+}
+
+// 全局函数：固定/取消固定备份
+async function toggleBackupPin(jobId, name) {
+    const module = moduleManager.modules.get('autoBackup');
+    const job = module?.getJob(jobId);
+    if (!job) return;
+
+    module.togglePin(job, name);
+    await refreshBackupListDialog(job);
+}
+
+// 全局函数：按保留策略立即清理
+async function pruneBackups(jobId) {
+    const module = moduleManager.modules.get('autoBackup');
+    const job = module?.getJob(jobId);
+    if (!job) return;
+
+    const { remove } = backupEngine.planCleanup(job, await module.getBackupList(job));
+    if (remove.length === 0) return;
+    if (!confirm(`确定要删除以下 ${remove.length} 个备份吗？此操作不可撤销。\n${remove.map(backup => backup.name).join('\n')}`)) {
+        return;
+    }
+
+    const removed = await module.cleanupOldBackups(job);
+    alert(`已删除 ${removed.length} 个备份`);
+    await refreshBackupListDialog(job);
+}
+
+// 全局函数：校验单个快照
+async function verifyBackup(jobId, name) {
+    const module = moduleManager.modules.get('autoBackup');
+    const job = module?.getJob(jobId);
+    if (!job) return;
+
+    // 加密快照留空密码时只按校验和检查，输入密码时还会检查每个文件能否解密
+    const unlock = await askSnapshotPassphrase(job, [name], {
+        allowEmpty: true,
+        message: '留空则只检查校验和；输入密码还会检查每个文件能否正确解密。'
+    });
+    if (!unlock) return;
+
+    try {
+        const result = await module.verifyBackup(job, name, unlock.passphrase || null);
+
+        if (result.status === 'ok') {
+            alert(`校验通过，共检查 ${result.checked} 个文件`);
+        } else if (result.status === 'unverifiable') {
+            alert(result.error);
         } else {
-            alert('无法在浏览器环境中删除文件夹，请手动删除');
+            const details = [
+                result.error,
+                ...result.missing.slice(0, 20).map(file => `缺少: ${file}`),
+                ...result.corrupted.slice(0, 20).map(file => `损坏: ${file}`)
+            ].filter(Boolean);
+            alert(`快照已损坏（缺少 ${result.missing.length} 个文件，损坏 ${result.corrupted.length} 个文件）\n${details.join('\n')}`);
         }
+    } catch (error) {
+        alert('校验失败: ' + error.message);
     }
-};
\ No newline at end of file
+    await refreshBackupListDialog(job);
+}
+
+// 全局函数：校验任务的全部快照
+async function verifyAllBackups(jobId) {
+    const module = moduleManager.modules.get('autoBackup');
+    const job = module?.getJob(jobId);
+    if (!job) return;
+
+    const { total, corrupt } = await module.verifyJobBackups(job);
+    alert(corrupt.length > 0
+        ? `共校验 ${total} 个快照，其中 ${corrupt.length} 个已损坏:\n${corrupt.join('\n')}`
+        : `共校验 ${total} 个快照，未发现损坏`);
+    await refreshBackupListDialog(job);
+}
+
+// 备份列表等对话框中 onclick 调用的全局函数，文件夹备份模块加载时注册，卸载时移除
+const backupDialogActions = [
+    closeBackupListDialog, copyBackupPath, deleteBackup, restoreBackup, compareSelectedBackups,
+    toggleBackupPin, pruneBackups, verifyBackup, verifyAllBackups
+];
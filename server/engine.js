@@ -0,0 +1,2569 @@
+// 备份引擎：所有文件操作都在这里完成，不依赖 SillyTavern 前端。
+// 在 Electron 中由扩展直接调用，在浏览器中由服务器插件 (server/index.js) 调用，两边共用同一份代码。
+
+const extensionName = 'vertin-tips';
+
+// 加载 Node.js 模块使用的 require，Electron 渲染进程中为全局 require，服务器插件通过 setNodeRequire 注入
+let nodeRequire = typeof require !== 'undefined' ? require : null;
+
+/**
+ * 设置加载 Node.js 模块使用的 require（ES 模块中没有全局 require）
+ * @param {Function} requireFunction 例如 createRequire(import.meta.url)
+ */
+export function setNodeRequire(requireFunction) {
+    nodeRequire = requireFunction;
+}
+
+/**
+ * 当前环境是否可以直接访问文件系统
+ * @returns {boolean}
+ */
+export function hasFileSystem() {
+    return nodeRequire !== null;
+}
+
+// 备份引擎，任务对象由调用方传入，引擎本身不保存任何配置
+export const backupEngine = {
+    // 创建快照，名称由任务的名称模板和目录结构决定（见 createBackupName）
+    async createSnapshot(job, info) {
+        const fs = nodeRequire('fs/promises');
+        const destinationPath = this.getDestinationPath(job);
+        const backupDirName = await this.createBackupName(job, info, async name => {
+            try {
+                await fs.access(this.joinBackupPath(destinationPath, name));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        });
+        return await this.performLocalBackup(job, backupDirName, info);
+    },
+
+    // 快照名称模板中可以使用的变量
+    nameTokens: ['date', 'time', 'job', 'mode', 'host', 'label'],
+
+    // 默认的名称模板，备注为空时与旧版本的名称格式相同
+    defaultNameTemplate: 'backup-{date}T{time}-{label}',
+
+    // 不能用于文件名的字符
+    invalidNameCharacters: /[\\/:*?"<>|\x00-\x1f]/g,
+
+    // 检查名称模板，返回错误信息，没有问题时返回 null
+    checkNameTemplate(template) {
+        if (typeof template !== 'string' || !template.trim()) return '名称模板不能为空';
+        const unknown = Array.from(template.matchAll(/\{(\w*)\}/g), match => match[1]).filter(token => !this.nameTokens.includes(token));
+        if (unknown.length > 0) return `未知的变量: ${unknown.map(token => `{${token}}`).join(' ')}`;
+        if (/[\\/:*?"<>|]/.test(template.replace(/\{\w*\}/g, ''))) return '名称模板不能包含 \\ / : * ? " < > |';
+        if (template.startsWith('.')) return '名称不能以 . 开头';
+        return null;
+    },
+
+    // 运行备份的计算机名称，浏览器中使用页面的主机名
+    getHostName() {
+        if (nodeRequire) return nodeRequire('os').hostname();
+        return globalThis.location?.hostname || '';
+    },
+
+    /**
+     * 按任务的名称模板生成快照名称（不含目录和扩展名）。{date} {time} 为本地时间 (YYYY-MM-DD、HH-MM-SS)，
+     * {job} 为任务名称，{mode} 为备份方式，{host} 为计算机名，{label} 为手动备份的备注。
+     * 变量中不能用于文件名的字符替换为 _，值为空的变量连同前面的分隔符一起去掉
+     * @param {object} job 任务
+     * @param {object} info { created, mode, label }
+     */
+    formatBackupName(job, info) {
+        const created = new Date(info.created);
+        const pad = value => String(value).padStart(2, '0');
+        const values = {
+            date: `${created.getFullYear()}-${pad(created.getMonth() + 1)}-${pad(created.getDate())}`,
+            time: `${pad(created.getHours())}-${pad(created.getMinutes())}-${pad(created.getSeconds())}`,
+            job: job.name || job.id,
+            mode: info.mode || '',
+            host: this.getHostName(),
+            label: info.label || ''
+        };
+
+        const template = this.checkNameTemplate(job.nameTemplate) ? this.defaultNameTemplate : job.nameTemplate;
+        const name = template
+            .replace(/([-_. ]*)\{(\w+)\}/g, (match, separator, token) => {
+                const value = String(values[token] ?? '').replace(this.invalidNameCharacters, '_').trim();
+                return value ? `${separator}${value}` : '';
+            })
+            .replace(/^[-_. ]+|[-_. ]+$/g, '');
+        return name || 'backup';
+    },
+
+    // 按任务的目录结构返回快照所在的子文件夹: layout 为 'date' 时按创建月份分组 (YYYY/MM/)，否则直接放在目标文件夹中
+    getLayoutDir(job, created) {
+        if (job.layout !== 'date') return '';
+        const date = new Date(created);
+        return `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, '0')}/`;
+    },
+
+    /**
+     * 生成新快照的名称（相对于目标文件夹，可能包含 YYYY/MM/），已有同名快照时加上序号
+     * @param {object} job 任务
+     * @param {object} info { created, mode, label }
+     * @param {function(string): Promise<boolean>} exists 判断名称是否已被占用
+     */
+    async createBackupName(job, info, exists) {
+        const directory = this.getLayoutDir(job, info.created);
+        const baseName = this.formatBackupName(job, info);
+        const extension = this.archiveExtensions[job.format] || '';
+
+        let name = `${directory}${baseName}${extension}`;
+        for (let counter = 1; await exists(name); counter++) {
+            name = `${directory}${baseName}-${counter}${extension}`;
+        }
+        return name;
+    },
+
+    // 按日期分组时的年份和月份文件夹
+    layoutDirPatterns: [/^\d{4}$/, /^\d{2}$/],
+
+    // 快照名称: 目标文件夹中的条目，或按日期分组的 YYYY/MM/ 中的条目，不能以 . 开头（临时文件）
+    backupNamePattern: /^(?:\d{4}\/\d{2}\/)?[^.\\/][^\\/]*$/,
+
+    // 把快照名称转换为路径
+    joinBackupPath(destinationPath, name) {
+        const path = nodeRequire('path');
+        return path.join(destinationPath, ...name.split('/'));
+    },
+
+    // 根据名称获取任务中快照的路径
+    resolveBackupPath(job, name) {
+        return this.joinBackupPath(this.getDestinationPath(job), this.checkBackupName(name));
+    },
+
+    // 检查快照名称，拒绝目标文件夹以外的路径
+    checkBackupName(name) {
+        if (typeof name !== 'string' || !this.backupNamePattern.test(name)) {
+            throw new Error(`无效的备份名称: ${name}`);
+        }
+        return name;
+    },
+
+    // 删除任务中的快照，只删除确实是该任务快照的条目（见 checkSnapshot）
+    async deleteBackup(job, name) {
+        const backupPath = this.resolveBackupPath(job, name);
+        await this.checkSnapshot(job, backupPath);
+        await this.removeBackup(backupPath);
+        await this.removeEmptyLayoutDirs(job, name);
+        if (this.getBackupFormat(name) === 'dedup') {
+            await this.collectGarbage(this.getDestinationPath(job));
+        }
+    },
+
+    // 确认路径是任务的快照：有清单（压缩包为旁路文件）且属于该任务；没有清单时只接受旧版本以 backup- 开头的文件夹或压缩包。
+    // 与 getBackupList 的识别规则相同，不是快照时抛出异常
+    async checkSnapshot(job, backupPath) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const name = path.basename(backupPath);
+
+        const manifest = await this.readManifest(backupPath);
+        if (manifest) {
+            if (manifest.job?.id && manifest.job.id !== job.id) {
+                throw new Error(`快照不属于此任务: ${name}`);
+            }
+            return;
+        }
+
+        let stat;
+        try {
+            stat = await fs.stat(backupPath);
+        } catch (error) {
+            throw new Error(`备份不存在或无法访问: ${name}`);
+        }
+        const isEntry = stat.isDirectory() || (stat.isFile() && this.getBackupFormat(name) !== 'folder');
+        if (!isEntry || !name.startsWith('backup-')) {
+            throw new Error(`不是备份快照: ${name}`);
+        }
+    },
+
+    // 删除快照后，按日期分组的月份和年份文件夹为空时一并删除
+    async removeEmptyLayoutDirs(job, name) {
+        const fs = nodeRequire('fs/promises');
+        const parts = name.split('/').slice(0, -1);
+        for (let depth = parts.length; depth > 0; depth--) {
+            try {
+                await fs.rmdir(this.joinBackupPath(this.getDestinationPath(job), parts.slice(0, depth).join('/')));
+            } catch (error) {
+                return; // 文件夹不为空
+            }
+        }
+    },
+
+    // 校验任务中的快照，passphrase 为加密快照的密码（可选）
+    async verifyBackup(job, name, passphrase = null) {
+        return await this.verifySnapshot(this.resolveBackupPath(job, name), passphrase);
+    },
+
+    // 对比任务中的两个快照，rightName 为空时与当前源文件夹对比，passphrase 为加密快照的密码
+    async compareBackups(job, leftName, rightName, passphrase = null) {
+        const leftPath = this.resolveBackupPath(job, leftName);
+        const rightPath = rightName ? this.resolveBackupPath(job, rightName) : job.sourcePath;
+        // 与源文件夹对比时只列出会被备份的文件，被规则排除的文件不算作新增
+        const rightFilter = rightName ? null : await this.createFileFilter(job.sourcePath, job);
+        return await this.compareSnapshots(leftPath, rightPath, passphrase, rightFilter);
+    },
+
+    // 计算源文件夹的指纹（相对路径、大小、修改时间），用于判断自上次快照以来是否有变化
+    async computeSourceFingerprint(sourcePath, filter) {
+        const crypto = nodeRequire('crypto');
+        const hash = crypto.createHash('sha256');
+        for await (const entry of this.walkEntries(sourcePath, filter)) {
+            hash.update(entry.isDirectory
+                ? `${entry.relativePath}/\n`
+                : `${entry.relativePath}\0${entry.stat.size}\0${Math.floor(entry.stat.mtimeMs)}\n`);
+        }
+        return hash.digest('hex');
+    },
+    
+    // 生成不会重复的编号（时间 + 随机后缀），用于临时源文件夹、备份进度和列表项（如备份任务）
+    createStageId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    // 临时源文件夹的路径。SillyTavern 数据源导出的文件先写到这里，再按普通文件夹备份
+    getStagePath(stageId) {
+        const path = nodeRequire('path');
+        const os = nodeRequire('os');
+        if (typeof stageId !== 'string' || !/^[\w-]+$/.test(stageId)) {
+            throw new Error(`无效的临时文件夹编号: ${stageId}`);
+        }
+        return path.join(os.tmpdir(), `${extensionName}-stage-${stageId}`);
+    },
+
+    // 写入临时源文件夹，files 为 [{ path: 相对路径, data: Buffer, append: 是否追加到已写入的内容 }]
+    async writeStageFiles(stageId, files) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const stagePath = this.getStagePath(stageId);
+
+        for (const file of files) {
+            const targetPath = this.resolveArchiveEntryPath(stagePath, file.path);
+            await fs.mkdir(path.dirname(targetPath), { recursive: true });
+            if (file.append) {
+                await fs.appendFile(targetPath, file.data);
+            } else {
+                await fs.writeFile(targetPath, file.data);
+            }
+        }
+        return stagePath;
+    },
+
+    // 把导出的文件 ([{ path, data: Blob }]) 写入新的临时源文件夹，返回临时文件夹编号和替换任务源文件夹的字段
+    async stageFiles(files) {
+        const stageId = this.createStageId();
+        for (const file of files) {
+            await this.writeStageFiles(stageId, [{ path: file.path, data: Buffer.from(await file.data.arrayBuffer()) }]);
+        }
+        return { id: stageId, source: { sourcePath: this.getStagePath(stageId) } };
+    },
+
+    // 删除临时源文件夹
+    async removeStage(stageId) {
+        const fs = nodeRequire('fs/promises');
+        await fs.rm(this.getStagePath(stageId), { recursive: true, force: true });
+    },
+    
+    // 获取任务的备份目标路径
+    getDestinationPath(job) {
+        if (job.destinationPath) {
+            return job.destinationPath;
+        }
+        
+        if (!nodeRequire) return '';
+
+        try {
+            // 对于Node.js/Electron，提供一个合理的默认值。
+            // 迁移而来的默认任务沿用原来的路径，其他任务各自使用一个子文件夹，避免互相清理对方的备份。
+            const path = nodeRequire('path');
+            const os = nodeRequire('os');
+            const defaultRoot = path.join(os.homedir(), 'Desktop', 'SillyTavern-FolderBackups');
+            return job.id === 'default' ? defaultRoot : path.join(defaultRoot, job.id);
+        } catch (e) {
+            console.error(`[${extensionName}] 无法确定默认备份目标路径:`, e);
+            return './backups';
+        }
+    },
+    
+    // 正在写入快照的目标文件夹，同一个目标文件夹同时只能进行一个备份
+    activeDestinations: new Set(),
+
+    // 执行本地备份 (Node.js/Electron环境)
+    // 快照先写入临时名称，校验和与清单写完后才改为正式名称，中途失败或取消不会留下看似完整的快照。
+    // info.onProgress 接收进度（见 createProgress），info.signal 为取消信号 (AbortSignal)
+    async performLocalBackup(job, backupDirName, info) {
+        const path = nodeRequire('path');
+        const destinationPath = this.getDestinationPath(job);
+        const lockKey = path.resolve(destinationPath);
+        if (this.activeDestinations.has(lockKey)) {
+            return { success: false, error: `目标文件夹正在进行另一个备份: ${destinationPath}` };
+        }
+
+        this.activeDestinations.add(lockKey);
+        let releaseStore = null;
+        try {
+            const fs = nodeRequire('fs/promises');
+
+            const sourcePath = job.sourcePath;
+
+            // 临时快照与正式快照位于同一文件夹中（按日期分组时为 YYYY/MM）
+            const fullDestinationPath = this.joinBackupPath(destinationPath, backupDirName);
+            const tempPath = path.join(path.dirname(fullDestinationPath), `${this.tempPrefix}${path.basename(fullDestinationPath)}`);
+
+            // 检查源路径是否存在
+            try {
+                await fs.access(sourcePath);
+            } catch (error) {
+                return { success: false, error: `源文件夹不存在或无法访问: ${sourcePath}` };
+            }
+
+            // 创建父级目标目录
+            await fs.mkdir(path.dirname(fullDestinationPath), { recursive: true });
+
+            // 包含/排除规则（设置中的规则 + 源文件夹中的 .backupignore）
+            const filter = await this.createFileFilter(sourcePath, job);
+            const format = this.getBackupFormat(backupDirName);
+            const result = { success: true, path: fullDestinationPath, name: backupDirName };
+
+            // 调用方可以直接提供指纹（SillyTavern 数据源每次导出的文件修改时间都不同，按内容计算指纹）
+            const sourceFingerprint = info.sourceFingerprint || await this.computeSourceFingerprint(sourcePath, filter);
+            const encrypted = !!job.encryption?.enabled;
+            if (encrypted && format === 'dedup') {
+                return { success: false, error: '去重存储格式不支持加密，请关闭加密或选择其他格式' };
+            }
+            if (info.skipIfUnchanged) {
+                const latestBackup = (await this.getBackupList(job))[0];
+                if (latestBackup?.manifest?.sourceFingerprint === sourceFingerprint) {
+                    return { success: true, skipped: true, path: latestBackup.path, name: latestBackup.name };
+                }
+            }
+
+            // 去重存储可能被共用目标文件夹的其他进程同时使用（例如 Electron 和服务器插件），锁住内容存储直到快照写完，
+            // 避免垃圾回收删除刚写入或复用、但还没有被索引引用的内容
+            if (format === 'dedup') {
+                releaseStore = await this.lockStore(this.getStorePath(destinationPath));
+                if (!releaseStore) {
+                    return { success: false, error: `内容存储正被另一个程序使用，请稍后重试: ${destinationPath}` };
+                }
+            }
+
+            // 加密：每个快照使用新的盐派生密钥，清单中记录加密参数
+            const encryption = encrypted ? await this.createEncryption(info.passphrase) : null;
+
+            try {
+                const checksums = { algorithm: 'sha256', files: {} };
+
+                // 先统计要备份的文件数和总大小，用于报告进度
+                const totals = { files: 0, bytes: 0 };
+                for await (const entry of this.walkEntries(sourcePath, filter)) {
+                    if (info.signal?.aborted) throw this.createCancelError();
+                    if (entry.isDirectory) continue;
+                    totals.files++;
+                    totals.bytes += entry.stat.size;
+                }
+                const progress = this.createProgress(totals, info);
+
+                if (format === 'dedup') {
+                    // 去重存储：上一个去重快照中大小和修改时间都没变的文件直接复用记录的哈希
+                    const previousBackup = (await this.getBackupList(job))
+                        .find(backup => backup.format === 'dedup' && job.verifyResults?.[backup.name]?.status !== 'corrupt');
+                    const stats = await this.writeDedupSnapshot(sourcePath, tempPath, destinationPath, previousBackup?.path || null, filter, progress);
+                    checksums.files = stats.checksums;
+                    Object.assign(result, { format, files: stats.files, stored: stats.stored, deduplicated: stats.deduplicated });
+                } else if (format !== 'folder') {
+                    // 压缩包格式：流式写入单个文件，加密时先写入未加密的临时文件，再整体加密
+                    const archivePath = encryption ? `${tempPath}.plain` : tempPath;
+                    try {
+                        const stats = await this.writeArchive(sourcePath, archivePath, format, filter, progress);
+                        if (encryption) {
+                            await this.encryptFile(encryption.key, archivePath, tempPath);
+                        }
+                        checksums.files = stats.checksums;
+                        Object.assign(result, { format, files: stats.files });
+                    } finally {
+                        if (encryption) await fs.rm(archivePath, { force: true });
+                    }
+                } else if (encryption) {
+                    // 加密的文件夹快照：逐个文件加密，校验和记录加密后的内容，不需要密码也能检查完整性
+                    await this.encryptFolder(encryption.key, sourcePath, tempPath, filter, progress);
+                } else if (job.incremental) {
+                    // 增量模式需要在创建新快照之前找到上一个完好的、未加密的文件夹格式快照
+                    const previousBackup = (await this.getBackupList(job))
+                        .find(backup => backup.format === 'folder' && !backup.manifest?.encryption && job.verifyResults?.[backup.name]?.status !== 'corrupt');
+                    const stats = await this.incrementalCopy(sourcePath, tempPath, previousBackup?.path || null, filter, progress);
+                    Object.assign(result, { incremental: true, ...stats });
+                } else {
+                    // 逐个文件复制（保留时间戳，便于之后的增量备份直接按 mtime 判断）
+                    await this.incrementalCopy(sourcePath, tempPath, null, filter, progress);
+                }
+
+                if (format === 'folder') {
+                    checksums.files = await this.computeChecksums(tempPath, progress);
+                } else {
+                    checksums.archive = { size: (await fs.stat(tempPath)).size, sha256: await this.hashFile(tempPath) };
+                }
+                progress.finish();
+
+                const fileChecksums = Object.values(checksums.files);
+                result.fileCount = fileChecksums.length;
+                result.totalSize = fileChecksums.reduce((total, file) => total + file.size, 0);
+                await fs.writeFile(this.getMetadataPath(tempPath, 'checksums'), JSON.stringify(checksums, null, 2));
+                await this.writeManifest(job, tempPath, {
+                    ...info,
+                    encryption: encryption?.params || null,
+                    sourceFingerprint,
+                    fileCount: result.fileCount,
+                    totalSize: result.totalSize
+                });
+
+                // 压缩包的旁路文件先改名，最后再改快照本身
+                if (format !== 'folder') {
+                    for (const kind of this.metadataKinds) {
+                        await fs.rename(this.getMetadataPath(tempPath, kind), this.getMetadataPath(fullDestinationPath, kind));
+                    }
+                }
+                await fs.rename(tempPath, fullDestinationPath);
+            } catch (error) {
+                // 删除写了一半的快照
+                await this.removeBackup(tempPath);
+                if (format !== 'folder') {
+                    for (const kind of this.metadataKinds) {
+                        await fs.rm(this.getMetadataPath(fullDestinationPath, kind), { force: true });
+                    }
+                }
+                throw error;
+            }
+
+            return result;
+        } catch (error) {
+            if (error.cancelled) {
+                console.log(`[${extensionName}] 备份已取消，已删除未完成的快照: ${backupDirName}`);
+                return { success: false, cancelled: true, error: error.message };
+            }
+            console.error(`[${extensionName}] 本地备份期间发生错误:`, error);
+            return { success: false, error: error.stack || (error.message || '未知错误') };
+        } finally {
+            await releaseStore?.();
+            this.activeDestinations.delete(lockKey);
+        }
+    },
+
+    // 创建进度跟踪器。totals 为要处理的 { files, bytes }，info.onProgress 接收进度
+    // { phase, files, totalFiles, bytes, totalBytes, currentFile, eta }（eta 为剩余秒数），
+    // info.signal 取消后，下一次 startFile/addBytes 会抛出 createCancelError 的异常
+    createProgress(totals, info) {
+        const progress = { phase: 'copy', files: 0, totalFiles: totals.files, bytes: 0, totalBytes: totals.bytes, currentFile: null, eta: null };
+        let phaseStart = Date.now();
+        let lastReport = 0;
+
+        // 最多每 250 毫秒报告一次
+        const report = (force = false) => {
+            const now = Date.now();
+            if (!info.onProgress || (!force && now - lastReport < 250)) return;
+            lastReport = now;
+            const remaining = Math.max(0, progress.totalBytes - progress.bytes);
+            progress.eta = progress.bytes > 0 ? Math.round((now - phaseStart) / progress.bytes * remaining / 1000) : null;
+            info.onProgress({ ...progress });
+        };
+
+        const check = () => {
+            if (info.signal?.aborted) throw this.createCancelError();
+        };
+
+        return {
+            // 开始新的阶段（'copy' 复制文件，'checksum' 计算校验和），重新开始计数
+            phase(name, phaseTotals = totals) {
+                check();
+                Object.assign(progress, { phase: name, files: 0, totalFiles: phaseTotals.files, bytes: 0, totalBytes: phaseTotals.bytes, currentFile: null });
+                phaseStart = Date.now();
+                report(true);
+            },
+            startFile(relativePath) {
+                check();
+                progress.currentFile = relativePath;
+                report();
+            },
+            addBytes(bytes) {
+                check();
+                progress.bytes += bytes;
+                report();
+            },
+            finishFile() {
+                progress.files++;
+                report();
+            },
+            finish() {
+                progress.currentFile = null;
+                report(true);
+            }
+        };
+    },
+
+    // 取消备份时抛出的异常
+    createCancelError() {
+        const error = new Error('备份已取消');
+        error.cancelled = true;
+        return error;
+    },
+    
+    // 增量复制：与上一个快照逐个比较，未变化的文件创建硬链接，变化的文件重新复制。
+    // 硬链接共享同一份数据，删除任意一个快照都不会影响其他快照中的文件。
+    // previousPath 为空时逐个复制全部文件；progress 为 createProgress 创建的进度跟踪器（可选）
+    async incrementalCopy(sourcePath, targetPath, previousPath, filter = () => true, progress = null) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const stats = { copied: 0, linked: 0 };
+
+        const walk = async (relativeDir) => {
+            await fs.mkdir(path.join(targetPath, relativeDir), { recursive: true });
+            const dirents = await fs.readdir(path.join(sourcePath, relativeDir), { withFileTypes: true });
+
+            for (const dirent of dirents) {
+                const relativePath = path.join(relativeDir, dirent.name);
+                const sourceFile = path.join(sourcePath, relativePath);
+                const targetFile = path.join(targetPath, relativePath);
+
+                if (!filter(relativePath.split(path.sep).join('/'), dirent.isDirectory())) continue;
+
+                if (dirent.isDirectory()) {
+                    await walk(relativePath);
+                    continue;
+                }
+
+                // 符号链接等特殊文件保持与完整备份相同的处理方式
+                if (!dirent.isFile()) {
+                    await fs.cp(sourceFile, targetFile, { recursive: true });
+                    stats.copied++;
+                    continue;
+                }
+
+                const sourceStat = await fs.stat(sourceFile);
+                const previousFile = previousPath ? path.join(previousPath, relativePath) : null;
+                progress?.startFile(relativePath.split(path.sep).join('/'));
+
+                if (previousFile && await this.isFileUnchanged(sourceFile, sourceStat, previousFile)) {
+                    try {
+                        // 硬链接与上一个快照共用同一个 inode，不能修改时间戳，否则上一个快照也会被修改
+                        await fs.link(previousFile, targetFile);
+                        stats.linked++;
+                        progress?.addBytes(sourceStat.size);
+                        progress?.finishFile();
+                        continue;
+                    } catch (error) {
+                        // 跨磁盘或文件系统不支持硬链接时回退为复制
+                        console.warn(`[${extensionName}] 无法创建硬链接，改为复制: ${relativePath}`, error.code);
+                    }
+                }
+
+                await fs.copyFile(sourceFile, targetFile);
+                await fs.utimes(targetFile, sourceStat.atime, sourceStat.mtime);
+                stats.copied++;
+                progress?.addBytes(sourceStat.size);
+                progress?.finishFile();
+            }
+        };
+
+        await walk('');
+        return stats;
+    },
+
+    // 判断文件与上一个快照中的版本是否一致：先比较大小和修改时间，再比较哈希
+    async isFileUnchanged(sourceFile, sourceStat, previousFile) {
+        const fs = nodeRequire('fs/promises');
+
+        let previousStat;
+        try {
+            previousStat = await fs.stat(previousFile);
+        } catch (error) {
+            return false;
+        }
+
+        if (!previousStat.isFile() || previousStat.size !== sourceStat.size) return false;
+        if (Math.floor(previousStat.mtimeMs) === Math.floor(sourceStat.mtimeMs)) return true;
+
+        const [sourceHash, previousHash] = await Promise.all([
+            this.hashFile(sourceFile),
+            this.hashFile(previousFile)
+        ]);
+        return sourceHash === previousHash;
+    },
+
+    // 去重存储的内容存储文件夹（位于目标文件夹中，以 . 开头，不会被当作快照）。
+    // 文件内容按 SHA-256 保存为 <前两位>/<哈希>，同一目标文件夹中所有任务的去重快照共用
+    dedupStoreDir: '.store',
+
+    // 获取目标文件夹的内容存储路径
+    getStorePath(destinationPath) {
+        const path = nodeRequire('path');
+        return path.join(destinationPath, this.dedupStoreDir);
+    },
+
+    // 获取内容存储中文件内容的路径
+    getBlobPath(storePath, sha256) {
+        const path = nodeRequire('path');
+        if (typeof sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(sha256)) {
+            throw new Error(`无效的文件哈希: ${sha256}`);
+        }
+        return path.join(storePath, sha256.slice(0, 2), sha256);
+    },
+
+    // 判断内容存储中是否已有该文件内容
+    async hasBlob(storePath, sha256) {
+        const fs = nodeRequire('fs/promises');
+        try {
+            await fs.access(this.getBlobPath(storePath, sha256));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    // 把文件复制到内容存储中：边复制边计算哈希，已有相同内容时丢弃这份副本。
+    // 返回 { sha256, size, created }，created 表示是否新写入了内容
+    async storeBlob(storePath, filePath) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const crypto = nodeRequire('crypto');
+        const { createReadStream, createWriteStream } = nodeRequire('fs');
+        const { pipeline } = nodeRequire('stream/promises');
+
+        const tempPath = path.join(storePath, `${this.tempPrefix}${this.createStageId()}`);
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        try {
+            await pipeline(createReadStream(filePath), async function* (source) {
+                for await (const chunk of source) {
+                    hash.update(chunk);
+                    size += chunk.length;
+                    yield chunk;
+                }
+            }, createWriteStream(tempPath));
+
+            const sha256 = hash.digest('hex');
+            if (await this.hasBlob(storePath, sha256)) {
+                await fs.rm(tempPath, { force: true });
+                return { sha256, size, created: false };
+            }
+            const blobPath = this.getBlobPath(storePath, sha256);
+            await fs.mkdir(path.dirname(blobPath), { recursive: true });
+            await fs.rename(tempPath, blobPath);
+            return { sha256, size, created: true };
+        } catch (error) {
+            await fs.rm(tempPath, { force: true });
+            throw error;
+        }
+    },
+
+    /**
+     * 写入去重快照：文件内容保存到内容存储中，快照本身是记录 相对路径 -> { size, mtime, sha256 } 的索引文件
+     * @param {string} sourcePath 源文件夹
+     * @param {string} indexPath 索引文件路径
+     * @param {string} destinationPath 目标文件夹（内容存储所在位置）
+     * @param {string|null} previousPath 上一个去重快照的索引，大小和修改时间都没变的文件直接使用其中的哈希，不再读取
+     * @returns {Promise<{ files: number, stored: number, deduplicated: number, checksums: object }>}
+     *          stored 为新写入存储的文件数，deduplicated 为复用已有内容的文件数
+     */
+    async writeDedupSnapshot(sourcePath, indexPath, destinationPath, previousPath = null, filter = () => true, progress = null) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const storePath = this.getStorePath(destinationPath);
+        const stats = { files: 0, stored: 0, deduplicated: 0, checksums: {} };
+
+        let previous = null;
+        if (previousPath) {
+            try {
+                previous = (await this.readDedupIndex(previousPath)).index;
+            } catch (error) {
+                console.warn(`[${extensionName}] 无法读取上一个去重快照的索引，将重新计算所有文件的哈希: ${previousPath}`, error);
+            }
+        }
+
+        // 索引中记录内容存储相对于索引文件的位置，按日期分组的快照也能找到存储
+        const index = {
+            version: this.dedupIndexVersion,
+            store: path.relative(path.dirname(indexPath), storePath).split(path.sep).join('/'),
+            directories: [],
+            files: {}
+        };
+        await fs.mkdir(storePath, { recursive: true });
+
+        for await (const entry of this.walkEntries(sourcePath, filter)) {
+            if (entry.isDirectory) {
+                index.directories.push(entry.relativePath);
+                continue;
+            }
+
+            progress?.startFile(entry.relativePath);
+            const mtime = Math.floor(entry.stat.mtimeMs);
+            const known = previous?.files[entry.relativePath];
+            let file;
+            if (known && known.size === entry.stat.size && known.mtime === mtime && await this.hasBlob(storePath, known.sha256)) {
+                file = { size: known.size, mtime, sha256: known.sha256 };
+                stats.deduplicated++;
+            } else {
+                const blob = await this.storeBlob(storePath, entry.fullPath);
+                file = { size: blob.size, mtime, sha256: blob.sha256 };
+                stats[blob.created ? 'stored' : 'deduplicated']++;
+            }
+
+            index.files[entry.relativePath] = file;
+            stats.checksums[entry.relativePath] = { size: file.size, sha256: file.sha256 };
+            stats.files++;
+            progress?.addBytes(entry.stat.size);
+            progress?.finishFile();
+        }
+
+        await fs.writeFile(indexPath, JSON.stringify(index));
+        return stats;
+    },
+
+    // 去重快照索引的版本
+    dedupIndexVersion: 1,
+
+    // 读取去重快照的索引，返回 { index, storePath }
+    async readDedupIndex(indexPath) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const index = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+        if (!index || index.version !== this.dedupIndexVersion || typeof index.store !== 'string'
+            || !index.files || typeof index.files !== 'object' || !Array.isArray(index.directories)) {
+            throw new Error(`无法识别的去重快照索引: ${indexPath}`);
+        }
+        return { index, storePath: path.resolve(path.dirname(indexPath), index.store) };
+    },
+
+    // 把去重快照还原为普通文件夹（保留修改时间），用于恢复和对比
+    async extractDedupSnapshot(indexPath, targetPath) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const { index, storePath } = await this.readDedupIndex(indexPath);
+
+        await fs.mkdir(targetPath, { recursive: true });
+        for (const directory of index.directories) {
+            await fs.mkdir(this.resolveArchiveEntryPath(targetPath, directory), { recursive: true });
+        }
+        for (const [relativePath, file] of Object.entries(index.files)) {
+            const target = this.resolveArchiveEntryPath(targetPath, relativePath);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            try {
+                await fs.copyFile(this.getBlobPath(storePath, file.sha256), target);
+            } catch (error) {
+                if (error.code === 'ENOENT') throw new Error(`内容存储中缺少文件: ${relativePath}`);
+                throw error;
+            }
+            const mtime = new Date(file.mtime);
+            await fs.utimes(target, mtime, mtime);
+        }
+    },
+
+    // 校验去重快照：检查索引中的每个文件在内容存储中是否存在且内容完整，多个文件共用的内容只计算一次哈希
+    async verifyDedupSnapshot(indexPath, expectedFiles, result) {
+        const fs = nodeRequire('fs/promises');
+
+        let index, storePath;
+        try {
+            ({ index, storePath } = await this.readDedupIndex(indexPath));
+        } catch (error) {
+            return { ...result, status: 'corrupt', error: `无法读取索引: ${error.message}` };
+        }
+
+        const blobStatus = new Map();
+        for (const [relativePath, expected] of expectedFiles) {
+            const file = index.files[relativePath];
+            if (!file) {
+                result.missing.push(relativePath);
+                continue;
+            }
+
+            if (!blobStatus.has(file.sha256)) {
+                let status;
+                try {
+                    const blobPath = this.getBlobPath(storePath, file.sha256);
+                    const stat = await fs.stat(blobPath);
+                    status = stat.size === file.size && await this.hashFile(blobPath) === file.sha256 ? 'ok' : 'corrupted';
+                } catch (error) {
+                    status = 'missing';
+                }
+                blobStatus.set(file.sha256, status);
+            }
+
+            const status = blobStatus.get(file.sha256);
+            if (status === 'missing') {
+                result.missing.push(relativePath);
+                continue;
+            }
+            result.checked++;
+            if (status !== 'ok' || file.size !== expected.size || file.sha256 !== expected.sha256) {
+                result.corrupted.push(relativePath);
+            }
+        }
+
+        if (result.missing.length > 0 || result.corrupted.length > 0) {
+            result.status = 'corrupt';
+        }
+        return result;
+    },
+
+    // 内容存储的垃圾回收：删除没有任何去重快照引用的文件内容，以及超过一天未修改的临时文件。
+    // 存储由目标文件夹中所有任务共用，任何一个索引无法读取时都不删除内容，避免误删仍被引用的文件。
+    // 返回 { removed, freedBytes }
+    async collectGarbage(destinationPath) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const storePath = this.getStorePath(destinationPath);
+        const result = { removed: 0, freedBytes: 0 };
+
+        try {
+            await fs.access(storePath);
+        } catch (error) {
+            return result;
+        }
+
+        // 与备份共用目标文件夹的锁，避免删除正在写入的快照刚复用的内容；其他进程中的备份通过内容存储的锁文件互斥
+        const lockKey = path.resolve(destinationPath);
+        if (this.activeDestinations.has(lockKey)) {
+            console.log(`[${extensionName}] 目标文件夹正在备份，跳过内容存储的垃圾回收: ${destinationPath}`);
+            return result;
+        }
+
+        this.activeDestinations.add(lockKey);
+        let releaseStore = null;
+        try {
+            releaseStore = await this.lockStore(storePath);
+            if (!releaseStore) {
+                console.log(`[${extensionName}] 内容存储正被另一个程序使用，跳过垃圾回收: ${destinationPath}`);
+                return result;
+            }
+
+            const referenced = new Set();
+            for (const { name, dirent } of await this.readBackupDirectory(destinationPath)) {
+                if (!dirent.isFile() || this.getBackupFormat(name) !== 'dedup') continue;
+                const { index } = await this.readDedupIndex(this.joinBackupPath(destinationPath, name));
+                for (const file of Object.values(index.files)) {
+                    referenced.add(file.sha256);
+                }
+            }
+
+            const staleBefore = Date.now() - 24 * 60 * 60 * 1000;
+            for (const dirent of await fs.readdir(storePath, { withFileTypes: true })) {
+                const entryPath = path.join(storePath, dirent.name);
+                if (dirent.name.startsWith(this.tempPrefix)) {
+                    if ((await fs.stat(entryPath)).mtimeMs < staleBefore) {
+                        await fs.rm(entryPath, { force: true });
+                    }
+                    continue;
+                }
+                if (!dirent.isDirectory()) continue;
+
+                for (const blob of await fs.readdir(entryPath)) {
+                    if (referenced.has(blob)) continue;
+                    const blobPath = path.join(entryPath, blob);
+                    result.freedBytes += (await fs.stat(blobPath)).size;
+                    await fs.rm(blobPath, { force: true });
+                    result.removed++;
+                }
+                try {
+                    await fs.rmdir(entryPath);
+                } catch (error) {
+                    // 文件夹不为空
+                }
+            }
+
+            if (result.removed > 0) {
+                console.log(`[${extensionName}] 已从内容存储中删除 ${result.removed} 个不再被引用的文件，释放 ${result.freedBytes} 字节`);
+            }
+        } catch (error) {
+            console.warn(`[${extensionName}] 内容存储垃圾回收失败: ${destinationPath}`, error);
+        } finally {
+            await releaseStore?.();
+            this.activeDestinations.delete(lockKey);
+        }
+        return result;
+    },
+
+    // 内容存储的锁文件，记录持有锁的进程号、计算机名和时间
+    storeLockName: '.lock',
+
+    // 锁文件超过这个时间（毫秒）且无法确认持有者时视为过期（例如其他计算机上的程序异常退出）
+    storeLockTimeout: 24 * 60 * 60 * 1000,
+
+    // 锁住内容存储，成功时返回释放锁的函数，已被其他进程锁住时返回 null。持有锁的进程已不存在时清除过期的锁
+    async lockStore(storePath) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const lockPath = path.join(storePath, this.storeLockName);
+        const owner = { pid: nodeRequire('process').pid, host: this.getHostName(), created: Date.now() };
+
+        await fs.mkdir(storePath, { recursive: true });
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                await fs.writeFile(lockPath, JSON.stringify(owner), { flag: 'wx' });
+                return async () => {
+                    await fs.rm(lockPath, { force: true });
+                };
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                if (attempt > 0 || !await this.isStoreLockStale(lockPath)) return null;
+                console.warn(`[${extensionName}] 清除过期的内容存储锁: ${lockPath}`);
+                await fs.rm(lockPath, { force: true });
+            }
+        }
+        return null;
+    },
+
+    // 锁文件是否已过期：同一台计算机上的持有进程已退出，或锁文件超过 storeLockTimeout
+    async isStoreLockStale(lockPath) {
+        const fs = nodeRequire('fs/promises');
+        let stat;
+        let owner = null;
+        try {
+            stat = await fs.stat(lockPath);
+            owner = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+        } catch (error) {
+            // 锁已被释放，或另一个进程刚创建、还没写完内容
+            if (!stat) return true;
+        }
+
+        if (owner?.host === this.getHostName() && Number.isInteger(owner.pid)) {
+            try {
+                nodeRequire('process').kill(owner.pid, 0);
+                return false;
+            } catch (error) {
+                return error.code === 'ESRCH';
+            }
+        }
+        return Date.now() - stat.mtimeMs > this.storeLockTimeout;
+    },
+
+    // 递归列出文件夹中的所有普通文件，返回 相对路径 -> stat 的映射
+    async listFiles(rootPath) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const files = new Map();
+
+        const walk = async (relativeDir) => {
+            const dirents = await fs.readdir(path.join(rootPath, relativeDir), { withFileTypes: true });
+            for (const dirent of dirents) {
+                // 快照根目录下的元数据文件不属于备份内容
+                if (!relativeDir && this.snapshotMetadataFiles.includes(dirent.name)) continue;
+                const relativePath = path.join(relativeDir, dirent.name);
+                if (dirent.isDirectory()) {
+                    await walk(relativePath);
+                } else if (dirent.isFile()) {
+                    files.set(relativePath, await fs.stat(path.join(rootPath, relativePath)));
+                }
+            }
+        };
+
+        await walk('');
+        return files;
+    },
+    
+    // 可以显示逐行差异的文本文件类型
+    textFileExtensions: ['.json', '.jsonl', '.txt', '.md', '.yaml', '.yml', '.csv', '.css', '.html', '.js'],
+    
+    // 对比两个文件夹（两个快照，或快照与当前源文件夹），左侧为旧版本，右侧为新版本
+    async compareSnapshots(leftPath, rightPath, passphrase = null, rightFilter = null) {
+        const result = { leftPath, rightPath, added: [], removed: [], modified: [] };
+        const leftSnapshot = await this.openBackup(leftPath, passphrase);
+        let rightSnapshot = null;
+        try {
+            rightSnapshot = await this.openBackup(rightPath, passphrase);
+            await this.collectDifferences(leftSnapshot.path, rightSnapshot.path, result, rightFilter);
+        } finally {
+            await leftSnapshot.cleanup();
+            await rightSnapshot?.cleanup();
+        }
+
+        const byPath = (a, b) => a.path.localeCompare(b.path);
+        result.added.sort(byPath);
+        result.removed.sort(byPath);
+        result.modified.sort(byPath);
+        return result;
+    },
+
+    // 逐个文件比较两个文件夹，将结果写入 result。rightFilter 为右侧文件夹的文件过滤函数（可选）
+    async collectDifferences(leftPath, rightPath, result, rightFilter = null) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const maxTextDiffSize = 1024 * 1024; // 超过1MB的文件不生成逐行差异
+        const toInfo = stat => ({ size: stat.size, mtime: stat.mtime });
+
+        const leftFiles = await this.listFiles(leftPath);
+        const rightFiles = await this.listFiles(rightPath);
+        if (rightFilter) {
+            for (const relativePath of rightFiles.keys()) {
+                if (!this.isFileIncluded(rightFilter, relativePath.split(path.sep).join('/'))) rightFiles.delete(relativePath);
+            }
+        }
+
+        for (const [relativePath, leftStat] of leftFiles) {
+            if (!rightFiles.has(relativePath)) {
+                result.removed.push({ path: relativePath, left: toInfo(leftStat) });
+            }
+        }
+
+        for (const [relativePath, rightStat] of rightFiles) {
+            const leftStat = leftFiles.get(relativePath);
+            if (!leftStat) {
+                result.added.push({ path: relativePath, right: toInfo(rightStat) });
+                continue;
+            }
+
+            const leftFile = path.join(leftPath, relativePath);
+            const rightFile = path.join(rightPath, relativePath);
+            if (await this.isFileUnchanged(rightFile, rightStat, leftFile)) continue;
+
+            // diff: undefined 表示非文本文件，null 表示差异过大
+            const entry = { path: relativePath, left: toInfo(leftStat), right: toInfo(rightStat) };
+            const isText = this.textFileExtensions.includes(path.extname(relativePath).toLowerCase());
+            if (isText) {
+                entry.diff = null;
+            }
+            if (isText && leftStat.size <= maxTextDiffSize && rightStat.size <= maxTextDiffSize) {
+                const [leftText, rightText] = await Promise.all([
+                    fs.readFile(leftFile, 'utf8'),
+                    fs.readFile(rightFile, 'utf8')
+                ]);
+                entry.diff = this.diffLines(leftText, rightText);
+            }
+            result.modified.push(entry);
+        }
+    },
+
+    // 逐行差异：返回 { type: ' ' | '+' | '-', line } 数组，差异区域过大时返回 null
+    diffLines(leftText, rightText) {
+        const maxMatrixSize = 4000000;
+        const left = leftText.split(/\r?\n/);
+        const right = rightText.split(/\r?\n/);
+
+        // 先去掉相同的开头和结尾（聊天记录通常只在末尾追加），只对中间部分做LCS
+        let start = 0;
+        while (start < left.length && start < right.length && left[start] === right[start]) start++;
+        let leftEnd = left.length;
+        let rightEnd = right.length;
+        while (leftEnd > start && rightEnd > start && left[leftEnd - 1] === right[rightEnd - 1]) {
+            leftEnd--;
+            rightEnd--;
+        }
+
+        const a = left.slice(start, leftEnd);
+        const b = right.slice(start, rightEnd);
+        if (a.length * b.length > maxMatrixSize) return null;
+
+        // lcs[i][j] 为 a[i..] 与 b[j..] 的最长公共子序列长度
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const lines = left.slice(0, start).map(line => ({ type: ' ', line }));
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                lines.push({ type: ' ', line: a[i] });
+                i++;
+                j++;
+            } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                lines.push({ type: '-', line: a[i] });
+                i++;
+            } else {
+                lines.push({ type: '+', line: b[j] });
+                j++;
+            }
+        }
+        left.slice(leftEnd).forEach(line => lines.push({ type: ' ', line }));
+        return lines;
+    },
+    
+    // 计算文件的 SHA-256 哈希（流式读取，避免大文件占用内存）
+    hashFile(filePath) {
+        const crypto = nodeRequire('crypto');
+        const { createReadStream } = nodeRequire('fs');
+
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            createReadStream(filePath)
+                .on('error', reject)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    },
+
+    // 加密参数：AES-256-GCM，密钥由密码经 PBKDF2-SHA256 派生。每个快照使用自己的盐，
+    // 清单中只保存盐和用于确认密码的 check（加密后的固定文本），不保存密码或密钥
+    encryptionDefaults: { algorithm: 'AES-256-GCM', kdf: 'PBKDF2-SHA256', iterations: 600000 },
+
+    // 加密文件的格式: 文件头 VTENC1 + 12 字节 IV + 密文 + 16 字节认证标签（与浏览器后端相同）
+    encryptedFileMagic: 'VTENC1',
+
+    // 用于确认密码是否正确的固定文本
+    encryptionCheckText: 'vertin-tips',
+
+    // 由密码派生 AES-256 密钥
+    async deriveKey(passphrase, params) {
+        const crypto = nodeRequire('crypto');
+        const { promisify } = nodeRequire('util');
+        return await promisify(crypto.pbkdf2)(String(passphrase), Buffer.from(params.salt, 'base64'), params.iterations, 32, 'sha256');
+    },
+
+    // 用新的随机盐生成加密参数，返回 { params, key }
+    async createEncryption(passphrase) {
+        const crypto = nodeRequire('crypto');
+        if (!passphrase) throw new Error('加密备份需要密码');
+        const params = { ...this.encryptionDefaults, salt: crypto.randomBytes(16).toString('base64') };
+        const key = await this.deriveKey(passphrase, params);
+        params.check = this.encryptBuffer(key, Buffer.from(this.encryptionCheckText)).toString('base64');
+        return { params, key };
+    },
+
+    // 用密码解锁加密参数，返回密钥；没有密码或密码错误时抛出异常
+    async unlockEncryption(params, passphrase) {
+        if (!passphrase) throw new Error('快照已加密，需要输入密码');
+        const key = await this.deriveKey(passphrase, params);
+        try {
+            if (this.decryptBuffer(key, Buffer.from(params.check, 'base64')).toString() === this.encryptionCheckText) {
+                return key;
+            }
+        } catch (error) {
+            // 认证失败说明密码错误
+        }
+        throw new Error('密码错误');
+    },
+
+    // 备份接口：生成任务的密码校验数据（加密参数，不含密码），用于之后确认输入的密码
+    async createKeyCheck(passphrase) {
+        return (await this.createEncryption(passphrase)).params;
+    },
+
+    // 备份接口：检查密码与校验数据是否匹配
+    async testPassphrase(keyCheck, passphrase) {
+        try {
+            await this.unlockEncryption(keyCheck, passphrase);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    // 加密一段数据，返回 IV + 密文 + 认证标签
+    encryptBuffer(key, data) {
+        const crypto = nodeRequire('crypto');
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        return Buffer.concat([iv, cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+    },
+
+    // 解密 encryptBuffer 的结果，数据被改动时抛出异常
+    decryptBuffer(key, data) {
+        const crypto = nodeRequire('crypto');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, 12));
+        decipher.setAuthTag(data.subarray(data.length - 16));
+        return Buffer.concat([decipher.update(data.subarray(12, data.length - 16)), decipher.final()]);
+    },
+
+    // 流式加密文件
+    async encryptFile(key, inputPath, outputPath) {
+        const crypto = nodeRequire('crypto');
+        const { createReadStream, createWriteStream } = nodeRequire('fs');
+        const { pipeline } = nodeRequire('stream/promises');
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const magic = Buffer.from(this.encryptedFileMagic);
+
+        await pipeline(createReadStream(inputPath), async function* (source) {
+            yield Buffer.concat([magic, iv]);
+            for await (const chunk of source) {
+                yield cipher.update(chunk);
+            }
+            yield cipher.final();
+            yield cipher.getAuthTag();
+        }, createWriteStream(outputPath));
+    },
+
+    // 流式解密文件，outputPath 为空时只检查文件能否通过认证。
+    // 认证标签在文件末尾，内容被改动时最后才会报错，调用方需要删除已写出的内容
+    async decryptFile(key, inputPath, outputPath = null) {
+        const crypto = nodeRequire('crypto');
+        const fs = nodeRequire('fs/promises');
+        const { createReadStream, createWriteStream } = nodeRequire('fs');
+        const { Writable } = nodeRequire('stream');
+        const { pipeline } = nodeRequire('stream/promises');
+        const magic = Buffer.from(this.encryptedFileMagic);
+        const headerSize = magic.length + 12;
+
+        const handle = await fs.open(inputPath, 'r');
+        const header = Buffer.alloc(headerSize);
+        const tag = Buffer.alloc(16);
+        let size;
+        try {
+            size = (await handle.stat()).size;
+            if (size < headerSize + 16) throw new Error('不是加密文件或文件不完整');
+            await handle.read(header, 0, headerSize, 0);
+            await handle.read(tag, 0, 16, size - 16);
+        } finally {
+            await handle.close();
+        }
+        if (!header.subarray(0, magic.length).equals(magic)) {
+            throw new Error('不是加密文件或文件不完整');
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, header.subarray(magic.length));
+        decipher.setAuthTag(tag);
+        const source = size > headerSize + 16
+            ? createReadStream(inputPath, { start: headerSize, end: size - 17 })
+            : [];
+        await pipeline(source, async function* (chunks) {
+            for await (const chunk of chunks) {
+                yield decipher.update(chunk);
+            }
+            yield decipher.final();
+        }, outputPath ? createWriteStream(outputPath) : new Writable({ write: (chunk, encoding, callback) => callback() }));
+    },
+
+    // 将源文件夹逐个文件加密复制到目标文件夹（保留相对路径）
+    async encryptFolder(key, sourcePath, targetPath, filter, progress = null) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        await fs.mkdir(targetPath, { recursive: true });
+        for await (const entry of this.walkEntries(sourcePath, filter)) {
+            const target = path.join(targetPath, ...entry.relativePath.split('/'));
+            if (entry.isDirectory) {
+                await fs.mkdir(target, { recursive: true });
+            } else {
+                progress?.startFile(entry.relativePath);
+                await this.encryptFile(key, entry.fullPath, target);
+                await fs.utimes(target, entry.stat.atime, entry.stat.mtime);
+                progress?.addBytes(entry.stat.size);
+                progress?.finishFile();
+            }
+        }
+    },
+
+    // 读取快照清单，快照已加密时用密码解锁后打开，返回 openSnapshot 的结果
+    async openBackup(backupPath, passphrase) {
+        const manifest = await this.readManifest(backupPath);
+        const key = manifest?.encryption ? await this.unlockEncryption(manifest.encryption, passphrase) : null;
+        return await this.openSnapshot(backupPath, key);
+    },
+    
+    // 清理任务的旧备份，返回被删除的备份
+    async cleanupOldBackups(job) {
+        if (!nodeRequire) return [];
+
+        const backups = await this.getBackupList(job);
+        const { remove } = this.planCleanup(job, backups);
+        const removed = [];
+
+        for (const backup of remove) {
+            try {
+                await this.removeBackup(backup.path);
+                await this.removeEmptyLayoutDirs(job, backup.name);
+                removed.push(backup);
+                console.log(`[${extensionName}] 已删除旧备份: ${backup.name}`);
+            } catch (err) {
+                console.warn(`[${extensionName}] 删除备份失败: ${backup.name}`, err);
+            }
+        }
+
+        await this.removeStaleTempBackups(job);
+        if (removed.some(backup => backup.format === 'dedup')) {
+            await this.collectGarbage(this.getDestinationPath(job));
+        }
+        return removed;
+    },
+
+    // 删除程序异常退出时遗留的临时快照和解压的临时文件夹（超过一天未修改的 .tmp-* 和 .extract-*），包括按日期分组的子文件夹中的
+    async removeStaleTempBackups(job) {
+        const fs = nodeRequire('fs/promises');
+        const destinationPath = this.getDestinationPath(job);
+        const staleBefore = Date.now() - 24 * 60 * 60 * 1000;
+
+        try {
+            for (const { name, dirent } of await this.readBackupDirectory(destinationPath, true)) {
+                if (!dirent.name.startsWith(this.tempPrefix) && !dirent.name.startsWith(this.extractPrefix)) continue;
+                const tempPath = this.joinBackupPath(destinationPath, name);
+                if ((await fs.stat(tempPath)).mtimeMs < staleBefore) {
+                    await fs.rm(tempPath, { recursive: true, force: true });
+                    console.log(`[${extensionName}] 已删除遗留的临时文件: ${name}`);
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`[${extensionName}] 清理临时快照失败:`, error);
+            }
+        }
+    },
+
+    // 根据保留策略计算哪些备份会被清理（backups 需按时间从新到旧排列）
+    // 固定的备份永远保留，最新的一个备份也总是保留
+    planCleanup(job, backups) {
+        const pinned = new Set(job.pinned || []);
+        const candidates = backups.filter(backup => !pinned.has(backup.name));
+        const keep = new Set(backups.filter(backup => pinned.has(backup.name)).map(backup => backup.name));
+
+        if (candidates.length > 0) {
+            keep.add(candidates[0].name);
+        }
+
+        const retention = { mode: 'count', ...job.retention };
+        if (retention.mode !== 'tiered') {
+            candidates.slice(0, job.maxBackups).forEach(backup => keep.add(backup.name));
+        } else {
+            const now = Date.now();
+            const hour = 60 * 60 * 1000;
+            const day = 24 * hour;
+
+            const dayKey = date => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+            const weekKey = date => {
+                const monday = new Date(date);
+                monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+                return dayKey(monday);
+            };
+            const monthKey = date => `${date.getFullYear()}-${date.getMonth() + 1}`;
+            const monthCutoff = new Date(now);
+            monthCutoff.setMonth(monthCutoff.getMonth() - retention.monthly);
+
+            // 最近一段时间内的备份全部保留
+            for (const backup of candidates) {
+                if (now - new Date(backup.created).getTime() < retention.keepAllHours * hour) {
+                    keep.add(backup.name);
+                }
+            }
+
+            // 每个时间段（天/周/月）保留其中最新的一个
+            const tiers = [
+                { cutoff: now - retention.daily * day, key: dayKey },
+                { cutoff: now - retention.weekly * 7 * day, key: weekKey },
+                { cutoff: monthCutoff.getTime(), key: monthKey }
+            ];
+            for (const tier of tiers) {
+                const seen = new Set();
+                for (const backup of candidates) {
+                    const created = new Date(backup.created);
+                    if (created.getTime() < tier.cutoff) continue;
+                    const key = tier.key(created);
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        keep.add(backup.name);
+                    }
+                }
+            }
+        }
+
+        return {
+            keep: backups.filter(backup => keep.has(backup.name)),
+            remove: backups.filter(backup => !keep.has(backup.name))
+        };
+    },
+
+    // 快照元数据：manifest 为快照清单，checksums 为每个文件的 SHA-256 校验和
+    // 文件夹快照写在快照内部的 .backup-<类型>.json，压缩包写在同名的 .<类型>.json 旁路文件中
+    metadataKinds: ['manifest', 'checksums'],
+
+    // 快照根目录下的元数据文件，对比和恢复时会忽略
+    snapshotMetadataFiles: ['.backup-manifest.json', '.backup-checksums.json'],
+
+    // 正在写入的快照使用的临时名称前缀，写完后才改为正式名称
+    tempPrefix: '.tmp-',
+
+    // 打开压缩包、加密或去重快照时解压到的临时文件夹（和解密后的压缩包）的名称前缀，见 openSnapshot
+    extractPrefix: '.extract-',
+
+    // 获取快照元数据文件的路径
+    getMetadataPath(backupPath, kind) {
+        const path = nodeRequire('path');
+        return this.getBackupFormat(backupPath) === 'folder'
+            ? path.join(backupPath, `.backup-${kind}.json`)
+            : `${backupPath}.${kind}.json`;
+    },
+
+    // 读取快照元数据，不存在（旧版本创建的快照）时返回 null
+    async readMetadata(backupPath, kind) {
+        const fs = nodeRequire('fs/promises');
+        try {
+            const data = JSON.parse(await fs.readFile(this.getMetadataPath(backupPath, kind), 'utf8'));
+            return data && typeof data === 'object' ? data : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`[${extensionName}] 无法读取快照元数据 (${kind}): ${backupPath}`, error);
+            }
+            return null;
+        }
+    },
+
+    // 写入快照清单
+    async writeManifest(job, backupPath, info) {
+        const fs = nodeRequire('fs/promises');
+        const manifest = this.buildManifest(job, this.getBackupFormat(backupPath), info);
+        await fs.writeFile(this.getMetadataPath(backupPath, 'manifest'), JSON.stringify(manifest, null, 2));
+        return manifest;
+    },
+
+    // 生成快照清单的内容
+    buildManifest(job, format, info) {
+        return {
+            created: info.created.toISOString(),
+            mode: info.mode,
+            job: { id: job.id, name: job.name },
+            sourceType: job.sourceType || 'folder',
+            sourcePath: job.sourceType === 'sillytavern' ? null : job.sourcePath,
+            format,
+            label: info.label || null,
+            fileCount: info.fileCount,
+            totalSize: info.totalSize,
+            sourceFingerprint: info.sourceFingerprint,
+            encryption: info.encryption || null,
+            moduleVersion: info.moduleVersion
+        };
+    },
+
+    // 读取快照清单
+    readManifest(backupPath) {
+        return this.readMetadata(backupPath, 'manifest');
+    },
+
+    // 计算文件夹快照中每个文件的校验和，progress 为 createProgress 创建的进度跟踪器（可选）
+    async computeChecksums(snapshotPath, progress = null) {
+        const path = nodeRequire('path');
+        const files = {};
+        const entries = await this.listFiles(snapshotPath);
+        progress?.phase('checksum', {
+            files: entries.size,
+            bytes: Array.from(entries.values()).reduce((total, stat) => total + stat.size, 0)
+        });
+        for (const [relativePath, stat] of entries) {
+            const normalizedPath = relativePath.split(path.sep).join('/');
+            progress?.startFile(normalizedPath);
+            files[normalizedPath] = {
+                size: stat.size,
+                sha256: await this.hashFile(path.join(snapshotPath, relativePath))
+            };
+            progress?.addBytes(stat.size);
+            progress?.finishFile();
+        }
+        return files;
+    },
+
+    // 从旧版本的 backup-2024-01-31T12-00-00 形式的名称中解析创建时间（UTC），只用于没有清单的快照
+    parseBackupTime(name) {
+        const match = /^backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})/.exec(name.split('/').pop());
+        if (!match) return null;
+        const date = new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}Z`);
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    // 删除快照及其旁路元数据文件
+    async removeBackup(backupPath) {
+        const fs = nodeRequire('fs/promises');
+        await fs.rm(backupPath, { recursive: true, force: true });
+        if (this.getBackupFormat(backupPath) !== 'folder') {
+            for (const kind of this.metadataKinds) {
+                await fs.rm(this.getMetadataPath(backupPath, kind), { force: true });
+            }
+        }
+    },
+
+    // 校验快照：对比每个文件的大小和 SHA-256，压缩包先校验整个文件。
+    // 加密的快照不需要密码也能检查校验和；提供密码时还会解密，检查每个文件能否通过认证
+    // 返回 { status: 'ok' | 'corrupt' | 'unverifiable', checked, missing, corrupted, error }
+    async verifySnapshot(backupPath, passphrase = null) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const result = { path: backupPath, status: 'ok', checked: 0, missing: [], corrupted: [], error: null };
+
+        try {
+            await fs.access(backupPath);
+        } catch (error) {
+            return { ...result, status: 'corrupt', error: '快照不存在或无法访问' };
+        }
+
+        const checksums = await this.readMetadata(backupPath, 'checksums');
+        if (!checksums?.files) {
+            return { ...result, status: 'unverifiable', error: '快照没有校验信息（由旧版本创建）' };
+        }
+
+        const manifest = await this.readManifest(backupPath);
+        const key = manifest?.encryption && passphrase ? await this.unlockEncryption(manifest.encryption, passphrase) : null;
+
+        const format = this.getBackupFormat(backupPath);
+        const expectedFiles = Object.entries(checksums.files);
+        if (checksums.archive) {
+            const stat = await fs.stat(backupPath);
+            const archiveOk = stat.size === checksums.archive.size && await this.hashFile(backupPath) === checksums.archive.sha256;
+            // 去重快照的索引完好时，还需要检查内容存储中的文件
+            if (archiveOk && !key && format !== 'dedup') {
+                return { ...result, checked: expectedFiles.length };
+            }
+            if (!archiveOk) {
+                // 整体校验失败时继续解压，找出具体损坏的文件
+                result.status = 'corrupt';
+                result.error = format === 'dedup' ? '索引文件校验和不匹配' : '压缩包校验和不匹配';
+                if (manifest?.encryption && !key) {
+                    return { ...result, error: '压缩包校验和不匹配（快照已加密，输入密码后可以进一步检查）' };
+                }
+            }
+        }
+
+        if (format === 'dedup') {
+            return await this.verifyDedupSnapshot(backupPath, expectedFiles, result);
+        }
+
+        let snapshot;
+        try {
+            // 加密的文件夹快照的校验和对应加密后的内容，直接检查快照中的文件
+            snapshot = await this.openSnapshot(backupPath, checksums.archive ? key : null);
+        } catch (error) {
+            return { ...result, status: 'corrupt', error: `无法解压: ${error.message}` };
+        }
+
+        try {
+            for (const [relativePath, expected] of expectedFiles) {
+                const filePath = path.join(snapshot.path, ...relativePath.split('/'));
+                let stat;
+                try {
+                    stat = await fs.stat(filePath);
+                } catch (error) {
+                    result.missing.push(relativePath);
+                    continue;
+                }
+                result.checked++;
+                if (stat.size !== expected.size || await this.hashFile(filePath) !== expected.sha256) {
+                    result.corrupted.push(relativePath);
+                } else if (key && !checksums.archive) {
+                    try {
+                        await this.decryptFile(key, filePath);
+                    } catch (error) {
+                        result.corrupted.push(relativePath);
+                    }
+                }
+            }
+        } finally {
+            await snapshot.cleanup();
+        }
+
+        if (result.missing.length > 0 || result.corrupted.length > 0) {
+            result.status = 'corrupt';
+        }
+        return result;
+    },
+
+    // 文件夹以外的格式对应的文件扩展名（去重存储的快照只是一个索引文件，文件内容在目标文件夹的内容存储中）
+    archiveExtensions: {
+        'zip': '.zip',
+        'tar.gz': '.tar.gz',
+        'dedup': '.dedup.json'
+    },
+
+    // 根据名称判断备份格式
+    getBackupFormat(name) {
+        for (const [format, extension] of Object.entries(this.archiveExtensions)) {
+            if (name.endsWith(extension)) return format;
+        }
+        return 'folder';
+    },
+
+    // 判断目录项是否可能是快照（文件夹或压缩包，不包括 . 开头的临时文件）。
+    // 快照还需要有清单，旧版本创建的没有清单的快照按 backup-* 名称识别
+    isBackupEntry(dirent) {
+        if (dirent.name.startsWith('.')) return false;
+        if (dirent.isDirectory()) return true;
+        return dirent.isFile() && this.getBackupFormat(dirent.name) !== 'folder';
+    },
+
+    /**
+     * 读取目标文件夹中的条目，包括按日期分组的 YYYY/MM/ 子文件夹中的条目
+     * @param {string} destinationPath 目标文件夹
+     * @param {boolean} includeHidden 是否包含 . 开头的条目
+     * @returns {Promise<{ name: string, dirent: import('fs').Dirent }[]>} name 为相对于目标文件夹的名称
+     */
+    async readBackupDirectory(destinationPath, includeHidden = false) {
+        const fs = nodeRequire('fs/promises');
+        const entries = [];
+        const read = async (prefix, depth) => {
+            for (const dirent of await fs.readdir(this.joinBackupPath(destinationPath, prefix), { withFileTypes: true })) {
+                const name = `${prefix}${dirent.name}`;
+                // 年份和月份文件夹：没有清单时视为分组文件夹，继续读取其中的条目
+                if (depth < this.layoutDirPatterns.length && dirent.isDirectory() && this.layoutDirPatterns[depth].test(dirent.name)
+                    && !await this.readManifest(this.joinBackupPath(destinationPath, name))) {
+                    await read(`${name}/`, depth + 1);
+                    continue;
+                }
+                if (depth === 1) continue; // 年份文件夹中只有月份文件夹
+                if (includeHidden || !dirent.name.startsWith('.')) entries.push({ name, dirent });
+            }
+        };
+        await read('', 0);
+        return entries;
+    },
+
+    // 打开快照以便读取：未加密的文件夹直接使用，压缩包、去重快照和加密的快照先解压/还原/解密到目标目录下的临时文件夹
+    // key 为加密快照的密钥（见 openBackup）。返回 { path, cleanup }，使用完毕后必须调用 cleanup
+    async openSnapshot(backupPath, key = null) {
+        const format = this.getBackupFormat(backupPath);
+        if (format === 'folder' && !key) {
+            return { path: backupPath, cleanup: async () => {} };
+        }
+
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const tempPath = path.join(path.dirname(backupPath), `${this.extractPrefix}${path.basename(backupPath)}-${Date.now()}`);
+        const decryptedArchive = `${tempPath}${this.archiveExtensions[format] || ''}`;
+
+        try {
+            if (format === 'folder') {
+                for (const [relativePath, stat] of await this.listFiles(backupPath)) {
+                    const target = path.join(tempPath, relativePath);
+                    await fs.mkdir(path.dirname(target), { recursive: true });
+                    await this.decryptFile(key, path.join(backupPath, relativePath), target);
+                    await fs.utimes(target, stat.atime, stat.mtime);
+                }
+                await fs.mkdir(tempPath, { recursive: true });
+            } else if (format === 'dedup') {
+                await this.extractDedupSnapshot(backupPath, tempPath);
+            } else if (key) {
+                await this.decryptFile(key, backupPath, decryptedArchive);
+                await this.extractArchive(decryptedArchive, tempPath, format);
+            } else {
+                await this.extractArchive(backupPath, tempPath, format);
+            }
+        } catch (error) {
+            await fs.rm(tempPath, { recursive: true, force: true });
+            throw error;
+        } finally {
+            if (key && format !== 'folder') await fs.rm(decryptedArchive, { force: true });
+        }
+
+        return {
+            path: tempPath,
+            cleanup: () => fs.rm(tempPath, { recursive: true, force: true })
+        };
+    },
+
+    // 递归遍历文件夹，依次返回目录和普通文件（相对路径使用 / 分隔，用于写入压缩包）
+    async *walkEntries(rootPath, filter = () => true, relativeDir = '') {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+
+        const dirents = await fs.readdir(path.join(rootPath, relativeDir), { withFileTypes: true });
+        for (const dirent of dirents) {
+            const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+            const fullPath = path.join(rootPath, relativePath);
+            if ((dirent.isDirectory() || dirent.isFile()) && !filter(relativePath, dirent.isDirectory())) continue;
+            if (dirent.isDirectory()) {
+                yield { relativePath, fullPath, stat: await fs.stat(fullPath), isDirectory: true };
+                yield* this.walkEntries(rootPath, filter, relativePath);
+            } else if (dirent.isFile()) {
+                yield { relativePath, fullPath, stat: await fs.stat(fullPath), isDirectory: false };
+            }
+        }
+    },
+
+    // 将源文件夹流式写入压缩包，不会把整个文件读入内存
+    async writeArchive(sourcePath, archivePath, format, filter, progress = null) {
+        const { createWriteStream } = nodeRequire('fs');
+        const { Readable } = nodeRequire('stream');
+        const { pipeline } = nodeRequire('stream/promises');
+        const zlib = nodeRequire('zlib');
+
+        const stats = { files: 0, bytes: 0, checksums: {} };
+        if (format === 'tar.gz') {
+            await pipeline(Readable.from(this.tarChunks(sourcePath, stats, filter, progress)), zlib.createGzip(), createWriteStream(archivePath));
+        } else {
+            await pipeline(Readable.from(this.zipChunks(sourcePath, stats, filter, progress)), createWriteStream(archivePath));
+        }
+        return stats;
+    },
+
+    // 解压压缩包到指定文件夹
+    async extractArchive(archivePath, targetPath, format) {
+        const fs = nodeRequire('fs/promises');
+        await fs.mkdir(targetPath, { recursive: true });
+
+        if (format === 'tar.gz') {
+            await this.extractTarGz(archivePath, targetPath);
+        } else {
+            await this.extractZip(archivePath, targetPath);
+        }
+    },
+
+    // 解析压缩包中的条目路径，拒绝绝对路径和 .. 防止写到目标文件夹之外
+    resolveArchiveEntryPath(targetPath, entryName) {
+        const path = nodeRequire('path');
+        const parts = entryName.split('/').filter(part => part && part !== '.');
+        if (parts.length === 0 || parts.includes('..') || path.isAbsolute(entryName)) {
+            throw new Error(`压缩包中包含不安全的路径: ${entryName}`);
+        }
+        return path.join(targetPath, ...parts);
+    },
+
+    // 按遍历时记录的大小读取文件：备份期间文件变大（例如正在写入的聊天记录）时只读取前 size 字节，
+    // 变小时抛出异常，保证压缩包中条目的实际内容与条目头中的大小一致
+    async *readRecordedSize(filePath, size, relativePath) {
+        const { createReadStream } = nodeRequire('fs');
+        let read = 0;
+        if (size > 0) {
+            for await (const chunk of createReadStream(filePath, { start: 0, end: size - 1 })) {
+                read += chunk.length;
+                yield chunk;
+            }
+        }
+        if (read < size) {
+            throw new Error(`文件在备份期间变小，请稍后重试: ${relativePath}`);
+        }
+    },
+
+    // 生成 tar 数据块（ustar 格式，长文件名和大文件使用 PAX 扩展头）
+    async *tarChunks(sourcePath, stats, filter, progress = null) {
+        const crypto = nodeRequire('crypto');
+
+        const header = (name, size, mtime, mode, type) => {
+            const block = Buffer.alloc(512);
+            const writeOctal = (value, offset, length) => {
+                block.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+            };
+            block.write(name, 0, 100, 'utf8');
+            writeOctal(mode & 0o7777, 100, 8);
+            writeOctal(0, 108, 8);
+            writeOctal(0, 116, 8);
+            writeOctal(size, 124, 12);
+            writeOctal(Math.floor(mtime / 1000), 136, 12);
+            block.fill(' ', 148, 156); // 计算校验和时校验和字段按空格计
+            block.write(type, 156, 1, 'ascii');
+            block.write('ustar\0', 257, 6, 'ascii');
+            block.write('00', 263, 2, 'ascii');
+            let checksum = 0;
+            for (const byte of block) checksum += byte;
+            block.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+            return block;
+        };
+
+        const padding = size => Buffer.alloc((512 - (size % 512)) % 512);
+
+        // PAX 记录格式: "<长度> <键>=<值>\n"，长度包含自身
+        const paxRecord = (key, value) => {
+            const body = ` ${key}=${value}\n`;
+            const bodyLength = Buffer.byteLength(body);
+            let length = bodyLength + 1;
+            while (bodyLength + String(length).length !== length) {
+                length = bodyLength + String(length).length;
+            }
+            return `${length}${body}`;
+        };
+
+        for await (const entry of this.walkEntries(sourcePath, filter)) {
+            const name = entry.isDirectory ? `${entry.relativePath}/` : entry.relativePath;
+            const size = entry.isDirectory ? 0 : entry.stat.size;
+
+            let pax = '';
+            if (Buffer.byteLength(name) > 100) pax += paxRecord('path', name);
+            if (size > 0o77777777777) pax += paxRecord('size', size);
+            if (pax) {
+                const paxData = Buffer.from(pax, 'utf8');
+                yield header('././@PaxHeader', paxData.length, entry.stat.mtimeMs, 0o644, 'x');
+                yield paxData;
+                yield padding(paxData.length);
+            }
+
+            const headerName = Buffer.byteLength(name) > 100 ? name.slice(0, 100) : name;
+            const headerSize = size > 0o77777777777 ? 0 : size;
+            yield header(headerName, headerSize, entry.stat.mtimeMs, entry.stat.mode, entry.isDirectory ? '5' : '0');
+
+            if (!entry.isDirectory) {
+                progress?.startFile(entry.relativePath);
+                const hash = crypto.createHash('sha256');
+                for await (const chunk of this.readRecordedSize(entry.fullPath, size, entry.relativePath)) {
+                    hash.update(chunk);
+                    progress?.addBytes(chunk.length);
+                    yield chunk;
+                }
+                yield padding(size);
+                progress?.finishFile();
+                stats.files++;
+                stats.bytes += size;
+                stats.checksums[entry.relativePath] = { size, sha256: hash.digest('hex') };
+            }
+        }
+
+        // 结尾为两个全零块
+        yield Buffer.alloc(1024);
+    },
+
+    // 解压 tar.gz（流式解析，支持本模块写入的 PAX 扩展头）
+    async extractTarGz(archivePath, targetPath) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const { createReadStream, createWriteStream } = nodeRequire('fs');
+        const { once } = nodeRequire('events');
+        const { finished } = nodeRequire('stream/promises');
+        const zlib = nodeRequire('zlib');
+
+        const parseOctal = (block, offset, length) => {
+            const text = block.toString('ascii', offset, offset + length).replace(/\0.*$/, '').trim();
+            return text ? parseInt(text, 8) : 0;
+        };
+        const parseString = (block, offset, length) => {
+            const end = block.indexOf(0, offset);
+            return block.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+        };
+
+        let buffer = Buffer.alloc(0);
+        let entry = null;
+        let pax = {};
+
+        for await (const chunk of createReadStream(archivePath).pipe(zlib.createGunzip())) {
+            buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+            while (true) {
+                if (entry) {
+                    if (entry.remaining > 0) {
+                        if (buffer.length === 0) break;
+                        const part = buffer.subarray(0, Math.min(entry.remaining, buffer.length));
+                        buffer = buffer.subarray(part.length);
+                        entry.remaining -= part.length;
+                        await entry.write(part);
+                        if (entry.remaining > 0) break;
+                    }
+                    const skip = Math.min(entry.padding, buffer.length);
+                    buffer = buffer.subarray(skip);
+                    entry.padding -= skip;
+                    if (entry.padding > 0) break;
+                    await entry.finish();
+                    entry = null;
+                    continue;
+                }
+
+                if (buffer.length < 512) break;
+                const block = buffer.subarray(0, 512);
+                buffer = buffer.subarray(512);
+                if (block.every(byte => byte === 0)) continue;
+
+                const type = String.fromCharCode(block[156] || 48);
+                let name = parseString(block, 0, 100);
+                const prefix = parseString(block, 345, 155);
+                if (prefix) name = `${prefix}/${name}`;
+                let size = parseOctal(block, 124, 12);
+                const mtime = parseOctal(block, 136, 12);
+
+                if (type === 'x' || type === 'g') {
+                    const chunks = [];
+                    entry = {
+                        remaining: size,
+                        padding: (512 - (size % 512)) % 512,
+                        write: async part => { chunks.push(Buffer.from(part)); },
+                        finish: async () => {
+                            if (type === 'g') return;
+                            const text = Buffer.concat(chunks).toString('utf8');
+                            for (const match of text.matchAll(/\d+ ([^=]+)=([^\n]*)\n/g)) {
+                                pax[match[1]] = match[2];
+                            }
+                        }
+                    };
+                    continue;
+                }
+
+                if (pax.path) name = pax.path;
+                if (pax.size) size = parseInt(pax.size, 10);
+                pax = {};
+
+                const padding = (512 - (size % 512)) % 512;
+                if (type === '5') {
+                    await fs.mkdir(this.resolveArchiveEntryPath(targetPath, name), { recursive: true });
+                    entry = { remaining: size, padding, write: async () => {}, finish: async () => {} };
+                } else if (type === '0' || type === '7') {
+                    const filePath = this.resolveArchiveEntryPath(targetPath, name);
+                    await fs.mkdir(path.dirname(filePath), { recursive: true });
+                    const output = createWriteStream(filePath);
+                    let writeError = null;
+                    output.on('error', error => { writeError = error; });
+                    entry = {
+                        remaining: size,
+                        padding,
+                        write: async part => {
+                            if (writeError) throw writeError;
+                            if (!output.write(part)) await once(output, 'drain');
+                        },
+                        finish: async () => {
+                            output.end();
+                            await finished(output);
+                            await fs.utimes(filePath, new Date(), new Date(mtime * 1000));
+                        }
+                    };
+                } else {
+                    // 其他类型（链接、设备文件等）直接跳过
+                    entry = { remaining: size, padding, write: async () => {}, finish: async () => {} };
+                }
+
+                if (entry.remaining === 0 && entry.padding === 0) {
+                    await entry.finish();
+                    entry = null;
+                }
+            }
+        }
+
+        if (entry) {
+            throw new Error('tar.gz 压缩包不完整');
+        }
+    },
+
+    // CRC-32 校验（zip 格式需要）
+    crc32(buffer, crc = 0) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        crc = crc ^ 0xFFFFFFFF;
+        for (let i = 0; i < buffer.length; i++) {
+            crc = this.crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    // 原始大小为 size 的数据经 deflate 压缩后的最大大小（与 zlib 的 deflateBound 相同的估算）
+    deflateBound(size) {
+        return size + Math.floor(size / 4096) + Math.floor(size / 16384) + Math.floor(size / 33554432) + 13;
+    },
+
+    // 生成 zip 数据（使用数据描述符流式压缩，归档总大小超过4GB时写入 ZIP64 结尾记录）
+    async *zipChunks(sourcePath, stats, filter, progress = null) {
+        const crypto = nodeRequire('crypto');
+        const zlib = nodeRequire('zlib');
+        const stream = nodeRequire('stream');
+
+        const maxUint32 = 0xFFFFFFFF;
+        const centralEntries = [];
+        let offset = 0;
+
+        const toDosDateTime = (date) => ({
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        });
+
+        for await (const entry of this.walkEntries(sourcePath, filter)) {
+            const name = Buffer.from(entry.isDirectory ? `${entry.relativePath}/` : entry.relativePath, 'utf8');
+            const { time, date } = toDosDateTime(entry.stat.mtime);
+            // 0x0800: 文件名使用UTF-8；0x0008: 大小和CRC写在数据之后的数据描述符中
+            const flags = entry.isDirectory ? 0x0800 : 0x0808;
+            const method = entry.isDirectory ? 0 : 8;
+
+            // 不写入 ZIP64 的数据描述符，压缩后（不可压缩的数据会略微变大）可能达到4GB的文件直接报错
+            if (!entry.isDirectory && this.deflateBound(entry.stat.size) >= maxUint32) {
+                throw new Error(`文件接近或超过4GB，zip 格式不支持，请改用 tar.gz: ${entry.relativePath}`);
+            }
+
+            const localHeader = Buffer.alloc(30);
+            localHeader.writeUInt32LE(0x04034b50, 0);
+            localHeader.writeUInt16LE(20, 4);
+            localHeader.writeUInt16LE(flags, 6);
+            localHeader.writeUInt16LE(method, 8);
+            localHeader.writeUInt16LE(time, 10);
+            localHeader.writeUInt16LE(date, 12);
+            localHeader.writeUInt16LE(name.length, 26);
+
+            const headerOffset = offset;
+            yield localHeader;
+            yield name;
+            offset += localHeader.length + name.length;
+
+            let crc = 0;
+            let compressedSize = 0;
+            let size = 0;
+
+            if (!entry.isDirectory) {
+                progress?.startFile(entry.relativePath);
+                const hash = crypto.createHash('sha256');
+                let deflated;
+                const finished = new Promise((resolve, reject) => {
+                    deflated = stream.pipeline(
+                        stream.Readable.from(this.readRecordedSize(entry.fullPath, entry.stat.size, entry.relativePath)),
+                        new stream.Transform({
+                            transform: (chunk, encoding, callback) => {
+                                crc = this.crc32(chunk, crc);
+                                hash.update(chunk);
+                                size += chunk.length;
+                                callback(null, chunk);
+                            }
+                        }),
+                        zlib.createDeflateRaw(),
+                        error => error ? reject(error) : resolve()
+                    );
+                });
+                // 读取中途出错时下面的循环先抛出异常，这里避免未处理的 Promise 拒绝
+                finished.catch(() => {});
+                let reportedSize = 0;
+                for await (const chunk of deflated) {
+                    compressedSize += chunk.length;
+                    // 进度按已读取的原始大小计算
+                    progress?.addBytes(size - reportedSize);
+                    reportedSize = size;
+                    yield chunk;
+                }
+                await finished;
+                progress?.addBytes(size - reportedSize);
+                progress?.finishFile();
+
+                if (compressedSize >= maxUint32) {
+                    throw new Error(`文件压缩后超过4GB，zip 格式不支持，请改用 tar.gz: ${entry.relativePath}`);
+                }
+                const descriptor = Buffer.alloc(16);
+                descriptor.writeUInt32LE(0x08074b50, 0);
+                descriptor.writeUInt32LE(crc, 4);
+                descriptor.writeUInt32LE(compressedSize, 8);
+                descriptor.writeUInt32LE(size, 12);
+                yield descriptor;
+                offset += compressedSize + descriptor.length;
+                stats.files++;
+                stats.bytes += size;
+                stats.checksums[entry.relativePath] = { size, sha256: hash.digest('hex') };
+            }
+
+            centralEntries.push({ name, flags, method, time, date, crc, compressedSize, size, headerOffset, isDirectory: entry.isDirectory });
+        }
+
+        const centralOffset = offset;
+        for (const entry of centralEntries) {
+            const needsZip64 = entry.headerOffset >= maxUint32;
+            const extra = Buffer.alloc(needsZip64 ? 12 : 0);
+            if (needsZip64) {
+                extra.writeUInt16LE(0x0001, 0);
+                extra.writeUInt16LE(8, 2);
+                extra.writeBigUInt64LE(BigInt(entry.headerOffset), 4);
+            }
+
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(needsZip64 ? 45 : 20, 4);
+            header.writeUInt16LE(needsZip64 ? 45 : 20, 6);
+            header.writeUInt16LE(entry.flags, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.name.length, 28);
+            header.writeUInt16LE(extra.length, 30);
+            header.writeUInt32LE(entry.isDirectory ? 0x10 : 0, 38);
+            header.writeUInt32LE(needsZip64 ? maxUint32 : entry.headerOffset, 42);
+
+            yield header;
+            yield entry.name;
+            yield extra;
+            offset += header.length + entry.name.length + extra.length;
+        }
+
+        const centralSize = offset - centralOffset;
+        const needsZip64 = centralEntries.length >= 0xFFFF || centralOffset >= maxUint32 || centralSize >= maxUint32;
+
+        if (needsZip64) {
+            const zip64End = Buffer.alloc(56);
+            zip64End.writeUInt32LE(0x06064b50, 0);
+            zip64End.writeBigUInt64LE(44n, 4);
+            zip64End.writeUInt16LE(45, 12);
+            zip64End.writeUInt16LE(45, 14);
+            zip64End.writeBigUInt64LE(BigInt(centralEntries.length), 24);
+            zip64End.writeBigUInt64LE(BigInt(centralEntries.length), 32);
+            zip64End.writeBigUInt64LE(BigInt(centralSize), 40);
+            zip64End.writeBigUInt64LE(BigInt(centralOffset), 48);
+
+            const locator = Buffer.alloc(20);
+            locator.writeUInt32LE(0x07064b50, 0);
+            locator.writeBigUInt64LE(BigInt(offset), 8);
+            locator.writeUInt32LE(1, 16);
+
+            yield zip64End;
+            yield locator;
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(Math.min(centralEntries.length, 0xFFFF), 8);
+        end.writeUInt16LE(Math.min(centralEntries.length, 0xFFFF), 10);
+        end.writeUInt32LE(Math.min(centralSize, maxUint32), 12);
+        end.writeUInt32LE(Math.min(centralOffset, maxUint32), 16);
+        yield end;
+    },
+
+    // 解压 zip（读取中央目录后逐个条目流式解压）
+    async extractZip(archivePath, targetPath) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const { createReadStream, createWriteStream } = nodeRequire('fs');
+        const { pipeline } = nodeRequire('stream/promises');
+        const zlib = nodeRequire('zlib');
+
+        const handle = await fs.open(archivePath, 'r');
+        try {
+            const { size: fileSize } = await handle.stat();
+            const read = async (position, length) => {
+                const buffer = Buffer.alloc(length);
+                await handle.read(buffer, 0, length, position);
+                return buffer;
+            };
+
+            // 在文件末尾查找中央目录结尾记录
+            const tailLength = Math.min(fileSize, 65557);
+            const tail = await read(fileSize - tailLength, tailLength);
+            let endIndex = -1;
+            for (let i = tail.length - 22; i >= 0; i--) {
+                if (tail.readUInt32LE(i) === 0x06054b50) {
+                    endIndex = i;
+                    break;
+                }
+            }
+            if (endIndex === -1) throw new Error('无效的 zip 文件');
+
+            let entryCount = tail.readUInt16LE(endIndex + 10);
+            let centralSize = tail.readUInt32LE(endIndex + 12);
+            let centralOffset = tail.readUInt32LE(endIndex + 16);
+
+            if (endIndex >= 20 && tail.readUInt32LE(endIndex - 20) === 0x07064b50) {
+                const zip64EndOffset = Number(tail.readBigUInt64LE(endIndex - 20 + 8));
+                const zip64End = await read(zip64EndOffset, 56);
+                entryCount = Number(zip64End.readBigUInt64LE(32));
+                centralSize = Number(zip64End.readBigUInt64LE(40));
+                centralOffset = Number(zip64End.readBigUInt64LE(48));
+            }
+
+            const central = await read(centralOffset, centralSize);
+            let position = 0;
+
+            for (let index = 0; index < entryCount; index++) {
+                if (central.readUInt32LE(position) !== 0x02014b50) throw new Error('zip 中央目录已损坏');
+
+                const method = central.readUInt16LE(position + 10);
+                const time = central.readUInt16LE(position + 12);
+                const date = central.readUInt16LE(position + 14);
+                let compressedSize = central.readUInt32LE(position + 20);
+                let size = central.readUInt32LE(position + 24);
+                const nameLength = central.readUInt16LE(position + 28);
+                const extraLength = central.readUInt16LE(position + 30);
+                const commentLength = central.readUInt16LE(position + 32);
+                let headerOffset = central.readUInt32LE(position + 42);
+                const name = central.toString('utf8', position + 46, position + 46 + nameLength);
+
+                // ZIP64 扩展字段中按顺序存放被标记为 0xFFFFFFFF 的值
+                let extraPosition = position + 46 + nameLength;
+                const extraEnd = extraPosition + extraLength;
+                while (extraPosition + 4 <= extraEnd) {
+                    const id = central.readUInt16LE(extraPosition);
+                    const length = central.readUInt16LE(extraPosition + 2);
+                    if (id === 0x0001) {
+                        let field = extraPosition + 4;
+                        if (size === 0xFFFFFFFF) { size = Number(central.readBigUInt64LE(field)); field += 8; }
+                        if (compressedSize === 0xFFFFFFFF) { compressedSize = Number(central.readBigUInt64LE(field)); field += 8; }
+                        if (headerOffset === 0xFFFFFFFF) { headerOffset = Number(central.readBigUInt64LE(field)); }
+                    }
+                    extraPosition += 4 + length;
+                }
+                position = extraEnd + commentLength;
+
+                const entryPath = this.resolveArchiveEntryPath(targetPath, name);
+                if (name.endsWith('/')) {
+                    await fs.mkdir(entryPath, { recursive: true });
+                    continue;
+                }
+
+                const localHeader = await read(headerOffset, 30);
+                const dataStart = headerOffset + 30 + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+
+                await fs.mkdir(path.dirname(entryPath), { recursive: true });
+                const streams = [];
+                if (compressedSize > 0) {
+                    streams.push(createReadStream(archivePath, { start: dataStart, end: dataStart + compressedSize - 1 }));
+                    if (method === 8) streams.push(zlib.createInflateRaw());
+                    else if (method !== 0) throw new Error(`不支持的 zip 压缩方式: ${method}`);
+                    streams.push(createWriteStream(entryPath));
+                    await pipeline(streams);
+                } else {
+                    await fs.writeFile(entryPath, '');
+                }
+
+                const mtime = new Date(1980 + (date >> 9), ((date >> 5) & 0x0F) - 1, date & 0x1F,
+                    time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2);
+                await fs.utimes(entryPath, new Date(), mtime);
+            }
+        } finally {
+            await handle.close();
+        }
+    },
+
+    // 将 glob 规则编译为正则，语法与 .gitignore 相同：
+    // 以 ! 开头表示取反，以 / 结尾只匹配文件夹，包含 / 时相对于源文件夹根目录匹配，否则匹配任意层级的名称
+    compilePattern(pattern) {
+        let text = pattern.trim();
+        const negate = text.startsWith('!');
+        if (negate) text = text.slice(1);
+        const directoryOnly = text.endsWith('/');
+        text = text.replace(/\/+$/, '');
+        const anchored = text.includes('/');
+        text = text.replace(/^\/+/, '');
+
+        let source = '';
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '*') {
+                if (text[i + 1] === '*') {
+                    // "**/" 匹配零个或多个文件夹，其余位置的 "**" 匹配任意内容
+                    if (text[i + 2] === '/') {
+                        source += '(?:.*/)?';
+                        i += 2;
+                    } else {
+                        source += '.*';
+                        i += 1;
+                    }
+                } else {
+                    source += '[^/]*';
+                }
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '[' && text.indexOf(']', i + 2) !== -1) {
+                const end = text.indexOf(']', i + 2);
+                source += '[' + text.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                i = end;
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        return {
+            pattern,
+            negate,
+            directoryOnly,
+            regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`)
+        };
+    },
+
+    // 将多行文本或数组形式的规则编译为规则列表，忽略空行和 # 注释
+    compilePatterns(patterns) {
+        const lines = Array.isArray(patterns) ? patterns : String(patterns || '').split(/\r?\n/);
+        return lines
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => this.compilePattern(line));
+    },
+
+    // 判断规则是否匹配某个路径（相对路径使用 / 分隔）
+    patternMatches(rule, relativePath, isDirectory) {
+        if (rule.directoryOnly && !isDirectory) return false;
+        return rule.regex.test(relativePath);
+    },
+
+    // 判断规则是否匹配某个路径或其任一上级文件夹
+    patternMatchesWithParents(rule, relativePath, isDirectory) {
+        if (this.patternMatches(rule, relativePath, isDirectory)) return true;
+        const parts = relativePath.split('/');
+        for (let i = parts.length - 1; i > 0; i--) {
+            if (this.patternMatches(rule, parts.slice(0, i).join('/'), true)) return true;
+        }
+        return false;
+    },
+
+    // 读取源文件夹根目录下的 .backupignore
+    async readBackupIgnore(sourcePath) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        try {
+            return await fs.readFile(path.join(sourcePath, '.backupignore'), 'utf8');
+        } catch (error) {
+            return '';
+        }
+    },
+
+    // 创建源文件夹的文件过滤函数（设置中的规则 + 源文件夹中的 .backupignore）
+    async createFileFilter(sourcePath, rules) {
+        return this.buildFileFilter(rules, await this.readBackupIgnore(sourcePath));
+    },
+
+    // 生成文件过滤函数 (relativePath, isDirectory) => 是否备份
+    // 排除规则按顺序匹配，最后一条匹配的规则生效；被排除的文件夹不会再进入。
+    // 设置了包含规则时，只有匹配（或位于匹配的文件夹中）的文件才会备份。
+    buildFileFilter(rules, backupIgnore) {
+        const includeRules = this.compilePatterns(rules.includePatterns);
+        const excludeRules = [
+            ...this.compilePatterns(rules.excludePatterns),
+            ...this.compilePatterns(backupIgnore)
+        ];
+
+        return (relativePath, isDirectory) => {
+            let excluded = false;
+            for (const rule of excludeRules) {
+                if (this.patternMatches(rule, relativePath, isDirectory)) {
+                    excluded = !rule.negate;
+                }
+            }
+            if (excluded) return false;
+            if (isDirectory || includeRules.length === 0) return true;
+            return includeRules.some(rule => this.patternMatchesWithParents(rule, relativePath, false));
+        };
+    },
+
+    // 判断文件是否会被备份：文件本身和它所在的每一层文件夹都需要通过过滤（relativePath 使用 / 分隔）
+    isFileIncluded(filter, relativePath) {
+        const parts = relativePath.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            if (!filter(parts.slice(0, i).join('/'), true)) return false;
+        }
+        return filter(relativePath, false);
+    },
+
+    // 预览规则效果：统计每条规则匹配的文件数和大小，以及最终会备份的文件
+    async previewFilters(job, rules) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const sourcePath = job.sourcePath;
+
+        const files = [];
+        const walk = async (relativeDir) => {
+            const dirents = await fs.readdir(path.join(sourcePath, relativeDir), { withFileTypes: true });
+            for (const dirent of dirents) {
+                const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+                if (dirent.isDirectory()) {
+                    await walk(relativePath);
+                } else if (dirent.isFile()) {
+                    const stat = await fs.stat(path.join(sourcePath, relativePath));
+                    files.push({ relativePath, size: stat.size });
+                }
+            }
+        };
+        await walk('');
+
+        return this.summarizeFilters(files, rules, await this.readBackupIgnore(sourcePath));
+    },
+
+    // 统计规则效果，files 为 [{ relativePath, size }]
+    summarizeFilters(files, rules, backupIgnore) {
+        const countMatches = (set, rule) => {
+            const matched = files.filter(file => this.patternMatchesWithParents(rule, file.relativePath, false));
+            return {
+                set,
+                pattern: rule.pattern,
+                files: matched.length,
+                bytes: matched.reduce((sum, file) => sum + file.size, 0)
+            };
+        };
+
+        const filter = this.buildFileFilter(rules, backupIgnore);
+        const included = files.filter(file => this.isFileIncluded(filter, file.relativePath));
+
+        return {
+            total: { files: files.length, bytes: files.reduce((sum, file) => sum + file.size, 0) },
+            included: { files: included.length, bytes: included.reduce((sum, file) => sum + file.size, 0) },
+            rules: [
+                ...this.compilePatterns(rules.includePatterns).map(rule => countMatches('include', rule)),
+                ...this.compilePatterns(rules.excludePatterns).map(rule => countMatches('exclude', rule)),
+                ...this.compilePatterns(backupIgnore).map(rule => countMatches('backupignore', rule))
+            ]
+        };
+    },
+
+    // 从备份恢复源文件夹
+    // mode: 'mirror' 使源文件夹与备份完全一致（删除备份中不存在的文件），'merge' 只覆盖和新增文件
+    // passphrase 为所选快照的密码，safetyPassphrase 为任务启用加密时安全快照使用的密码
+    async restoreBackup(job, name, options = {}) {
+        const { mode = 'mirror', moduleVersion, passphrase, safetyPassphrase } = options;
+
+        if (!nodeRequire) {
+            return { success: false, error: '当前环境无法访问文件系统，无法恢复备份。' };
+        }
+
+        const fs = nodeRequire('fs/promises');
+        const sourcePath = job.sourcePath;
+
+        if (!sourcePath) {
+            return { success: false, error: '请先在设置中指定源文件夹。' };
+        }
+
+        let backupPath;
+        try {
+            backupPath = this.resolveBackupPath(job, name);
+            await fs.access(backupPath);
+        } catch (error) {
+            return { success: false, error: `备份不存在或无法访问: ${name}` };
+        }
+
+        // 加密的快照先确认密码，密码错误时不做任何改动
+        let key = null;
+        const manifest = await this.readManifest(backupPath);
+        if (manifest?.encryption) {
+            try {
+                key = await this.unlockEncryption(manifest.encryption, passphrase);
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        }
+
+        // 先为当前源文件夹创建安全快照，恢复中途失败时用于回滚。
+        // 源文件夹已不存在时没有需要保护的内容，直接恢复。
+        let safetyPath = null;
+        try {
+            await fs.access(sourcePath);
+            const safety = await this.createSnapshot(job, { created: new Date(), mode: 'pre-restore', moduleVersion, passphrase: safetyPassphrase });
+            if (!safety.success) {
+                return { success: false, error: `无法创建安全快照，已取消恢复: ${safety.error}` };
+            }
+            safetyPath = safety.path;
+        } catch (error) {
+            await fs.mkdir(sourcePath, { recursive: true });
+        }
+
+        // 被包含/排除规则排除的文件不在快照中，镜像恢复和回滚时不能删除
+        const filter = await this.createFileFilter(sourcePath, job);
+
+        let snapshot = null;
+        try {
+            console.log(`[${extensionName}] 开始从备份恢复 (模式: ${mode}): ${backupPath}`);
+            snapshot = await this.openSnapshot(backupPath, key);
+            const report = await this.applySnapshot(snapshot.path, sourcePath, mode, filter);
+            console.log(`[${extensionName}] 恢复完成: 覆盖 ${report.overwritten.length}，新增 ${report.added.length}，删除 ${report.removed.length}`);
+            return { success: true, mode, path: backupPath, safetyPath, ...report };
+        } catch (error) {
+            console.error(`[${extensionName}] 恢复过程中发生错误:`, error);
+
+            let rolledBack = false;
+            if (safetyPath) {
+                let safetySnapshot = null;
+                try {
+                    safetySnapshot = await this.openBackup(safetyPath, safetyPassphrase);
+                    await this.applySnapshot(safetySnapshot.path, sourcePath, 'mirror', filter);
+                    rolledBack = true;
+                    console.log(`[${extensionName}] 已回滚到安全快照: ${safetyPath}`);
+                } catch (rollbackError) {
+                    console.error(`[${extensionName}] 回滚失败:`, rollbackError);
+                } finally {
+                    await safetySnapshot?.cleanup();
+                }
+            }
+
+            return { success: false, error: error.stack || (error.message || '未知错误'), rolledBack, safetyPath };
+        } finally {
+            await snapshot?.cleanup();
+        }
+    },
+
+    // 将快照内容复制到目标文件夹，返回被覆盖、新增和删除的文件列表（相对路径）
+    // filter 为任务的文件过滤函数，镜像模式只删除会被备份的文件，不删除被规则排除的文件
+    async applySnapshot(snapshotPath, targetPath, mode, filter = () => true) {
+        const fs = nodeRequire('fs/promises');
+        const path = nodeRequire('path');
+        const report = { overwritten: [], added: [], removed: [] };
+
+        const snapshotFiles = await this.listFiles(snapshotPath);
+        const targetFiles = await this.listFiles(targetPath);
+
+        for (const [relativePath, snapshotStat] of snapshotFiles) {
+            const snapshotFile = path.join(snapshotPath, relativePath);
+            const targetFile = path.join(targetPath, relativePath);
+
+            if (targetFiles.has(relativePath)) {
+                if (await this.isFileUnchanged(snapshotFile, snapshotStat, targetFile)) continue;
+                report.overwritten.push(relativePath);
+            } else {
+                report.added.push(relativePath);
+            }
+
+            await fs.mkdir(path.dirname(targetFile), { recursive: true });
+            await fs.copyFile(snapshotFile, targetFile);
+            await fs.utimes(targetFile, snapshotStat.atime, snapshotStat.mtime);
+        }
+
+        if (mode === 'mirror') {
+            for (const relativePath of targetFiles.keys()) {
+                if (snapshotFiles.has(relativePath)) continue;
+                if (!this.isFileIncluded(filter, relativePath.split(path.sep).join('/'))) continue;
+                await fs.rm(path.join(targetPath, relativePath), { force: true });
+                report.removed.push(relativePath);
+            }
+
+            // 删除文件后变空的文件夹也删除，从最深的一层开始，仍有文件的文件夹保留
+            const directories = new Set();
+            for (const relativePath of report.removed) {
+                for (let directory = path.dirname(relativePath); directory !== '.'; directory = path.dirname(directory)) {
+                    directories.add(directory);
+                }
+            }
+            for (const directory of [...directories].sort((a, b) => b.length - a.length)) {
+                try {
+                    await fs.rmdir(path.join(targetPath, directory));
+                } catch (error) {
+                    if (!['ENOTEMPTY', 'EEXIST', 'ENOENT'].includes(error.code)) throw error;
+                }
+            }
+        }
+
+        return report;
+    },
+    
+    // 获取任务的备份列表
+    async getBackupList(job) {
+        try {
+            const destinationPath = this.getDestinationPath(job);
+            if (!destinationPath || !nodeRequire) return [];
+
+            const fs = nodeRequire('fs/promises');
+            
+            const entries = await this.readBackupDirectory(destinationPath);
+            const backupDirs = [];
+
+            for (const { name, dirent } of entries) {
+                if (this.isBackupEntry(dirent)) {
+                    try {
+                        const dirPath = this.joinBackupPath(destinationPath, name);
+                        const stat = await fs.stat(dirPath);
+                        const format = this.getBackupFormat(dirent.name);
+                        const manifest = await this.readManifest(dirPath);
+
+                        // 按名称模板命名的快照通过清单识别，没有清单的只识别旧版本的 backup-* 快照
+                        if (!manifest && !dirent.name.startsWith('backup-')) continue;
+
+                        // 多个任务共用同一目标文件夹时，只列出本任务创建的快照
+                        if (manifest?.job?.id && manifest.job.id !== job.id) continue;
+
+                        // 创建时间优先使用清单，其次解析名称，最后才使用容易被复制/恢复改变的 mtime
+                        const manifestTime = manifest ? new Date(manifest.created) : null;
+                        const created = manifestTime && !isNaN(manifestTime.getTime())
+                            ? manifestTime
+                            : (this.parseBackupTime(dirent.name) || stat.mtime);
+
+                        backupDirs.push({
+                            name,
+                            path: dirPath,
+                            format,
+                            size: format === 'folder' ? -1 : stat.size, // -1 表示是文件夹或大小未知
+                            created,
+                            fileCount: manifest?.fileCount ?? null,
+                            totalSize: manifest?.totalSize ?? null,
+                            manifest
+                        });
+                    } catch (err) {
+                        console.warn(`[${extensionName}] 无法获取备份文件夹信息: ${name}`);
+                    }
+                }
+    
+            }
+            
+            // 按创建时间排序，新的在前（同一时间按名称排序，保证顺序稳定）
+            backupDirs.sort((a, b) => b.created.getTime() - a.created.getTime() || b.name.localeCompare(a.name));
+            return backupDirs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`[${extensionName}] 获取备份列表失败:`, error);
+            }
+            return [];
+        }
+    }
+};
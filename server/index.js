@@ -0,0 +1,193 @@
+// vertin-tips 服务器插件：为在浏览器中运行的扩展提供文件夹备份接口。
+// 所有接口都接收 JSON 请求体，任务配置由扩展随请求发送，路径均为服务器上的路径。
+// 只有管理员可以使用，源文件夹和目标文件夹必须位于允许的文件夹中（见 loadAllowedRoots）。
+// 加密备份的密码只随请求发送，插件不会保存或记录。
+
+import { createRequire } from 'module';
+import fs from 'fs/promises';
+import path from 'path';
+import express from 'express';
+import { backupEngine, setNodeRequire } from './engine.js';
+
+setNodeRequire(createRequire(import.meta.url));
+
+export const info = {
+    id: 'vertin-tips',
+    name: 'vertin-tips 文件夹备份',
+    description: '在服务器上执行 vertin-tips 扩展的文件夹备份、恢复与校验'
+};
+
+// 正在进行的备份 (runId -> { controller, progress })，用于查询进度和取消
+const runs = new Map();
+
+// 允许访问的文件夹（已解析符号链接），由 init 加载
+let allowedRoots = [];
+
+// 读取插件文件夹中 config.json 的 allowedRoots（服务器上的文件夹路径列表）。
+// 没有配置时只允许 SillyTavern 的数据文件夹和默认的备份目标文件夹
+async function loadAllowedRoots() {
+    let roots = null;
+    try {
+        const config = JSON.parse(await fs.readFile(new URL('./config.json', import.meta.url), 'utf8'));
+        if (Array.isArray(config?.allowedRoots)) {
+            roots = config.allowedRoots.filter(root => typeof root === 'string' && root);
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`[${info.id}] 无法读取 config.json，使用默认的允许文件夹:`, error);
+        }
+    }
+
+    if (!roots) {
+        roots = [backupEngine.getDestinationPath({ id: 'default', destinationPath: '' })];
+        if (typeof globalThis.DATA_ROOT === 'string') roots.push(globalThis.DATA_ROOT);
+    }
+    return await Promise.all(roots.map(resolveRealPath));
+}
+
+// 解析路径中的符号链接，路径尚不存在时解析最近的已存在的上级文件夹
+async function resolveRealPath(target) {
+    const resolved = path.resolve(target);
+    try {
+        return await fs.realpath(resolved);
+    } catch (error) {
+        const parent = path.dirname(resolved);
+        if (parent === resolved) return resolved;
+        return path.join(await resolveRealPath(parent), path.basename(resolved));
+    }
+}
+
+// 判断路径是否位于文件夹中（包括文件夹本身）
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+// 判断路径是否为 /stage 创建的临时源文件夹
+function isStagePath(target) {
+    const match = /^vertin-tips-stage-([\w-]+)$/.exec(path.basename(target));
+    return !!match && path.resolve(target) === backupEngine.getStagePath(match[1]);
+}
+
+// 创建带 HTTP 状态码的错误
+function createHttpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// 检查路径是否位于允许的文件夹中，返回绝对路径
+async function confinePath(target, label) {
+    const realPath = await resolveRealPath(target);
+    if (!allowedRoots.some(root => isInside(root, realPath))) {
+        throw createHttpError(403, `${label}不在服务器插件允许的文件夹中: ${target}（请在插件的 config.json 中配置 allowedRoots）`);
+    }
+    return path.resolve(target);
+}
+
+// 检查请求中的备份任务配置，源文件夹和目标文件夹必须位于允许的文件夹中（源文件夹也可以是临时源文件夹）
+async function readJob(body) {
+    const job = body.job;
+    if (!job || typeof job !== 'object' || typeof job.id !== 'string') {
+        throw new Error('缺少备份任务配置');
+    }
+
+    const sourcePath = typeof job.sourcePath === 'string' && job.sourcePath && !isStagePath(job.sourcePath)
+        ? await confinePath(job.sourcePath, '源文件夹')
+        : job.sourcePath;
+    const destinationPath = await confinePath(backupEngine.getDestinationPath(job), '目标文件夹');
+    return { ...job, sourcePath, destinationPath };
+}
+
+// 包装接口处理函数：只允许管理员访问，出错时返回错误的状态码（默认 500）和错误信息
+function handle(action) {
+    return async (req, res) => {
+        if (!req.user?.profile?.admin) {
+            res.status(403).json({ error: '只有管理员可以使用备份服务器插件' });
+            return;
+        }
+        try {
+            res.json(await action(req.body || {}));
+        } catch (error) {
+            console.error(`[${info.id}] 接口处理失败: ${req.path}`, error);
+            res.status(error.status || 500).json({ error: error.message || '未知错误' });
+        }
+    };
+}
+
+/**
+ * 初始化插件，注册接口
+ * @param {import('express').Router} router 挂载在 /api/plugins/vertin-tips 下的路由
+ */
+export async function init(router) {
+    // SillyTavern 数据源上传导出的文件时每批最多约 8MB (base64 编码后更大)
+    router.use(express.json({ limit: '16mb' }));
+    allowedRoots = await loadAllowedRoots();
+
+    router.get('/status', (req, res) => res.json({ ok: true }));
+
+    // runId 由扩展生成，备份期间可以通过 /progress 查询进度、通过 /cancel 取消
+    router.post('/create', handle(async (body) => {
+        const options = body.info || {};
+        const runId = typeof body.runId === 'string' ? body.runId : null;
+        const run = { controller: new AbortController(), progress: null };
+        if (runId) runs.set(runId, run);
+        try {
+            return await backupEngine.createSnapshot(await readJob(body), {
+                ...options,
+                created: new Date(options.created || Date.now()),
+                onProgress: progress => { run.progress = progress; },
+                signal: run.controller.signal
+            });
+        } finally {
+            if (runId) runs.delete(runId);
+        }
+    }));
+
+    router.post('/progress', handle(body => ({ progress: runs.get(body.runId)?.progress || null })));
+
+    router.post('/cancel', handle((body) => {
+        const run = runs.get(body.runId);
+        run?.controller.abort();
+        return { cancelled: !!run };
+    }));
+
+    router.post('/stage', handle(async (body) => {
+        const files = (Array.isArray(body.files) ? body.files : [])
+            .map(file => ({ path: String(file.path), data: Buffer.from(String(file.data || ''), 'base64'), append: !!file.append }));
+        return { sourcePath: await backupEngine.writeStageFiles(body.stageId, files) };
+    }));
+
+    router.post('/unstage', handle(async (body) => {
+        await backupEngine.removeStage(body.stageId);
+        return { success: true };
+    }));
+
+    router.post('/list', handle(async body => backupEngine.getBackupList(await readJob(body))));
+
+    router.post('/delete', handle(async (body) => {
+        await backupEngine.deleteBackup(await readJob(body), body.name);
+        return { success: true };
+    }));
+
+    router.post('/cleanup', handle(async body => backupEngine.cleanupOldBackups(await readJob(body))));
+
+    router.post('/restore', handle(async body => backupEngine.restoreBackup(await readJob(body), body.name, body.options || {})));
+
+    router.post('/verify', handle(async body => backupEngine.verifyBackup(await readJob(body), body.name, body.passphrase || null)));
+
+    router.post('/compare', handle(async body => backupEngine.compareBackups(await readJob(body), body.leftName, body.rightName || null, body.passphrase || null)));
+
+    router.post('/key-check', handle(body => backupEngine.createKeyCheck(body.passphrase)));
+
+    router.post('/test-passphrase', handle(async (body) => ({ valid: await backupEngine.testPassphrase(body.keyCheck, body.passphrase) })));
+
+    router.post('/preview', handle(async body => backupEngine.previewFilters(await readJob(body), body.rules || {})));
+
+    console.log(`[${info.id}] 服务器插件已加载`);
+}
+
+// 插件卸载
+export async function exit() {
+    console.log(`[${info.id}] 服务器插件已卸载`);
+}
@@ -0,0 +1,112 @@
+// 备份计划：解析类似 cron 的计划文字并计算下一次运行时间，均按本地时间计算。
+// 不依赖 SillyTavern 前端，测试见 test/schedule.test.js。
+// 支持的写法（不区分大小写）:
+//   every 30m / every 2h / every 1d / hourly   从上次运行起每隔一段时间
+//   daily at 03:00 / at 03:00, 15:00           每天的指定时间
+//   weekdays every 2h / weekends at 10:00 / mon,wed,fri at 21:30 / mon-fri at 09:00
+//                                              在指定的日期中，从 00:00 起每隔一段时间或在指定时间
+export const backupSchedule = {
+    dayNames: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+
+    // 解析计划文字，返回 { days, times, every }，格式错误时抛出异常。
+    // days 为允许运行的星期 (0 为周日)，null 表示每天；times 为一天中的分钟数；every 为间隔分钟数
+    parse(text) {
+        let rest = String(text || '').trim().toLowerCase();
+        if (!rest) throw new Error('计划不能为空');
+
+        let days = null;
+        const dayMatch = /^(daily|weekdays|weekends|[a-z]{3}(?:\s*[-,]\s*[a-z]{3})*)\b\s*/.exec(rest);
+        if (dayMatch) {
+            days = this.parseDays(dayMatch[1]);
+            rest = rest.slice(dayMatch[0].length);
+        }
+
+        if (rest === 'hourly') rest = 'every 1h';
+
+        const everyMatch = /^every\s+(\d+)\s*(m|min|h|d)$/.exec(rest);
+        if (everyMatch) {
+            const every = parseInt(everyMatch[1]) * { m: 1, min: 1, h: 60, d: 1440 }[everyMatch[2]];
+            if (every < 1) throw new Error('间隔必须大于0');
+            if (days && every > 1440) throw new Error('指定日期时间隔不能超过1天');
+            return { days, times: null, every };
+        }
+
+        const atMatch = /^at\s+(.+)$/.exec(rest);
+        if (atMatch) {
+            const times = atMatch[1].split(',').map(time => {
+                const minutes = this.parseTime(time.trim());
+                if (minutes === null) throw new Error(`无效的时间: ${time.trim()}`);
+                return minutes;
+            });
+            return { days, times: Array.from(new Set(times)).sort((a, b) => a - b), every: null };
+        }
+
+        throw new Error(rest ? `无法识别: ${rest}` : '请指定时间 (at 03:00) 或间隔 (every 2h)');
+    },
+
+    // 解析日期部分，例如 weekdays、mon-fri、mon,wed,fri
+    parseDays(text) {
+        if (text === 'daily') return null;
+        if (text === 'weekdays') return [1, 2, 3, 4, 5];
+        if (text === 'weekends') return [0, 6];
+
+        const days = new Set();
+        for (const part of text.split(',').map(item => item.trim())) {
+            const [from, to = from] = part.split('-').map(item => this.dayNames.indexOf(item.trim()));
+            if (from === -1 || to === -1) throw new Error(`无效的日期: ${part}`);
+            // 范围可以跨过周末，例如 fri-mon
+            for (let day = from; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === to) break;
+            }
+        }
+        return Array.from(days).sort((a, b) => a - b);
+    },
+
+    // 解析 HH:MM，返回一天中的分钟数，格式错误时返回 null
+    parseTime(text) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+        if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return null;
+        return parseInt(match[1]) * 60 + parseInt(match[2]);
+    },
+
+    // 计算 after 之后的下一次运行时间（时间戳）。没有指定日期的间隔计划从 after 起计算
+    nextRun(schedule, after) {
+        if (schedule.every && !schedule.days) {
+            return after + schedule.every * 60 * 1000;
+        }
+
+        const slots = schedule.times || Array.from({ length: Math.ceil(1440 / schedule.every) }, (_, index) => index * schedule.every);
+        for (let offset = 0; offset <= 7; offset++) {
+            const day = new Date(after);
+            day.setHours(0, 0, 0, 0);
+            day.setDate(day.getDate() + offset);
+            if (schedule.days && !schedule.days.includes(day.getDay())) continue;
+
+            for (const minutes of slots) {
+                const time = new Date(day).setHours(0, minutes, 0, 0);
+                if (time > after) return time;
+            }
+        }
+        return null;
+    },
+
+    // 运行时间落在静默时段 { start, end } (HH:MM) 内时推迟到静默时段结束
+    applyQuietHours(time, quietHours) {
+        const start = this.parseTime(quietHours?.start);
+        const end = this.parseTime(quietHours?.end);
+        if (start === null || end === null || start === end) return time;
+
+        const date = new Date(time);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const quiet = start < end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end; // 跨过午夜，例如 23:00 - 07:00
+        if (!quiet) return time;
+
+        const resume = new Date(time);
+        resume.setHours(0, end, 0, 0);
+        if (resume.getTime() <= time) resume.setDate(resume.getDate() + 1);
+        return resume.getTime();
+    }
+};
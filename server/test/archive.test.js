@@ -0,0 +1,68 @@
+// 压缩包格式的测试：node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { backupEngine } from '../engine.js';
+import { createJob } from './helpers.js';
+
+// 源文件夹中的 chats/live.jsonl 会在备份期间变化
+const files = { 'chats/live.jsonl': 'line 1\nline 2\n', 'settings.json': '{}' };
+
+// 让遍历时记录的文件大小与实际大小相差 delta，模拟文件在遍历之后、写入压缩包之前被修改
+function changeRecordedSize(t, relativePath, delta) {
+    const walkEntries = backupEngine.walkEntries;
+    const changed = new WeakSet(); // 遍历子文件夹时会递归调用，同一个条目只修改一次
+    t.mock.method(backupEngine, 'walkEntries', async function* (...args) {
+        for await (const entry of walkEntries.apply(this, args)) {
+            if (entry.relativePath === relativePath && !changed.has(entry)) {
+                changed.add(entry);
+                entry.stat = Object.assign(Object.create(Object.getPrototypeOf(entry.stat)), entry.stat, { size: entry.stat.size + delta });
+            }
+            yield entry;
+        }
+    });
+}
+
+for (const format of ['tar.gz', 'zip']) {
+    test(`${format}: 备份期间变大的文件只写入记录的大小，压缩包仍然完整`, async (t) => {
+        const job = await createJob(t, files, { format });
+        changeRecordedSize(t, 'chats/live.jsonl', -7);
+
+        const backup = await backupEngine.createSnapshot(job, { created: new Date(), mode: 'manual' });
+        assert.equal(backup.success, true);
+        t.mock.restoreAll();
+
+        const result = await backupEngine.verifySnapshot(backup.path);
+        assert.equal(result.status, 'ok');
+        assert.equal(result.checked, 2);
+
+        const snapshot = await backupEngine.openSnapshot(backup.path);
+        try {
+            assert.equal(await fs.readFile(path.join(snapshot.path, 'chats/live.jsonl'), 'utf8'), 'line 1\n');
+            assert.equal(await fs.readFile(path.join(snapshot.path, 'settings.json'), 'utf8'), '{}');
+        } finally {
+            await snapshot.cleanup();
+        }
+    });
+
+    test(`${format}: 备份期间变小的文件使备份失败，不留下快照`, async (t) => {
+        const job = await createJob(t, files, { format });
+        changeRecordedSize(t, 'chats/live.jsonl', 100);
+
+        const backup = await backupEngine.createSnapshot(job, { created: new Date(), mode: 'manual' });
+        assert.equal(backup.success, false);
+        assert.match(backup.error, /文件在备份期间变小/);
+        assert.deepEqual(await fs.readdir(job.destinationPath), []);
+    });
+}
+
+test('zip: 压缩后可能达到4GB的文件在写入前报错', async (t) => {
+    const job = await createJob(t, files, { format: 'zip' });
+    changeRecordedSize(t, 'chats/live.jsonl', 0xFFFFFFFF - 1024);
+
+    const backup = await backupEngine.createSnapshot(job, { created: new Date(), mode: 'manual' });
+    assert.equal(backup.success, false);
+    assert.match(backup.error, /zip 格式不支持/);
+    assert.deepEqual(await fs.readdir(job.destinationPath), []);
+});
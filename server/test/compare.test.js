@@ -0,0 +1,26 @@
+// 快照对比的测试：node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { backupEngine } from '../engine.js';
+import { createJob } from './helpers.js';
+
+test('与源文件夹对比时不把被规则排除的文件列为新增', async (t) => {
+    const job = await createJob(t, {
+        'chats/a.jsonl': 'a',
+        'thumbnails/big.png': 'png',
+        '.backupignore': '*.log\n'
+    }, { excludePatterns: ['thumbnails/'] });
+
+    const backup = await backupEngine.createSnapshot(job, { created: new Date(), mode: 'manual' });
+    assert.equal(backup.success, true);
+
+    await fs.writeFile(path.join(job.sourcePath, 'chats/b.jsonl'), 'b');
+    await fs.writeFile(path.join(job.sourcePath, 'debug.log'), 'log');
+    const result = await backupEngine.compareBackups(job, backup.name, null);
+
+    assert.deepEqual(result.added.map(file => file.path), [path.join('chats', 'b.jsonl')]);
+    assert.deepEqual(result.removed, []);
+    assert.deepEqual(result.modified, []);
+});
@@ -0,0 +1,105 @@
+// 去重存储和垃圾回收的测试：node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { backupEngine } from '../engine.js';
+import { createJob, exists } from './helpers.js';
+
+// 内容存储中的所有文件内容（哈希）
+async function listBlobs(job) {
+    const storePath = backupEngine.getStorePath(job.destinationPath);
+    const blobs = [];
+    for (const dirent of await fs.readdir(storePath, { withFileTypes: true })) {
+        if (dirent.isDirectory() && !dirent.name.startsWith('.')) {
+            blobs.push(...await fs.readdir(path.join(storePath, dirent.name)));
+        }
+    }
+    return blobs.sort();
+}
+
+// 以 pid 的进程名义写入内容存储的锁文件
+async function writeStoreLock(job, pid) {
+    const storePath = backupEngine.getStorePath(job.destinationPath);
+    await fs.mkdir(storePath, { recursive: true });
+    await fs.writeFile(path.join(storePath, backupEngine.storeLockName), JSON.stringify({ pid, host: backupEngine.getHostName(), created: Date.now() }));
+}
+
+async function createTwoSnapshots(t) {
+    const job = await createJob(t, { 'chats/a.jsonl': 'shared', 'chats/b.jsonl': 'first' }, { format: 'dedup' });
+    const first = await backupEngine.createSnapshot(job, { created: new Date(2024, 0, 1, 10, 0), mode: 'manual' });
+    assert.equal(first.success, true);
+
+    await fs.writeFile(path.join(job.sourcePath, 'chats/b.jsonl'), 'second');
+    const second = await backupEngine.createSnapshot(job, { created: new Date(2024, 0, 1, 11, 0), mode: 'manual' });
+    assert.equal(second.success, true);
+    assert.equal(second.deduplicated, 1);
+    assert.equal(second.stored, 1);
+    return { job, first, second };
+}
+
+test('相同的内容只保存一份，删除快照后只回收不再被引用的内容', async (t) => {
+    const { job, first, second } = await createTwoSnapshots(t);
+    assert.equal((await listBlobs(job)).length, 3);
+    assert.equal(await exists(path.join(backupEngine.getStorePath(job.destinationPath), backupEngine.storeLockName)), false);
+
+    await backupEngine.deleteBackup(job, first.name);
+    assert.equal((await listBlobs(job)).length, 2);
+    assert.equal((await backupEngine.verifySnapshot(second.path)).status, 'ok');
+
+    await fs.writeFile(path.join(job.sourcePath, 'chats/a.jsonl'), 'changed');
+    const result = await backupEngine.restoreBackup(job, second.name, { mode: 'merge' });
+    assert.equal(result.success, true);
+    assert.equal(await fs.readFile(path.join(job.sourcePath, 'chats/a.jsonl'), 'utf8'), 'shared');
+});
+
+test('有索引无法读取时不删除任何内容', async (t) => {
+    const { job, first, second } = await createTwoSnapshots(t);
+    await fs.writeFile(second.path, '{');
+
+    await backupEngine.removeBackup(first.path);
+    const result = await backupEngine.collectGarbage(job.destinationPath);
+    assert.equal(result.removed, 0);
+    assert.equal((await listBlobs(job)).length, 3);
+});
+
+test('内容存储被另一个进程锁住时跳过垃圾回收，去重备份也不会进行', async (t) => {
+    const { job, first } = await createTwoSnapshots(t);
+    await backupEngine.removeBackup(first.path);
+    await writeStoreLock(job, process.ppid);
+
+    assert.deepEqual(await backupEngine.collectGarbage(job.destinationPath), { removed: 0, freedBytes: 0 });
+    assert.equal((await listBlobs(job)).length, 3);
+
+    const backup = await backupEngine.createSnapshot(job, { created: new Date(2024, 0, 1, 12, 0), mode: 'manual' });
+    assert.equal(backup.success, false);
+    assert.match(backup.error, /内容存储正被另一个程序使用/);
+    assert.equal(await exists(path.join(backupEngine.getStorePath(job.destinationPath), backupEngine.storeLockName)), true);
+});
+
+test('持有锁的进程已退出时清除过期的锁', async (t) => {
+    const { job, first } = await createTwoSnapshots(t);
+    await backupEngine.removeBackup(first.path);
+    await writeStoreLock(job, spawnSync(process.execPath, ['-e', '']).pid);
+
+    const result = await backupEngine.collectGarbage(job.destinationPath);
+    assert.equal(result.removed, 1);
+    assert.equal(await exists(path.join(backupEngine.getStorePath(job.destinationPath), backupEngine.storeLockName)), false);
+});
+
+test('垃圾回收删除超过一天的临时文件，保留较新的临时文件', async (t) => {
+    const { job } = await createTwoSnapshots(t);
+    const storePath = backupEngine.getStorePath(job.destinationPath);
+    const oldTemp = path.join(storePath, `${backupEngine.tempPrefix}old`);
+    const newTemp = path.join(storePath, `${backupEngine.tempPrefix}new`);
+    await fs.writeFile(oldTemp, 'old');
+    await fs.writeFile(newTemp, 'new');
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    await fs.utimes(oldTemp, twoDaysAgo, twoDaysAgo);
+
+    await backupEngine.collectGarbage(job.destinationPath);
+    assert.equal(await exists(oldTemp), false);
+    assert.equal(await exists(newTemp), true);
+    assert.equal((await listBlobs(job)).length, 3);
+});
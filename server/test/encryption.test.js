@@ -0,0 +1,79 @@
+// 加密备份的测试：node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { backupEngine } from '../engine.js';
+import { createJob } from './helpers.js';
+
+const files = { 'chats/a.jsonl': 'SECRET chat\n', 'settings.json': '{"secret":true}' };
+
+// 目标文件夹中所有文件的内容
+async function readAll(rootPath) {
+    const contents = [];
+    for (const [relativePath] of await backupEngine.listFiles(rootPath)) {
+        contents.push(await fs.readFile(path.join(rootPath, relativePath), 'latin1'));
+    }
+    return contents.join('\n');
+}
+
+for (const format of ['folder', 'tar.gz', 'zip']) {
+    test(`${format}: 加密快照不含明文，用正确的密码可以恢复`, async (t) => {
+        const job = await createJob(t, files, { format, encryption: { enabled: true } });
+
+        const backup = await backupEngine.createSnapshot(job, { created: new Date(), mode: 'manual', passphrase: '密码' });
+        assert.equal(backup.success, true);
+        assert.doesNotMatch(await readAll(job.destinationPath), /SECRET/);
+        assert.equal((await backupEngine.verifyBackup(job, backup.name)).status, 'ok');
+        assert.equal((await backupEngine.verifyBackup(job, backup.name, '密码')).status, 'ok');
+
+        await fs.writeFile(path.join(job.sourcePath, 'chats/a.jsonl'), 'changed');
+        const result = await backupEngine.restoreBackup(job, backup.name, { mode: 'merge', passphrase: '密码', safetyPassphrase: '密码' });
+        assert.equal(result.success, true);
+        assert.equal(await fs.readFile(path.join(job.sourcePath, 'chats/a.jsonl'), 'utf8'), 'SECRET chat\n');
+    });
+}
+
+test('密码错误或缺少密码时不恢复也不修改源文件夹', async (t) => {
+    const job = await createJob(t, files, { encryption: { enabled: true } });
+    const backup = await backupEngine.createSnapshot(job, { created: new Date(), mode: 'manual', passphrase: '密码' });
+    assert.equal(backup.success, true);
+
+    await fs.writeFile(path.join(job.sourcePath, 'chats/a.jsonl'), 'changed');
+    for (const passphrase of ['错误的密码', undefined]) {
+        const result = await backupEngine.restoreBackup(job, backup.name, { mode: 'mirror', passphrase });
+        assert.equal(result.success, false);
+        assert.match(result.error, /密码/);
+    }
+    assert.equal(await fs.readFile(path.join(job.sourcePath, 'chats/a.jsonl'), 'utf8'), 'changed');
+    assert.equal((await fs.readdir(job.destinationPath)).length, 1);
+    await assert.rejects(backupEngine.verifyBackup(job, backup.name, '错误的密码'), /密码错误/);
+});
+
+test('没有密码时不创建加密快照', async (t) => {
+    const job = await createJob(t, files, { encryption: { enabled: true } });
+    const backup = await backupEngine.createSnapshot(job, { created: new Date(), mode: 'manual' });
+    assert.equal(backup.success, false);
+    assert.match(backup.error, /需要密码/);
+});
+
+test('密码校验数据只接受正确的密码', async () => {
+    const keyCheck = await backupEngine.createKeyCheck('密码');
+    assert.equal(await backupEngine.testPassphrase(keyCheck, '密码'), true);
+    assert.equal(await backupEngine.testPassphrase(keyCheck, '错误的密码'), false);
+    assert.equal(await backupEngine.testPassphrase(keyCheck, ''), false);
+});
+
+test('被改动的加密文件无法解密', async (t) => {
+    const job = await createJob(t, files);
+    const { key } = await backupEngine.createEncryption('密码');
+    const plainPath = path.join(job.sourcePath, 'settings.json');
+    const encryptedPath = `${plainPath}.enc`;
+    await backupEngine.encryptFile(key, plainPath, encryptedPath);
+    await backupEngine.decryptFile(key, encryptedPath);
+
+    const data = await fs.readFile(encryptedPath);
+    data[data.length - 20] ^= 1;
+    await fs.writeFile(encryptedPath, data);
+    await assert.rejects(backupEngine.decryptFile(key, encryptedPath));
+});
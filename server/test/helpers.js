@@ -0,0 +1,48 @@
+// 测试共用的辅助函数
+import { createRequire } from 'module';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setNodeRequire } from '../engine.js';
+
+setNodeRequire(createRequire(import.meta.url));
+
+/**
+ * 在临时文件夹中创建测试用的备份任务，测试结束后删除临时文件夹
+ * @param {import('node:test').TestContext} t 当前测试
+ * @param {Object<string, string>} files 源文件夹中的文件，相对路径 -> 内容
+ * @param {Object} overrides 覆盖任务的默认设置
+ */
+export async function createJob(t, files, overrides = {}) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'vertin-tips-'));
+    t.after(() => fs.rm(root, { recursive: true, force: true }));
+
+    const sourcePath = path.join(root, 'source');
+    await fs.mkdir(sourcePath, { recursive: true });
+    for (const [relativePath, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(sourcePath, relativePath)), { recursive: true });
+        await fs.writeFile(path.join(sourcePath, relativePath), content);
+    }
+    return {
+        id: 'test',
+        name: '测试任务',
+        sourcePath,
+        destinationPath: path.join(root, 'backups'),
+        format: 'folder',
+        includePatterns: [],
+        excludePatterns: [],
+        retention: { mode: 'count' },
+        maxBackups: 10,
+        ...overrides
+    };
+}
+
+// 文件或文件夹是否存在
+export async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
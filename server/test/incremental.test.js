@@ -0,0 +1,45 @@
+// 增量备份的测试：node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { backupEngine } from '../engine.js';
+import { createJob } from './helpers.js';
+
+test('未变化的文件与上一个快照共用硬链接，变化的文件重新复制', async (t) => {
+    const job = await createJob(t, { 'chats/a.jsonl': 'a', 'chats/b.jsonl': 'b' }, { incremental: true });
+
+    const first = await backupEngine.createSnapshot(job, { created: new Date(2024, 0, 1, 10, 0), mode: 'manual' });
+    assert.equal(first.success, true);
+
+    await fs.writeFile(path.join(job.sourcePath, 'chats/b.jsonl'), 'b2');
+    const second = await backupEngine.createSnapshot(job, { created: new Date(2024, 0, 1, 11, 0), mode: 'manual' });
+    assert.equal(second.success, true);
+    assert.equal(second.incremental, true);
+    assert.equal(second.linked, 1);
+    assert.equal(second.copied, 1);
+
+    const [firstA, secondA] = await Promise.all([first, second].map(backup => fs.stat(path.join(backup.path, 'chats/a.jsonl'))));
+    assert.equal(secondA.ino, firstA.ino);
+    assert.equal(await fs.readFile(path.join(first.path, 'chats/b.jsonl'), 'utf8'), 'b');
+    assert.equal(await fs.readFile(path.join(second.path, 'chats/b.jsonl'), 'utf8'), 'b2');
+});
+
+test('内容不变但修改时间变化的文件复用硬链接时不修改上一个快照的时间戳', async (t) => {
+    const job = await createJob(t, { 'chats/a.jsonl': 'a' }, { incremental: true });
+
+    const first = await backupEngine.createSnapshot(job, { created: new Date(2024, 0, 1, 10, 0), mode: 'manual' });
+    assert.equal(first.success, true);
+    const before = await fs.stat(path.join(first.path, 'chats/a.jsonl'));
+
+    const later = new Date(Date.now() + 60 * 60 * 1000);
+    await fs.utimes(path.join(job.sourcePath, 'chats/a.jsonl'), later, later);
+    const second = await backupEngine.createSnapshot(job, { created: new Date(2024, 0, 1, 11, 0), mode: 'manual' });
+    assert.equal(second.success, true);
+    assert.equal(second.linked, 1);
+
+    const after = await fs.stat(path.join(first.path, 'chats/a.jsonl'));
+    assert.equal(after.ino, before.ino);
+    assert.equal(after.mtimeMs, before.mtimeMs);
+    assert.equal((await backupEngine.verifySnapshot(first.path)).status, 'ok');
+});
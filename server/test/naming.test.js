@@ -0,0 +1,73 @@
+// 快照名称模板和目录结构的测试：node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { backupEngine } from '../engine.js';
+import { createJob, exists } from './helpers.js';
+
+const created = new Date(2024, 0, 2, 3, 4, 5);
+
+test('默认模板与旧版本的名称相同，备注为空时去掉分隔符', () => {
+    const job = { id: 'test', name: '测试任务' };
+    assert.equal(backupEngine.formatBackupName(job, { created, mode: 'auto' }), 'backup-2024-01-02T03-04-05');
+    assert.equal(backupEngine.formatBackupName(job, { created, mode: 'manual', label: 'before update' }), 'backup-2024-01-02T03-04-05-before update');
+    assert.equal(backupEngine.parseBackupTime('backup-2024-01-02T03-04-05-before update').toISOString(), '2024-01-02T03:04:05.000Z');
+    assert.equal(backupEngine.parseBackupTime('2024/01/backup-2024-01-02T03-04-05.zip').toISOString(), '2024-01-02T03:04:05.000Z');
+    assert.equal(backupEngine.parseBackupTime('other'), null);
+});
+
+test('模板变量：不能用于文件名的字符替换为 _，值为空的变量连同分隔符一起去掉', (t) => {
+    t.mock.method(backupEngine, 'getHostName', () => 'my:pc');
+    const job = { id: 'test', name: 'a/b', nameTemplate: '{job}_{mode}_{label}_{host}_{date}' };
+    assert.equal(backupEngine.formatBackupName(job, { created, mode: 'manual' }), 'a_b_manual_my_pc_2024-01-02');
+    assert.equal(backupEngine.formatBackupName({ ...job, nameTemplate: '{label}' }, { created }), 'backup');
+});
+
+test('无效的模板使用默认模板', () => {
+    assert.equal(backupEngine.checkNameTemplate('{date}-{unknown}'), '未知的变量: {unknown}');
+    assert.match(backupEngine.checkNameTemplate('{date}/{time}'), /不能包含/);
+    assert.match(backupEngine.checkNameTemplate('.{date}'), /不能以 \. 开头/);
+    assert.equal(backupEngine.checkNameTemplate(''), '名称模板不能为空');
+    assert.equal(backupEngine.checkNameTemplate('{job} {date}'), null);
+
+    const job = { id: 'test', nameTemplate: '{date}-{unknown}' };
+    assert.equal(backupEngine.formatBackupName(job, { created }), 'backup-2024-01-02T03-04-05');
+});
+
+test('按日期分组时名称包含 YYYY/MM/，同名时加上序号', async () => {
+    const job = { id: 'test', layout: 'date', format: 'zip' };
+    const taken = new Set(['2024/01/backup-2024-01-02T03-04-05.zip', '2024/01/backup-2024-01-02T03-04-05-1.zip']);
+    assert.equal(await backupEngine.createBackupName(job, { created }, async name => taken.has(name)), '2024/01/backup-2024-01-02T03-04-05-2.zip');
+    assert.equal(await backupEngine.createBackupName({ ...job, layout: 'flat' }, { created }, async () => false), 'backup-2024-01-02T03-04-05.zip');
+});
+
+test('快照名称只能指向目标文件夹或 YYYY/MM/ 中的条目', () => {
+    for (const name of ['backup-1', '2024/01/backup-1.zip', 'my backup']) {
+        assert.equal(backupEngine.checkBackupName(name), name);
+    }
+    for (const name of ['../backup-1', '2024/01/../../x', '.tmp-backup-1', '2024/backup-1', '/etc', 'a\\b', '', null]) {
+        assert.throws(() => backupEngine.checkBackupName(name), /无效的备份名称/, String(name));
+    }
+});
+
+test('按日期分组的快照出现在备份列表中，删除后空的月份和年份文件夹一并删除', async (t) => {
+    const job = await createJob(t, { 'chats/a.jsonl': 'a' }, { layout: 'date', nameTemplate: '{job} {date}', name: 'daily' });
+
+    const names = [];
+    for (const date of [new Date(2023, 11, 31, 10, 0), new Date(2024, 0, 1, 10, 0), new Date(2024, 0, 1, 12, 0)]) {
+        const backup = await backupEngine.createSnapshot(job, { created: date, mode: 'manual' });
+        assert.equal(backup.success, true);
+        names.push(backup.name);
+    }
+    assert.deepEqual(names, ['2023/12/daily 2023-12-31', '2024/01/daily 2024-01-01', '2024/01/daily 2024-01-01-1']);
+
+    const list = await backupEngine.getBackupList(job);
+    assert.deepEqual(list.map(backup => backup.name), [names[2], names[1], names[0]]);
+
+    await backupEngine.deleteBackup(job, names[0]);
+    assert.equal(await exists(path.join(job.destinationPath, '2023')), false);
+    await backupEngine.deleteBackup(job, names[1]);
+    assert.equal(await exists(path.join(job.destinationPath, '2024/01')), true);
+    assert.deepEqual(await fs.readdir(path.join(job.destinationPath, '2024/01')), ['daily 2024-01-01-1']);
+});
@@ -0,0 +1,72 @@
+// 恢复备份的测试：node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { backupEngine } from '../engine.js';
+import { createJob, exists } from './helpers.js';
+
+test('镜像恢复不会删除被排除规则排除的文件', async (t) => {
+    const job = await createJob(t, {
+        'chats/a.jsonl': 'a',
+        'thumbnails/big.png': 'png',
+        'cache/tmp.bin': 'cache'
+    }, { excludePatterns: ['thumbnails/'] });
+    await fs.writeFile(path.join(job.sourcePath, '.backupignore'), 'cache/\n');
+
+    const backup = await backupEngine.createSnapshot(job, { created: new Date(), mode: 'manual' });
+    assert.equal(backup.success, true);
+
+    await fs.writeFile(path.join(job.sourcePath, 'chats/new.jsonl'), 'new');
+    const result = await backupEngine.restoreBackup(job, backup.name, { mode: 'mirror' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.removed, ['chats/new.jsonl']);
+    assert.equal(await exists(path.join(job.sourcePath, 'thumbnails/big.png')), true);
+    assert.equal(await exists(path.join(job.sourcePath, 'cache/tmp.bin')), true);
+});
+
+test('回滚不会删除被排除规则排除的文件', async (t) => {
+    const job = await createJob(t, {
+        'chats/a.jsonl': 'a',
+        'thumbnails/big.png': 'png'
+    }, { excludePatterns: ['thumbnails/'] });
+
+    const backup = await backupEngine.createSnapshot(job, { created: new Date(), mode: 'manual' });
+    assert.equal(backup.success, true);
+
+    // 恢复写入文件时失败，触发回滚到安全快照
+    const applySnapshot = backupEngine.applySnapshot;
+    let calls = 0;
+    t.mock.method(backupEngine, 'applySnapshot', async function (...args) {
+        if (calls++ === 0) throw new Error('模拟恢复失败');
+        return await applySnapshot.apply(this, args);
+    });
+
+    const result = await backupEngine.restoreBackup(job, backup.name, { mode: 'mirror' });
+    assert.equal(result.success, false);
+    assert.equal(result.rolledBack, true);
+    assert.equal(await exists(path.join(job.sourcePath, 'thumbnails/big.png')), true);
+});
+
+test('镜像恢复删除文件后变空的文件夹', async (t) => {
+    const job = await createJob(t, {
+        'chats/a.jsonl': 'a',
+        'thumbnails/big.png': 'png'
+    }, { excludePatterns: ['thumbnails/'] });
+
+    const backup = await backupEngine.createSnapshot(job, { created: new Date(), mode: 'manual' });
+    assert.equal(backup.success, true);
+
+    await fs.mkdir(path.join(job.sourcePath, 'chats/new/deep'), { recursive: true });
+    await fs.writeFile(path.join(job.sourcePath, 'chats/new/deep/b.jsonl'), 'b');
+    await fs.mkdir(path.join(job.sourcePath, 'thumbnails/new'), { recursive: true });
+    await fs.writeFile(path.join(job.sourcePath, 'thumbnails/new/c.png'), 'c');
+    const result = await backupEngine.restoreBackup(job, backup.name, { mode: 'mirror' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.removed, [path.join('chats', 'new', 'deep', 'b.jsonl')]);
+    assert.equal(await exists(path.join(job.sourcePath, 'chats/new')), false);
+    assert.equal(await exists(path.join(job.sourcePath, 'chats/a.jsonl')), true);
+    assert.equal(await exists(path.join(job.sourcePath, 'thumbnails/new/c.png')), true);
+});
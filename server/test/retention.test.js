@@ -0,0 +1,103 @@
+// 备份保留策略的测试：node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { backupEngine } from '../engine.js';
+import { createJob, exists } from './helpers.js';
+
+// 按时间从新到旧排列的备份列表，times 为 [名称, 创建时间]
+function createBackups(times) {
+    return times.map(([name, created]) => ({ name, created }));
+}
+
+function planNames(job, backups) {
+    const { keep, remove } = backupEngine.planCleanup(job, backups);
+    return { keep: keep.map(backup => backup.name), remove: remove.map(backup => backup.name) };
+}
+
+test('按数量保留：保留最新的 maxBackups 个，固定的备份不占名额也不会被删除', () => {
+    const backups = createBackups([
+        ['e', new Date(2024, 5, 5)],
+        ['d', new Date(2024, 5, 4)],
+        ['c', new Date(2024, 5, 3)],
+        ['b', new Date(2024, 5, 2)],
+        ['a', new Date(2024, 5, 1)]
+    ]);
+
+    assert.deepEqual(planNames({ maxBackups: 2, pinned: ['a'] }, backups), { keep: ['e', 'd', 'a'], remove: ['c', 'b'] });
+    assert.deepEqual(planNames({ maxBackups: 2, pinned: ['e'] }, backups), { keep: ['e', 'd', 'c'], remove: ['b', 'a'] });
+});
+
+test('最新的备份总是保留', () => {
+    const backups = createBackups([['b', new Date(2024, 5, 2)], ['a', new Date(2024, 5, 1)]]);
+    assert.deepEqual(planNames({ maxBackups: 0 }, backups), { keep: ['b'], remove: ['a'] });
+    assert.deepEqual(planNames({ maxBackups: 0, pinned: ['b'] }, backups), { keep: ['b', 'a'], remove: [] });
+});
+
+test('分级保留：最近的全部保留，之后每天、每周、每月各保留最新的一个', (t) => {
+    // 2024-06-15 是星期六
+    t.mock.method(Date, 'now', () => new Date(2024, 5, 15, 12, 0).getTime());
+    const job = { retention: { mode: 'tiered', keepAllHours: 24, daily: 7, weekly: 4, monthly: 6 }, pinned: ['pinned'] };
+    const backups = createBackups([
+        ['recent-1', new Date(2024, 5, 15, 11, 0)],
+        ['recent-2', new Date(2024, 5, 14, 13, 0)],
+        ['day-newest', new Date(2024, 5, 13, 20, 0)],
+        ['day-older', new Date(2024, 5, 13, 10, 0)],
+        ['week-newest', new Date(2024, 4, 29, 10, 0)],
+        ['week-older', new Date(2024, 4, 28, 10, 0)],
+        ['month-newest', new Date(2024, 2, 5, 10, 0)],
+        ['month-older', new Date(2024, 2, 2, 10, 0)],
+        ['pinned', new Date(2023, 10, 1, 10, 0)],
+        ['expired', new Date(2023, 9, 1, 10, 0)]
+    ]);
+
+    assert.deepEqual(planNames(job, backups), {
+        keep: ['recent-1', 'recent-2', 'day-newest', 'week-newest', 'month-newest', 'pinned'],
+        remove: ['day-older', 'week-older', 'month-older', 'expired']
+    });
+});
+
+test('cleanupOldBackups 按计划删除快照，固定的快照保留', async (t) => {
+    const job = await createJob(t, { 'chats/a.jsonl': 'a' }, { maxBackups: 1 });
+
+    const names = [];
+    for (const hour of [10, 11, 12]) {
+        const backup = await backupEngine.createSnapshot(job, { created: new Date(2024, 0, 1, hour, 0), mode: 'manual' });
+        assert.equal(backup.success, true);
+        names.push(backup.name);
+    }
+    job.pinned = [names[0]];
+
+    const removed = await backupEngine.cleanupOldBackups(job);
+    assert.deepEqual(removed.map(backup => backup.name), [names[1]]);
+    assert.deepEqual((await fs.readdir(job.destinationPath)).sort(), [names[0], names[2]].sort());
+});
+
+test('cleanupOldBackups 删除超过一天的 .tmp- 和 .extract- 临时文件，包括按日期分组的文件夹中的', async (t) => {
+    const job = await createJob(t, { 'chats/a.jsonl': 'a' }, { layout: 'date' });
+    const backup = await backupEngine.createSnapshot(job, { created: new Date(2024, 0, 1, 10, 0), mode: 'manual' });
+    assert.equal(backup.success, true);
+
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    const stale = ['.tmp-backup-old', '2024/01/.extract-backup-old-1', '2024/01/.extract-backup-old-2.tar.gz'];
+    const fresh = ['2024/01/.extract-backup-new-3'];
+    for (const name of [...stale, ...fresh]) {
+        const entryPath = path.join(job.destinationPath, name);
+        if (name.endsWith('.tar.gz')) {
+            await fs.writeFile(entryPath, 'archive');
+        } else {
+            await fs.mkdir(entryPath, { recursive: true });
+            await fs.writeFile(path.join(entryPath, 'file'), 'data');
+        }
+        if (stale.includes(name)) await fs.utimes(entryPath, twoDaysAgo, twoDaysAgo);
+    }
+
+    await backupEngine.cleanupOldBackups(job);
+    for (const name of stale) {
+        assert.equal(await exists(path.join(job.destinationPath, name)), false, name);
+    }
+    for (const name of [...fresh, backup.name]) {
+        assert.equal(await exists(path.join(job.destinationPath, name)), true, name);
+    }
+});
@@ -0,0 +1,58 @@
+// 备份计划和静默时段的测试：node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { backupSchedule } from '../schedule.js';
+
+// 本地时间的时间戳
+function at(year, month, day, hours = 0, minutes = 0) {
+    return new Date(year, month - 1, day, hours, minutes).getTime();
+}
+
+test('解析计划文字', () => {
+    assert.deepEqual(backupSchedule.parse('every 30m'), { days: null, times: null, every: 30 });
+    assert.deepEqual(backupSchedule.parse('Every 2H'), { days: null, times: null, every: 120 });
+    assert.deepEqual(backupSchedule.parse('hourly'), { days: null, times: null, every: 60 });
+    assert.deepEqual(backupSchedule.parse('daily at 03:00'), { days: null, times: [180], every: null });
+    assert.deepEqual(backupSchedule.parse('at 15:00, 3:00, 03:00'), { days: null, times: [180, 900], every: null });
+    assert.deepEqual(backupSchedule.parse('weekdays every 2h'), { days: [1, 2, 3, 4, 5], times: null, every: 120 });
+    assert.deepEqual(backupSchedule.parse('weekends at 10:00'), { days: [0, 6], times: [600], every: null });
+    assert.deepEqual(backupSchedule.parse('mon,wed,fri at 21:30'), { days: [1, 3, 5], times: [1290], every: null });
+    assert.deepEqual(backupSchedule.parse('fri-mon at 09:00'), { days: [0, 1, 5, 6], times: [540], every: null });
+});
+
+test('无效的计划抛出异常', () => {
+    for (const text of ['', 'daily', 'every 0m', 'weekdays every 2d', 'at 24:00', 'at 03:60', 'xyz at 03:00', 'every 2 weeks']) {
+        assert.throws(() => backupSchedule.parse(text), Error, text);
+    }
+});
+
+test('计算下一次运行时间', () => {
+    const after = at(2024, 6, 15, 10, 0); // 星期六
+    assert.equal(backupSchedule.nextRun(backupSchedule.parse('every 30m'), after), after + 30 * 60 * 1000);
+    assert.equal(backupSchedule.nextRun(backupSchedule.parse('daily at 03:00, 12:00'), after), at(2024, 6, 15, 12, 0));
+    assert.equal(backupSchedule.nextRun(backupSchedule.parse('daily at 03:00'), after), at(2024, 6, 16, 3, 0));
+    assert.equal(backupSchedule.nextRun(backupSchedule.parse('daily at 10:00'), after), at(2024, 6, 16, 10, 0));
+    assert.equal(backupSchedule.nextRun(backupSchedule.parse('weekdays at 09:00'), after), at(2024, 6, 17, 9, 0));
+    assert.equal(backupSchedule.nextRun(backupSchedule.parse('weekdays every 2h'), at(2024, 6, 14, 23, 30)), at(2024, 6, 17, 0, 0));
+    assert.equal(backupSchedule.nextRun(backupSchedule.parse('weekends every 5h'), after), at(2024, 6, 15, 15, 0));
+    // 跨月
+    assert.equal(backupSchedule.nextRun(backupSchedule.parse('at 01:00'), at(2024, 6, 30, 23, 0)), at(2024, 7, 1, 1, 0));
+});
+
+test('静默时段内的运行时间推迟到静默时段结束', () => {
+    const overnight = { start: '23:00', end: '07:00' };
+    assert.equal(backupSchedule.applyQuietHours(at(2024, 6, 15, 23, 30), overnight), at(2024, 6, 16, 7, 0));
+    assert.equal(backupSchedule.applyQuietHours(at(2024, 6, 15, 23, 0), overnight), at(2024, 6, 16, 7, 0));
+    assert.equal(backupSchedule.applyQuietHours(at(2024, 6, 15, 6, 59), overnight), at(2024, 6, 15, 7, 0));
+    assert.equal(backupSchedule.applyQuietHours(at(2024, 6, 15, 7, 0), overnight), at(2024, 6, 15, 7, 0));
+    assert.equal(backupSchedule.applyQuietHours(at(2024, 6, 15, 12, 0), overnight), at(2024, 6, 15, 12, 0));
+
+    const lunch = { start: '12:00', end: '13:00' };
+    assert.equal(backupSchedule.applyQuietHours(at(2024, 6, 15, 12, 30), lunch), at(2024, 6, 15, 13, 0));
+    assert.equal(backupSchedule.applyQuietHours(at(2024, 6, 15, 11, 59), lunch), at(2024, 6, 15, 11, 59));
+
+    // 没有设置或设置无效时不推迟
+    for (const quietHours of [undefined, { start: '', end: '' }, { start: '23:00', end: '' }, { start: '08:00', end: '08:00' }, { start: '25:00', end: '07:00' }]) {
+        assert.equal(backupSchedule.applyQuietHours(at(2024, 6, 15, 23, 30), quietHours), at(2024, 6, 15, 23, 30));
+    }
+});
@@ -0,0 +1,130 @@
+// 浏览器后端哈希和加解密的测试：node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import nodeCrypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { backupEngine } from '../engine.js';
+import { webCrypto } from '../webcrypto.js';
+import './helpers.js'; // 设置 backupEngine 使用的 require
+
+// 用较小的分块测试，小文件也会经过分块处理的代码
+const chunked = Object.create(webCrypto, { chunkSize: { value: 4096 } });
+
+const sizes = [0, 1, 15, 16, 17, 55, 56, 63, 64, 65, 100, 4095, 4096, 4097, 70000];
+
+function createData(size) {
+    return Uint8Array.from({ length: size }, (value, i) => (i * 31 + 7) & 0xFF);
+}
+
+function toHex(bytes) {
+    return Buffer.from(bytes).toString('hex');
+}
+
+// 测试用的加密参数，减少迭代次数
+async function createKeys(passphrase = '密码') {
+    const params = { ...backupEngine.encryptionDefaults, iterations: 1000, salt: nodeCrypto.randomBytes(16).toString('base64') };
+    return { browserKey: await webCrypto.deriveKey(passphrase, params), nodeKey: await backupEngine.deriveKey(passphrase, params) };
+}
+
+test('SHA-256: NIST 测试向量', () => {
+    const vectors = [
+        ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+        ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+        ['abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq', '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1']
+    ];
+    for (const [text, expected] of vectors) {
+        const hash = webCrypto.createSha256();
+        hash.update(new TextEncoder().encode(text));
+        assert.equal(hash.digest(), expected);
+    }
+});
+
+test('SHA-256: 任意大小和分块方式的结果都与 node:crypto 相同', async () => {
+    for (const size of sizes) {
+        const data = createData(size);
+        const expected = nodeCrypto.createHash('sha256').update(data).digest('hex');
+        for (const step of [1, 7, 64, 1000, size || 1]) {
+            const hash = webCrypto.createSha256();
+            for (let offset = 0; offset < size; offset += step) {
+                hash.update(data.subarray(offset, offset + step));
+            }
+            assert.equal(hash.digest(), expected, `大小 ${size}，每次 ${step} 字节`);
+        }
+        assert.equal(await chunked.hashFile(new Blob([data])), expected, `hashFile 大小 ${size}`);
+    }
+});
+
+test('AES-256-GCM: NIST 测试向量', async () => {
+    // GCM 规范的测试用例 13 和 14：全零的密钥和 IV
+    const bits = new Uint8Array(32);
+    const key = {
+        ctr: await crypto.subtle.importKey('raw', bits, 'AES-CTR', false, ['encrypt', 'decrypt'])
+    };
+    const iv = new Uint8Array(12);
+
+    const empty = await webCrypto.createGcm(key, iv);
+    assert.equal(toHex(empty.tag()), '530f8afbc74536b9a963b4f1c4cb738b');
+
+    const gcm = await webCrypto.createGcm(key, iv);
+    assert.equal(toHex(await gcm.encrypt(new Uint8Array(16))), 'cea7403d4d606b6e074ec5d3baf39d18');
+    assert.equal(toHex(gcm.tag()), 'd0d1c8a799996bf0265b98b5d48ab919');
+});
+
+test('AES-256-GCM: 分块加密的密文和认证标签与 node:crypto 相同', async () => {
+    const bits = nodeCrypto.randomBytes(32);
+    const key = { ctr: await crypto.subtle.importKey('raw', bits, 'AES-CTR', false, ['encrypt', 'decrypt']) };
+    const iv = nodeCrypto.randomBytes(12);
+
+    for (const size of sizes) {
+        const data = createData(size);
+        const cipher = nodeCrypto.createCipheriv('aes-256-gcm', bits, iv);
+        const expected = Buffer.concat([cipher.update(data), cipher.final()]);
+
+        const gcm = await webCrypto.createGcm(key, iv);
+        const parts = [];
+        for (let offset = 0; offset < size; offset += 48) {
+            parts.push(await gcm.encrypt(data.subarray(offset, offset + 48)));
+        }
+        assert.equal(toHex(Buffer.concat(parts)), expected.toString('hex'), `大小 ${size}`);
+        assert.equal(toHex(gcm.tag()), cipher.getAuthTag().toString('hex'), `大小 ${size} 的认证标签`);
+    }
+});
+
+test('浏览器加密的文件可以用 backupEngine.decryptFile 解密，反之亦然', async (t) => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'vertin-tips-'));
+    t.after(() => fs.rm(root, { recursive: true, force: true }));
+    const { browserKey, nodeKey } = await createKeys();
+
+    for (const size of [0, 17, 4096, 70000]) {
+        const data = createData(size);
+
+        // 浏览器加密 -> Node.js 解密
+        const encrypted = await chunked.encryptBlob(browserKey, new Blob([data]));
+        const encryptedPath = path.join(root, `browser-${size}`);
+        const decryptedPath = path.join(root, `browser-${size}.plain`);
+        await fs.writeFile(encryptedPath, new Uint8Array(await encrypted.arrayBuffer()));
+        await backupEngine.decryptFile(nodeKey, encryptedPath, decryptedPath);
+        assert.deepEqual(new Uint8Array(await fs.readFile(decryptedPath)), data, `大小 ${size}`);
+
+        // Node.js 加密 -> 浏览器解密
+        const plainPath = path.join(root, `node-${size}`);
+        await fs.writeFile(plainPath, data);
+        await backupEngine.encryptFile(nodeKey, plainPath, `${plainPath}.enc`);
+        const decrypted = await chunked.decryptBlob(browserKey, new Blob([await fs.readFile(`${plainPath}.enc`)]));
+        assert.deepEqual(new Uint8Array(await decrypted.arrayBuffer()), data, `大小 ${size}`);
+    }
+});
+
+test('内容被改动或密钥错误时浏览器解密失败', async () => {
+    const { browserKey } = await createKeys();
+    const { browserKey: wrongKey } = await createKeys('另一个密码');
+    const encrypted = new Uint8Array(await (await chunked.encryptBlob(browserKey, new Blob([createData(5000)]))).arrayBuffer());
+
+    const tampered = encrypted.slice();
+    tampered[100] ^= 1;
+    await assert.rejects(chunked.decryptBlob(browserKey, new Blob([tampered])), /解密失败/);
+    await assert.rejects(chunked.decryptBlob(wrongKey, new Blob([encrypted])), /解密失败/);
+    await assert.rejects(chunked.decryptBlob(browserKey, new Blob([encrypted.subarray(0, 20)])), /不是加密文件/);
+});
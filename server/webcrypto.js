@@ -0,0 +1,298 @@
+// 浏览器后端使用的哈希和加解密：Web Crypto 只能一次处理整段数据，这里分块处理大文件，不会一次把整个文件读入内存。
+// 加密文件的格式与 backupEngine.encryptFile 相同，浏览器和 Node.js 创建的加密快照可以互相解密。
+// 只依赖 Web Crypto 和 Blob，也可以在 Node.js 中运行（见 test/webcrypto.test.js）
+
+import { backupEngine } from './engine.js';
+
+export const webCrypto = {
+    // 分块读取的大小（16 字节的整数倍，分块加密时每块的计数器才能连续）
+    chunkSize: 4 * 1024 * 1024,
+
+    // 分块读取 Blob，不会一次把整个文件读入内存
+    async *readChunks(blob) {
+        for (let offset = 0; offset < blob.size; offset += this.chunkSize) {
+            yield new Uint8Array(await blob.slice(offset, offset + this.chunkSize).arrayBuffer());
+        }
+    },
+
+    // 计算文件的 SHA-256 哈希。Web Crypto 只能一次计算整段数据，大文件改为用 createSha256 分块计算，
+    // 纯 JavaScript 计算比 Web Crypto 慢很多（每秒约一两百 MB），很大的文件需要等待较长时间
+    async hashFile(file) {
+        if (file.size <= this.chunkSize) {
+            const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+            return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+
+        const hash = this.createSha256();
+        for await (const chunk of this.readChunks(file)) {
+            hash.update(chunk);
+        }
+        return hash.digest();
+    },
+
+    // 可以分块输入的 SHA-256，返回 { update(bytes), digest() }，digest 返回十六进制字符串
+    createSha256() {
+        const k = Uint32Array.from([
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ]);
+        const state = Uint32Array.from([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+        const w = new Uint32Array(64);
+        const buffer = new Uint8Array(64);
+        let buffered = 0;
+        let length = 0;
+
+        const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+        const compress = (data, offset) => {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+            }
+
+            let a = state[0], b = state[1], c = state[2], d = state[3], e = state[4], f = state[5], g = state[6], h = state[7];
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + k[i] + w[i]) | 0;
+                const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+            state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+            state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+        };
+
+        const update = (data) => {
+            length += data.length;
+            let offset = 0;
+            if (buffered > 0) {
+                offset = Math.min(64 - buffered, data.length);
+                buffer.set(data.subarray(0, offset), buffered);
+                buffered += offset;
+                if (buffered < 64) return;
+                compress(buffer, 0);
+                buffered = 0;
+            }
+            for (; offset + 64 <= data.length; offset += 64) {
+                compress(data, offset);
+            }
+            buffer.set(data.subarray(offset));
+            buffered = data.length - offset;
+        };
+
+        return {
+            update,
+            digest() {
+                // 补位: 0x80，若干个 0，最后 8 字节为数据的位数
+                const bits = length * 8;
+                const padding = new Uint8Array((buffered < 56 ? 56 : 120) - buffered + 8);
+                padding[0] = 0x80;
+                const view = new DataView(padding.buffer);
+                view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+                view.setUint32(padding.length - 4, bits >>> 0);
+                update(padding);
+                return Array.from(state, word => word.toString(16).padStart(8, '0')).join('');
+            }
+        };
+    },
+
+    // 由密码派生 AES-256 密钥，参数与 backupEngine.deriveKey 相同。
+    // 返回同一密钥的 { gcm, ctr } 两种形式，ctr 用于分块加解密文件（见 createGcm）
+    async deriveKey(passphrase, params) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(String(passphrase)), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: Uint8Array.from(atob(params.salt), char => char.charCodeAt(0)), iterations: params.iterations },
+            material,
+            256
+        );
+        return {
+            gcm: await crypto.subtle.importKey('raw', bits, 'AES-GCM', false, ['encrypt', 'decrypt']),
+            ctr: await crypto.subtle.importKey('raw', bits, 'AES-CTR', false, ['encrypt', 'decrypt'])
+        };
+    },
+
+    // 加密文件，结果为 文件头 + IV + 密文 + 认证标签（与 backupEngine.encryptFile 相同）。分块加密，不会一次把整个文件读入内存
+    async encryptBlob(key, blob) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const gcm = await this.createGcm(key, iv);
+        const parts = [backupEngine.encryptedFileMagic, iv];
+        for await (const chunk of this.readChunks(blob)) {
+            parts.push(new Blob([await gcm.encrypt(chunk)]));
+        }
+        parts.push(gcm.tag());
+        return new Blob(parts);
+    },
+
+    // 解密 encryptBlob 的结果，内容被改动时抛出异常。keepOutput 为 false 时只检查能否通过认证，不保留解密后的内容
+    async decryptBlob(key, blob, keepOutput = true) {
+        const magic = backupEngine.encryptedFileMagic;
+        const headerSize = magic.length + 12;
+        const header = new Uint8Array(await blob.slice(0, headerSize).arrayBuffer());
+        if (blob.size < headerSize + 16 || new TextDecoder().decode(header.subarray(0, magic.length)) !== magic) {
+            throw new Error('不是加密文件或文件不完整');
+        }
+
+        const gcm = await this.createGcm(key, header.subarray(magic.length));
+        const parts = [];
+        for await (const chunk of this.readChunks(blob.slice(headerSize, blob.size - 16))) {
+            const data = await gcm.decrypt(chunk);
+            if (keepOutput) parts.push(new Blob([data]));
+        }
+
+        const expected = new Uint8Array(await blob.slice(blob.size - 16).arrayBuffer());
+        const tag = gcm.tag();
+        if (tag.some((byte, i) => byte !== expected[i])) {
+            throw new Error('解密失败，文件已损坏或密码错误');
+        }
+        return new Blob(parts);
+    },
+
+    // 分块进行 AES-256-GCM 加解密（96 位 IV）。Web Crypto 的 AES-GCM 只能一次处理整段数据，
+    // 这里用 AES-CTR 加解密、GHASH 计算认证标签，结果与一次性的 AES-GCM 相同。
+    // 除最后一块外，每块的长度都必须是 16 字节的整数倍（readChunks 读取的分块满足这一点）
+    async createGcm(key, iv) {
+        const counter = (block) => {
+            const value = new Uint8Array(16);
+            value.set(iv);
+            new DataView(value.buffer).setUint32(12, block >>> 0);
+            return value;
+        };
+        const aesCtr = async (data, counterBlock) => new Uint8Array(
+            await crypto.subtle.encrypt({ name: 'AES-CTR', counter: counterBlock, length: 32 }, key.ctr, data)
+        );
+
+        // H = E(K, 0)，标签掩码 = E(K, J0)，J0 = IV || 1，数据从 J0 + 1 开始计数
+        const zero = new Uint8Array(16);
+        const ghash = this.createGhash(await aesCtr(zero, new Uint8Array(16)));
+        const tagMask = await aesCtr(zero, counter(1));
+        let block = 2;
+        let length = 0;
+
+        const process = async (data) => {
+            const result = await aesCtr(data, counter(block));
+            block += Math.ceil(data.length / 16);
+            length += data.length;
+            return result;
+        };
+
+        return {
+            async encrypt(data) {
+                const result = await process(data);
+                ghash.update(result);
+                return result;
+            },
+            async decrypt(data) {
+                ghash.update(data);
+                return await process(data);
+            },
+            tag() {
+                const tag = ghash.digest(length);
+                for (let i = 0; i < 16; i++) tag[i] ^= tagMask[i];
+                return tag;
+            }
+        };
+    },
+
+    // GCM 的 GHASH（只有密文、没有附加数据），按 4 位查表计算。返回 { update(bytes), digest(密文字节数) }
+    createGhash(h) {
+        const readWords = (data, offset) => [0, 4, 8, 12].map(i =>
+            ((data[offset + i] << 24) | (data[offset + i + 1] << 16) | (data[offset + i + 2] << 8) | data[offset + i + 3]) >>> 0);
+
+        // GF(2^128) 中的乘法，按位计算，只用于生成查找表
+        const multiply = (x, y) => {
+            const z = [0, 0, 0, 0];
+            const v = [...y];
+            for (let i = 0; i < 128; i++) {
+                if ((x[i >>> 5] >>> (31 - (i & 31))) & 1) {
+                    for (let j = 0; j < 4; j++) z[j] ^= v[j];
+                }
+                const carry = v[3] & 1;
+                v[3] = (v[3] >>> 1) | (v[2] << 31);
+                v[2] = (v[2] >>> 1) | (v[1] << 31);
+                v[1] = (v[1] >>> 1) | (v[0] << 31);
+                v[0] = (v[0] >>> 1) ^ (carry ? 0xe1000000 : 0);
+            }
+            return z;
+        };
+
+        // table[(i * 16 + n) * 4 ...]: 第 i 个 4 位（从最高位起）为 n、其余为 0 的值与 H 的乘积
+        const hWords = readWords(h, 0);
+        const table = new Uint32Array(32 * 16 * 4);
+        for (let i = 0; i < 32; i++) {
+            for (let n = 1; n < 16; n++) {
+                const x = [0, 0, 0, 0];
+                x[i >>> 3] = n << ((7 - (i & 7)) * 4);
+                table.set(multiply(x, hWords), (i * 16 + n) * 4);
+            }
+        }
+
+        const y = new Uint32Array(4);
+        const buffer = new Uint8Array(16);
+        let buffered = 0;
+
+        const processBlock = (data, offset) => {
+            const words = readWords(data, offset);
+            for (let j = 0; j < 4; j++) y[j] ^= words[j];
+            let z0 = 0, z1 = 0, z2 = 0, z3 = 0;
+            for (let i = 0; i < 32; i++) {
+                const t = (i * 16 + ((y[i >>> 3] >>> ((7 - (i & 7)) * 4)) & 15)) * 4;
+                z0 ^= table[t];
+                z1 ^= table[t + 1];
+                z2 ^= table[t + 2];
+                z3 ^= table[t + 3];
+            }
+            y[0] = z0; y[1] = z1; y[2] = z2; y[3] = z3;
+        };
+
+        return {
+            update(data) {
+                let offset = 0;
+                if (buffered > 0) {
+                    offset = Math.min(16 - buffered, data.length);
+                    buffer.set(data.subarray(0, offset), buffered);
+                    buffered += offset;
+                    if (buffered < 16) return;
+                    processBlock(buffer, 0);
+                    buffered = 0;
+                }
+                for (; offset + 16 <= data.length; offset += 16) {
+                    processBlock(data, offset);
+                }
+                buffer.set(data.subarray(offset));
+                buffered = data.length - offset;
+            },
+            digest(length) {
+                // 不足一块的部分补 0，最后一块为附加数据和密文的位数（各 64 位）
+                if (buffered > 0) {
+                    buffer.fill(0, buffered);
+                    processBlock(buffer, 0);
+                }
+                const lengths = new Uint8Array(16);
+                const view = new DataView(lengths.buffer);
+                view.setUint32(8, Math.floor(length * 8 / 0x100000000));
+                view.setUint32(12, (length * 8) >>> 0);
+                processBlock(lengths, 0);
+
+                const result = new Uint8Array(16);
+                const resultView = new DataView(result.buffer);
+                for (let j = 0; j < 4; j++) resultView.setUint32(j * 4, y[j]);
+                return result;
+            }
+        };
+    }
+};